@@ -0,0 +1,322 @@
+const SensorData = require('../models/SensorData');
+const { computeAqi, nowCast } = require('./aqi');
+const { COMPASS_POINTS } = require('./validateReading');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const INTERVALS = {
+  minute: MINUTE_MS,
+  hour: HOUR_MS,
+  day: 24 * HOUR_MS,
+  week: 7 * 24 * HOUR_MS
+};
+
+// Fields summarised per bucket
+const METRICS = ['temperature', 'humidity', 'vocIndex', 'pm1', 'pm25', 'pm10', 'rainfall', 'windSpeed'];
+
+// Fields that also get rolling averages
+const ROLLING_METRICS = ['pm1', 'pm25', 'pm10', 'vocIndex'];
+const ROLLING_WINDOWS = { '1h': 1, '8h': 8, '24h': 24 };
+
+const PERCENTILES = [0.5, 0.9, 0.95];
+
+// Keep a single request from producing an unbounded response
+const MAX_BUCKETS = 5000;
+
+const NOWCAST_HOURS = 12;
+
+const bucketExpression = (interval) => ({
+  $dateTrunc: {
+    date: '$timestamp',
+    unit: interval,
+    ...(interval === 'week' ? { startOfWeek: 'monday' } : {})
+  }
+});
+
+const baseMatch = (deviceIds, start, end) => {
+  const match = { timestamp: { $gte: start, $lt: end } };
+  if (deviceIds.length > 0) {
+    match.deviceId = { $in: deviceIds };
+  }
+  return match;
+};
+
+// $percentile needs MongoDB 7.0 or later. On older servers each bucket's
+// values are pushed instead and the percentiles worked out here. The version
+// is checked once per connection.
+const percentileSupport = new WeakMap();
+const supportsPercentile = async () => {
+  const { db } = SensorData.db;
+  if (!db) {
+    // Not connected yet; pushing the values works on any version
+    return false;
+  }
+  if (!percentileSupport.has(db)) {
+    percentileSupport.set(db, db.admin().serverInfo().then(({ versionArray }) => versionArray[0] >= 7));
+  }
+  try {
+    return await percentileSupport.get(db);
+  } catch (error) {
+    // Ask again next time rather than remember a failed lookup
+    percentileSupport.delete(db);
+    console.error('Error checking the MongoDB version:', error);
+    return false;
+  }
+};
+
+// Nearest-rank percentiles of the numbers among values
+const percentiles = (values) => {
+  const sorted = (values || []).filter((value) => typeof value === 'number').sort((a, b) => a - b);
+  if (sorted.length === 0) {
+    return PERCENTILES.map(() => null);
+  }
+  return PERCENTILES.map((p) => sorted[Math.max(Math.ceil(p * sorted.length) - 1, 0)]);
+};
+
+// min/mean/max/percentiles per bucket
+const summarise = async (deviceIds, interval, start, end, metrics) => {
+  const nativePercentile = await supportsPercentile();
+  const group = {
+    _id: { deviceId: '$deviceId', bucket: bucketExpression(interval) },
+    count: { $sum: 1 }
+  };
+  metrics.forEach((metric) => {
+    group[`${metric}_min`] = { $min: `$${metric}` };
+    group[`${metric}_mean`] = { $avg: `$${metric}` };
+    group[`${metric}_max`] = { $max: `$${metric}` };
+    group[`${metric}_pct`] = nativePercentile
+      ? { $percentile: { input: `$${metric}`, p: PERCENTILES, method: 'approximate' } }
+      : { $push: `$${metric}` };
+  });
+
+  const docs = await SensorData.aggregate([
+    { $match: baseMatch(deviceIds, start, end) },
+    { $group: group },
+    { $sort: { '_id.deviceId': 1, '_id.bucket': 1 } }
+  ], { allowDiskUse: true });
+
+  if (!nativePercentile) {
+    docs.forEach((doc) => {
+      metrics.forEach((metric) => {
+        doc[`${metric}_pct`] = percentiles(doc[`${metric}_pct`]);
+      });
+    });
+  }
+  return docs;
+};
+
+// Rolling averages evaluated at the last reading of each bucket. The window
+// looks back past `start`, so readings from the preceding 24h are included.
+const rollingAverages = (deviceIds, interval, start, end, metrics) => {
+  const output = {};
+  metrics.forEach((metric) => {
+    Object.entries(ROLLING_WINDOWS).forEach(([label, hours]) => {
+      output[`${metric}_${label}`] = {
+        $avg: `$${metric}`,
+        window: { range: [-hours, 'current'], unit: 'hour' }
+      };
+    });
+  });
+
+  const group = { _id: { deviceId: '$deviceId', bucket: bucketExpression(interval) } };
+  Object.keys(output).forEach((field) => {
+    group[field] = { $last: `$${field}` };
+  });
+
+  const lookback = new Date(start.getTime() - Math.max(...Object.values(ROLLING_WINDOWS)) * HOUR_MS);
+  return SensorData.aggregate([
+    { $match: baseMatch(deviceIds, lookback, end) },
+    { $setWindowFields: { partitionBy: '$deviceId', sortBy: { timestamp: 1 }, output } },
+    { $match: { timestamp: { $gte: start } } },
+    { $sort: { timestamp: 1 } },
+    { $group: group }
+  ], { allowDiskUse: true });
+};
+
+// Clock-hour PM averages used to compute the NowCast at each bucket's end
+const hourlyPm = (deviceIds, start, end) => SensorData.aggregate([
+  { $match: baseMatch(deviceIds, new Date(start.getTime() - NOWCAST_HOURS * HOUR_MS), end) },
+  {
+    $group: {
+      _id: { deviceId: '$deviceId', hour: { $dateTrunc: { date: '$timestamp', unit: 'hour' } } },
+      pm25: { $avg: '$pm25' },
+      pm10: { $avg: '$pm10' }
+    }
+  }
+]);
+
+const nowCastAt = (hourlyByDevice, deviceId, bucketEnd) => {
+  const hours = hourlyByDevice.get(deviceId) || new Map();
+  // Hour containing the last instant of the bucket, then the 11 before it
+  const lastHour = Math.floor((bucketEnd - 1) / HOUR_MS) * HOUR_MS;
+  const series = { pm25: [], pm10: [] };
+  for (let i = 0; i < NOWCAST_HOURS; i++) {
+    const hour = hours.get(lastHour - i * HOUR_MS);
+    series.pm25.push(hour ? hour.pm25 : null);
+    series.pm10.push(hour ? hour.pm10 : null);
+  }
+
+  const concentrations = { pm25: nowCast(series.pm25), pm10: nowCast(series.pm10) };
+  return { ...concentrations, ...computeAqi(concentrations) };
+};
+
+const round = (value) => (typeof value === 'number' ? Math.round(value * 100) / 100 : null);
+
+const bucketKey = (deviceId, bucket) => `${deviceId}|${bucket.getTime()}`;
+
+// Bucket readings per device and interval. Returns one entry per non-empty
+// bucket with summary statistics, rolling averages and the PM NowCast.
+const aggregateReadings = async ({ deviceIds = [], interval, start, end, fields }) => {
+  const metrics = fields && fields.length > 0 ? METRICS.filter((m) => fields.includes(m)) : METRICS;
+  const rollingMetrics = ROLLING_METRICS.filter((m) => metrics.includes(m));
+  const includeNowCast = metrics.includes('pm25') || metrics.includes('pm10');
+
+  const [summaries, rolling, hourly] = await Promise.all([
+    summarise(deviceIds, interval, start, end, metrics),
+    rollingMetrics.length > 0 ? rollingAverages(deviceIds, interval, start, end, rollingMetrics) : [],
+    includeNowCast ? hourlyPm(deviceIds, start, end) : []
+  ]);
+
+  const rollingByBucket = new Map(rolling.map((doc) => [bucketKey(doc._id.deviceId, doc._id.bucket), doc]));
+
+  const hourlyByDevice = new Map();
+  hourly.forEach(({ _id, pm25, pm10 }) => {
+    if (!hourlyByDevice.has(_id.deviceId)) {
+      hourlyByDevice.set(_id.deviceId, new Map());
+    }
+    hourlyByDevice.get(_id.deviceId).set(_id.hour.getTime(), { pm25, pm10 });
+  });
+
+  return summaries.map((doc) => {
+    const { deviceId, bucket } = doc._id;
+    // Calendar-aware units (a DST day, a week) can differ from the nominal length,
+    // but the nominal end is what the NowCast and clients need.
+    const bucketEnd = new Date(bucket.getTime() + INTERVALS[interval]);
+
+    const stats = {};
+    metrics.forEach((metric) => {
+      const pct = doc[`${metric}_pct`] || [];
+      stats[metric] = {
+        min: round(doc[`${metric}_min`]),
+        mean: round(doc[`${metric}_mean`]),
+        max: round(doc[`${metric}_max`]),
+        p50: round(pct[0]),
+        p90: round(pct[1]),
+        p95: round(pct[2])
+      };
+    });
+
+    const rollingDoc = rollingByBucket.get(bucketKey(deviceId, bucket)) || {};
+    const rollingStats = {};
+    rollingMetrics.forEach((metric) => {
+      rollingStats[metric] = {};
+      Object.keys(ROLLING_WINDOWS).forEach((label) => {
+        rollingStats[metric][label] = round(rollingDoc[`${metric}_${label}`]);
+      });
+    });
+
+    const entry = {
+      deviceId,
+      start: bucket,
+      end: bucketEnd,
+      count: doc.count,
+      metrics: stats,
+      rolling: rollingStats
+    };
+
+    if (includeNowCast) {
+      const result = nowCastAt(hourlyByDevice, deviceId, bucketEnd.getTime());
+      entry.nowCast = {
+        pm25: round(result.pm25),
+        pm10: round(result.pm10),
+        aqi: result.aqi,
+        aqiCategory: result.aqiCategory,
+        dominantPollutant: result.dominantPollutant
+      };
+    }
+
+    return entry;
+  });
+};
+
+// Wind speed classes (m/s) for the wind rose. Readings below the first edge count as calm.
+const WIND_SPEED_BINS = [0.5, 2, 4, 6, 8, 11];
+
+// Frequency of wind from each compass point, split by speed class, plus the
+// mean PM2.5 per direction for the pollution rose.
+const windRose = async ({ deviceIds = [], start, end }) => {
+  const branches = WIND_SPEED_BINS.map((edge, i) => ({
+    case: { $lt: ['$windSpeed', edge] },
+    then: i
+  }));
+
+  const rows = await SensorData.aggregate([
+    { $match: baseMatch(deviceIds, start, end) },
+    {
+      $group: {
+        _id: {
+          direction: '$windDirection',
+          bin: { $switch: { branches, default: WIND_SPEED_BINS.length } }
+        },
+        count: { $sum: 1 },
+        pm25Sum: { $sum: '$pm25' },
+        // Not every reading has PM2.5, so its mean has its own count
+        pm25Count: { $sum: { $cond: [{ $isNumber: '$pm25' }, 1, 0] } }
+      }
+    }
+  ]);
+
+  let total = 0;
+  let calm = 0;
+  const sectors = COMPASS_POINTS.map((direction) => ({
+    direction,
+    count: 0,
+    pm25Sum: 0,
+    pm25Count: 0,
+    bins: WIND_SPEED_BINS.map((edge, i) => ({
+      min: edge,
+      max: WIND_SPEED_BINS[i + 1] !== undefined ? WIND_SPEED_BINS[i + 1] : null,
+      count: 0
+    }))
+  }));
+  const byDirection = new Map(sectors.map((sector) => [sector.direction, sector]));
+
+  rows.forEach(({ _id, count, pm25Sum, pm25Count }) => {
+    const sector = byDirection.get(_id.direction);
+    // Readings stored before direction validation may use other labels
+    if (!sector) return;
+    total += count;
+    if (_id.bin === 0) {
+      calm += count;
+      return;
+    }
+    sector.count += count;
+    sector.pm25Sum += pm25Sum;
+    sector.pm25Count += pm25Count;
+    sector.bins[_id.bin - 1].count += count;
+  });
+
+  const frequency = (count) => (total > 0 ? Math.round((count / total) * 10000) / 100 : 0);
+
+  return {
+    total,
+    calm: { count: calm, frequency: frequency(calm) },
+    speedBins: WIND_SPEED_BINS,
+    sectors: sectors.map(({ direction, count, pm25Sum, pm25Count, bins }) => ({
+      direction,
+      count,
+      frequency: frequency(count),
+      meanPm25: pm25Count > 0 ? round(pm25Sum / pm25Count) : null,
+      bins: bins.map((bin) => ({ ...bin, frequency: frequency(bin.count) }))
+    }))
+  };
+};
+
+module.exports = {
+  INTERVALS,
+  METRICS,
+  MAX_BUCKETS,
+  aggregateReadings,
+  windRose
+};
@@ -0,0 +1,207 @@
+const mongoose = require('mongoose');
+const AlertRule = require('../models/AlertRule');
+const AlertEvent = require('../models/AlertEvent');
+const SensorData = require('../models/SensorData');
+const { notify } = require('./notifier');
+
+const MINUTE_MS = 60 * 1000;
+const DUPLICATE_KEY = 11000;
+
+// States in which an alert is still active; a rule has at most one per device
+const ACTIVE_STATES = ['open', 'acknowledged'];
+
+// Default hysteresis band when a rule has no clearThreshold
+const DEFAULT_CLEAR_MARGIN = 0.1;
+
+const compare = (operator, value, threshold) => {
+  switch (operator) {
+    case 'gt': return value > threshold;
+    case 'gte': return value >= threshold;
+    case 'lt': return value < threshold;
+    case 'lte': return value <= threshold;
+    default: return false;
+  }
+};
+
+const isUpward = (operator) => operator === 'gt' || operator === 'gte';
+
+const clearThresholdFor = (rule) => {
+  if (typeof rule.clearThreshold === 'number') {
+    return rule.clearThreshold;
+  }
+  const margin = Math.abs(rule.threshold) * DEFAULT_CLEAR_MARGIN;
+  return isUpward(rule.operator) ? rule.threshold - margin : rule.threshold + margin;
+};
+
+// The value a rule compares against its threshold for this reading, or null
+// when there isn't enough data yet
+const ruleValue = async (rule, reading) => {
+  const latest = reading[rule.metric];
+  if (typeof latest !== 'number') {
+    return null;
+  }
+  if (rule.aggregation === 'latest') {
+    return latest;
+  }
+
+  const windowStart = new Date(reading.timestamp.getTime() - rule.windowMinutes * MINUTE_MS);
+  const [stats] = await SensorData.aggregate([
+    {
+      $match: {
+        deviceId: reading.deviceId,
+        // A mobile sensor's readings from outside the zone don't count towards it
+        ...(rule.zoneId && { zoneIds: rule.zoneId }),
+        timestamp: { $gte: windowStart, $lte: reading.timestamp },
+        [rule.metric]: { $type: 'number' }
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        avg: { $avg: `$${rule.metric}` },
+        min: { $min: `$${rule.metric}` },
+        max: { $max: `$${rule.metric}` },
+        first: { $min: '$timestamp' }
+      }
+    }
+  ]);
+
+  if (!stats) {
+    return null;
+  }
+  if (rule.aggregation === 'average') {
+    return stats.avg;
+  }
+
+  // Sustained: only meaningful once readings cover (most of) the window
+  const coverage = (reading.timestamp - stats.first) / (rule.windowMinutes * MINUTE_MS);
+  if (coverage < 0.9) {
+    return null;
+  }
+  // Every reading breaches exactly when the least extreme one does
+  return isUpward(rule.operator) ? stats.min : stats.max;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const isInRuleZone = (rule, reading) => !rule.zoneId
+  || (reading.zoneIds || []).some((zoneId) => String(zoneId) === String(rule.zoneId));
+
+const evaluateRule = async (rule, reading) => {
+  const findActive = () => AlertEvent.findOne({
+    ruleId: rule._id,
+    deviceId: reading.deviceId,
+    state: { $in: ACTIVE_STATES }
+  });
+
+  // A device that has left the rule's zone, e.g. a mobile sensor riding on,
+  // resolves any alert it had open there
+  if (!isInRuleZone(rule, reading)) {
+    const left = await findActive();
+    if (left) {
+      left.state = 'resolved';
+      left.resolvedAt = new Date();
+      left.resolvedBy = 'auto';
+      await left.save();
+      await notify(rule, left, 'resolved');
+    }
+    return;
+  }
+
+  const value = await ruleValue(rule, reading);
+  if (value === null) {
+    return;
+  }
+
+  const active = await findActive();
+
+  if (active) {
+    active.lastValue = round(value);
+    const worse = isUpward(rule.operator) ? value > active.peakValue : value < active.peakValue;
+    if (worse) {
+      active.peakValue = round(value);
+    }
+
+    // Hysteresis: stay open until the value is clearly back on the safe side
+    if (!compare(rule.operator, value, clearThresholdFor(rule))) {
+      active.state = 'resolved';
+      active.resolvedAt = new Date();
+      active.resolvedBy = 'auto';
+      await active.save();
+      await notify(rule, active, 'resolved');
+    } else {
+      await active.save();
+    }
+    return;
+  }
+
+  if (!compare(rule.operator, value, rule.threshold)) {
+    return;
+  }
+
+  if (rule.cooldownMinutes > 0) {
+    const recent = await AlertEvent.exists({
+      ruleId: rule._id,
+      deviceId: reading.deviceId,
+      resolvedAt: { $gte: new Date(Date.now() - rule.cooldownMinutes * MINUTE_MS) }
+    });
+    if (recent) {
+      return;
+    }
+  }
+
+  // Open the alert unless one became active since findActive, in one upsert.
+  // Two evaluations racing past findActive then share one alert, and the
+  // unique index on active alerts rejects whichever upsert inserts second.
+  const _id = new mongoose.Types.ObjectId();
+  let alertEvent;
+  try {
+    alertEvent = await AlertEvent.findOneAndUpdate(
+      { ruleId: rule._id, deviceId: reading.deviceId, state: { $in: ACTIVE_STATES } },
+      {
+        $setOnInsert: {
+          _id,
+          ruleName: rule.name,
+          zoneId: rule.zoneId,
+          metric: rule.metric,
+          aggregation: rule.aggregation,
+          operator: rule.operator,
+          threshold: rule.threshold,
+          state: 'open',
+          value: round(value),
+          peakValue: round(value),
+          lastValue: round(value),
+          openedAt: reading.timestamp
+        }
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    if (error.code === DUPLICATE_KEY) {
+      return;
+    }
+    throw error;
+  }
+  // Only the evaluation that inserted the alert announces it
+  if (alertEvent._id.equals(_id)) {
+    await notify(rule, alertEvent, 'opened');
+  }
+};
+
+// Check a newly stored reading against every enabled rule that applies to its device
+const evaluateReading = async (reading) => {
+  const rules = await AlertRule.find({
+    enabled: true,
+    $or: [{ deviceId: null }, { deviceId: reading.deviceId }]
+  });
+
+  for (const rule of rules) {
+    try {
+      await evaluateRule(rule, reading);
+    } catch (error) {
+      console.error(`Error evaluating alert rule ${rule._id}:`, error);
+    }
+  }
+};
+
+module.exports = { evaluateReading, clearThresholdFor };
@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+const Device = require('../models/Device');
+
+const KEY_PREFIX = 'aa_';
+
+// Keys are only ever stored hashed; the plaintext is shown once at issuance
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const generateApiKey = () => {
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+  return {
+    key,
+    hash: hashApiKey(key),
+    // Enough of the key to tell rotations apart in the admin UI and logs
+    prefix: key.slice(0, KEY_PREFIX.length + 6)
+  };
+};
+
+// Find the device a key belongs to. Returns { device } or { error } when the
+// key is missing, unknown or revoked.
+const authenticateDevice = async (apiKey) => {
+  if (!apiKey || typeof apiKey !== 'string') {
+    return { error: 'Missing API key' };
+  }
+
+  const device = await Device.findOne({ apiKeyHash: hashApiKey(apiKey) });
+  if (!device) {
+    return { error: 'Invalid API key' };
+  }
+  if (device.apiKeyRevokedAt) {
+    return { error: 'API key has been revoked' };
+  }
+  return { device };
+};
+
+module.exports = { hashApiKey, generateApiKey, authenticateDevice };
@@ -0,0 +1,162 @@
+const SensorData = require('../models/SensorData');
+
+// US EPA AQI breakpoints for particulate matter (40 CFR Part 58 Appendix G,
+// as revised in 2024). Each row is [concLow, concHigh, aqiLow, aqiHigh]. The
+// table lives in aqiBreakpoints.json so the web app reads the same one.
+const EPA = require('./aqiBreakpoints.json');
+
+const { breakpoints: BREAKPOINTS } = EPA;
+
+// EPA truncates concentrations before looking them up: PM2.5 to 0.1 µg/m³, PM10 to 1 µg/m³
+const TRUNCATE = Object.fromEntries(Object.entries(EPA.decimals).map(([pollutant, decimals]) => {
+  const factor = 10 ** decimals;
+  return [pollutant, (c) => Math.floor(c * factor) / factor];
+}));
+
+// The top category has no upper bound, written as null in JSON
+const CATEGORIES = EPA.categories.map(({ max, name }) => ({ max: max === null ? Infinity : max, name }));
+
+const POLLUTANTS = Object.keys(BREAKPOINTS);
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOWCAST_HOURS = 12;
+
+// Sub-index for one pollutant from a concentration already averaged over the
+// appropriate period. Concentrations above the table are capped at 500.
+const subIndex = (pollutant, concentration) => {
+  if (typeof concentration !== 'number' || !Number.isFinite(concentration) || concentration < 0) {
+    return null;
+  }
+
+  const c = TRUNCATE[pollutant](concentration);
+  const table = BREAKPOINTS[pollutant];
+  const row = table.find(([, high]) => c <= high);
+  if (!row) {
+    return 500;
+  }
+
+  // Values falling in the gap between two rows (e.g. 9.05 before truncation) belong to the upper row
+  const [low, high, aqiLow, aqiHigh] = row;
+  const clamped = Math.max(c, low);
+  return Math.round(((aqiHigh - aqiLow) / (high - low)) * (clamped - low) + aqiLow);
+};
+
+const getCategory = (aqi) => CATEGORIES.find(({ max }) => aqi <= max).name;
+
+// Overall AQI is the highest sub-index; the pollutant responsible is reported as dominant
+const computeAqi = (concentrations) => {
+  let result = { aqi: null, aqiCategory: null, dominantPollutant: null };
+
+  POLLUTANTS.forEach((pollutant) => {
+    const value = subIndex(pollutant, concentrations[pollutant]);
+    if (value !== null && (result.aqi === null || value > result.aqi)) {
+      result = { aqi: value, aqiCategory: getCategory(value), dominantPollutant: pollutant };
+    }
+  });
+
+  return result;
+};
+
+// EPA NowCast for PM. hourly[0] is the most recent hour's average, hourly[1]
+// the hour before and so on; missing hours are null. Returns null when fewer
+// than two of the three most recent hours have data.
+const nowCast = (hourly) => {
+  const recent = hourly.slice(0, NOWCAST_HOURS);
+  if (recent.slice(0, 3).filter((c) => c !== null && c !== undefined).length < 2) {
+    return null;
+  }
+
+  const available = recent.filter((c) => c !== null && c !== undefined);
+  const max = Math.max(...available);
+  const min = Math.min(...available);
+  const weight = max === 0 ? 1 : Math.max(min / max, 0.5);
+
+  let weighted = 0;
+  let total = 0;
+  recent.forEach((c, i) => {
+    if (c !== null && c !== undefined) {
+      weighted += c * weight ** i;
+      total += weight ** i;
+    }
+  });
+
+  return weighted / total;
+};
+
+// Average each pollutant per hour over the NowCast window ending at `end`
+const hourlyAverages = (points, end) => {
+  const sums = POLLUTANTS.reduce((acc, pollutant) => {
+    acc[pollutant] = Array.from({ length: NOWCAST_HOURS }, () => ({ sum: 0, count: 0 }));
+    return acc;
+  }, {});
+
+  points.forEach((point) => {
+    const hoursAgo = Math.floor((end - point.timestamp.getTime()) / HOUR_MS);
+    if (hoursAgo < 0 || hoursAgo >= NOWCAST_HOURS) {
+      return;
+    }
+    POLLUTANTS.forEach((pollutant) => {
+      if (typeof point[pollutant] === 'number') {
+        sums[pollutant][hoursAgo].sum += point[pollutant];
+        sums[pollutant][hoursAgo].count += 1;
+      }
+    });
+  });
+
+  const averages = {};
+  POLLUTANTS.forEach((pollutant) => {
+    averages[pollutant] = sums[pollutant].map(({ sum, count }) => (count > 0 ? sum / count : null));
+  });
+  return averages;
+};
+
+// Work out aqi, aqiCategory and dominantPollutant for new readings from one
+// device and set them on each reading. Uses the NowCast over the device's
+// stored history plus the new readings, falling back to the reading's own
+// concentrations while a station has less than two hours of data.
+const attachAqi = async (deviceId, readings) => {
+  if (readings.length === 0) {
+    return readings;
+  }
+
+  const times = readings.map((reading) => (reading.timestamp || new Date()).getTime());
+  const stored = await SensorData.find(
+    {
+      deviceId,
+      timestamp: {
+        $gt: new Date(Math.min(...times) - NOWCAST_HOURS * HOUR_MS),
+        $lte: new Date(Math.max(...times))
+      }
+    },
+    { pm25: 1, pm10: 1, timestamp: 1 }
+  ).lean();
+
+  const points = [
+    ...stored,
+    ...readings.map((reading, i) => ({ pm25: reading.pm25, pm10: reading.pm10, timestamp: new Date(times[i]) }))
+  ];
+
+  readings.forEach((reading, i) => {
+    const averages = hourlyAverages(points, times[i]);
+    const concentrations = {};
+    POLLUTANTS.forEach((pollutant) => {
+      const value = nowCast(averages[pollutant]);
+      concentrations[pollutant] = value === null ? reading[pollutant] : value;
+    });
+    Object.assign(reading, computeAqi(concentrations));
+  });
+
+  return readings;
+};
+
+module.exports = {
+  BREAKPOINTS,
+  CATEGORIES,
+  POLLUTANTS,
+  subIndex,
+  getCategory,
+  computeAqi,
+  nowCast,
+  hourlyAverages,
+  attachAqi
+};
@@ -0,0 +1,152 @@
+const { decode: decodeCbor, encode: encodeCbor } = require('cbor-x');
+const { unpack: decodeMsgpack, pack: encodeMsgpack } = require('msgpackr');
+const { COMPASS_POINTS } = require('./validateReading');
+
+// Compact reading format for stations on metered links (GSM). Instead of
+// JSON with field names, a reading is a positional record whose first value
+// is the schema version:
+//
+//   version 1:
+//     0  version        always 1
+//     1  temperature    °C
+//     2  humidity       %
+//     3  vocIndex
+//     4  vocRaw
+//     5  pm1            µg/m³
+//     6  pm25           µg/m³
+//     7  pm10           µg/m³
+//     8  rainfall       mm
+//     9  windSpeed      m/s
+//     10 windDirection  0-15 index into N, NNE, NE, … NNW (or the name)
+//     11 timestamp      epoch seconds (optional)
+//     12 latitude       (optional, with longitude)
+//     13 longitude      (optional)
+//
+// Trailing optional values can be left out. The record is sent as:
+//
+//   text/csv             one line per reading: 1,24.5,61,102,…,3,1718000000
+//   application/cbor     a CBOR array, or an array of arrays for a batch
+//   application/msgpack  the same as MessagePack
+//
+// Decoded records go through the same validation as JSON bodies.
+
+const SCHEMA_VERSION = 1;
+
+const SCHEMAS = {
+  1: [
+    'temperature', 'humidity', 'vocIndex', 'vocRaw', 'pm1', 'pm25', 'pm10',
+    'rainfall', 'windSpeed', 'windDirection', 'timestamp', 'latitude', 'longitude'
+  ]
+};
+
+const FORMATS = {
+  csv: ['text/csv', 'text/plain'],
+  cbor: ['application/cbor'],
+  msgpack: ['application/msgpack', 'application/x-msgpack', 'application/vnd.msgpack']
+};
+
+// Which compact format a Content-Type header names, or null for anything else
+const formatFor = (contentType) => {
+  const mediaType = (contentType || '').split(';')[0].trim().toLowerCase();
+  return Object.keys(FORMATS).find((format) => FORMATS[format].includes(mediaType)) || null;
+};
+
+const parseCsvValue = (value) => {
+  const trimmed = value.trim();
+  if (trimmed === '') return undefined;
+  const number = Number(trimmed);
+  return Number.isNaN(number) ? trimmed : number;
+};
+
+// Turn one positional record into a reading body as POSTed in JSON.
+// Returns { body } or { error }.
+const decodeRecord = (values) => {
+  if (!Array.isArray(values) || values.length === 0) {
+    return { error: 'must be an array starting with the schema version' };
+  }
+  const [version, ...rest] = values;
+  // Own properties only, so a version of "constructor" isn't a schema
+  const fields = Object.hasOwn(SCHEMAS, version) ? SCHEMAS[version] : null;
+  if (!fields) {
+    return { error: `unsupported schema version ${version}; supported: ${Object.keys(SCHEMAS).join(', ')}` };
+  }
+  if (rest.length > fields.length) {
+    return { error: `has ${rest.length} values, schema version ${version} has ${fields.length}` };
+  }
+
+  const body = {};
+  fields.forEach((field, index) => {
+    const value = rest[index];
+    if (value !== undefined && value !== null) body[field] = value;
+  });
+
+  if (typeof body.windDirection === 'number' && Number.isInteger(body.windDirection)) {
+    body.windDirection = COMPASS_POINTS[body.windDirection] ?? body.windDirection;
+  }
+  if (typeof body.timestamp === 'number') {
+    body.timestamp *= 1000;
+  }
+  if (body.latitude !== undefined || body.longitude !== undefined) {
+    body.location = { latitude: body.latitude, longitude: body.longitude };
+    delete body.latitude;
+    delete body.longitude;
+  }
+
+  return { body };
+};
+
+// Decode a request body in one of the compact formats into reading bodies.
+// Returns { readings } or { error }.
+const decodeCompact = (format, buffer) => {
+  let records;
+  try {
+    if (format === 'csv') {
+      records = buffer.toString('utf8')
+        .split(/\r?\n/)
+        .filter((line) => line.trim() !== '')
+        .map((line) => line.split(',').map(parseCsvValue));
+    } else {
+      const decoded = format === 'cbor' ? decodeCbor(buffer) : decodeMsgpack(buffer);
+      records = Array.isArray(decoded) && Array.isArray(decoded[0]) ? decoded : [decoded];
+    }
+  } catch (error) {
+    return { error: `Body is not valid ${format}: ${error.message}` };
+  }
+
+  const readings = [];
+  for (let i = 0; i < records.length; i++) {
+    const { body, error } = decodeRecord(records[i]);
+    if (error) {
+      return { error: `Record ${i} ${error}` };
+    }
+    readings.push(body);
+  }
+  return { readings };
+};
+
+// The inverse of decodeCompact, for firmware authors and round-trip checks.
+// Timestamps are whole seconds, so sub-second precision is lost.
+const encodeCompact = (format, readings) => {
+  const fields = SCHEMAS[SCHEMA_VERSION];
+  const records = readings.map((reading) => {
+    const values = fields.map((field) => {
+      switch (field) {
+        case 'windDirection': return COMPASS_POINTS.indexOf(reading.windDirection);
+        case 'timestamp': return reading.timestamp ? Math.floor(new Date(reading.timestamp).getTime() / 1000) : undefined;
+        case 'latitude': return reading.location?.latitude;
+        case 'longitude': return reading.location?.longitude;
+        default: return reading[field];
+      }
+    });
+    while (values.length > 0 && values[values.length - 1] === undefined) values.pop();
+    return [SCHEMA_VERSION, ...values.map((value) => (value === undefined ? null : value))];
+  });
+
+  if (format === 'csv') {
+    return Buffer.from(records.map((values) => values.map((value) => (value === null ? '' : value)).join(',')).join('\n'));
+  }
+  const payload = records.length === 1 ? records[0] : records;
+  return format === 'cbor' ? encodeCbor(payload) : encodeMsgpack(payload);
+};
+
+module.exports = { SCHEMA_VERSION, SCHEMAS, FORMATS, formatFor, decodeRecord, decodeCompact, encodeCompact };
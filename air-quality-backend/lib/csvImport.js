@@ -0,0 +1,119 @@
+const { parse } = require('csv-parse/sync');
+const { FIELD_RULES } = require('./validateReading');
+
+// SensorData fields a CSV column can be mapped to. latitude/longitude are
+// folded into the reading's location.
+const IMPORT_FIELDS = [...Object.keys(FIELD_RULES), 'windDirection', 'timestamp', 'latitude', 'longitude'];
+
+const NUMERIC_FIELDS = [...Object.keys(FIELD_RULES), 'latitude', 'longitude'];
+
+// Common header spellings from the logger firmware and spreadsheets
+const HEADER_ALIASES = {
+  temp: 'temperature',
+  hum: 'humidity',
+  rh: 'humidity',
+  voc: 'vocIndex',
+  voc_index: 'vocIndex',
+  voc_raw: 'vocRaw',
+  'pm1.0': 'pm1',
+  pm1_0: 'pm1',
+  'pm2.5': 'pm25',
+  pm2_5: 'pm25',
+  rain: 'rainfall',
+  wind_speed: 'windSpeed',
+  wind_direction: 'windDirection',
+  winddir: 'windDirection',
+  time: 'timestamp',
+  datetime: 'timestamp',
+  date: 'timestamp',
+  lat: 'latitude',
+  lng: 'longitude',
+  lon: 'longitude'
+};
+
+const parseCsv = (buffer) => parse(buffer, {
+  columns: true,
+  skip_empty_lines: true,
+  trim: true,
+  bom: true
+});
+
+// Guess a mapping from CSV headers to fields by name
+const suggestMapping = (headers) => {
+  const mapping = {};
+  headers.forEach((header) => {
+    const normalised = header.trim().toLowerCase().replace(/\s+/g, '_');
+    const exact = IMPORT_FIELDS.find((field) => field.toLowerCase() === normalised.replace(/_/g, ''));
+    const field = exact || HEADER_ALIASES[normalised];
+    if (field && !Object.values(mapping).includes(field)) {
+      mapping[header] = field;
+    }
+  });
+  return mapping;
+};
+
+// Epoch values are accepted in seconds or milliseconds
+const parseTimestamp = (text) => {
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    const number = Number(text);
+    return number < 1e11 ? number * 1000 : number;
+  }
+  return text;
+};
+
+// Turn one CSV record into the JSON body /api/arduino would receive. Values
+// that can't be converted are passed through as strings so validation
+// reports them against the right field.
+const rowToReading = (record, mapping) => {
+  const reading = {};
+  Object.entries(mapping).forEach(([column, field]) => {
+    const text = record[column];
+    if (text === undefined || text === '') return;
+
+    if (NUMERIC_FIELDS.includes(field)) {
+      const number = Number(text);
+      reading[field] = Number.isFinite(number) ? number : text;
+    } else if (field === 'timestamp') {
+      reading.timestamp = parseTimestamp(text);
+    } else if (field === 'windDirection') {
+      reading.windDirection = text.toUpperCase();
+    }
+  });
+
+  if (reading.latitude !== undefined || reading.longitude !== undefined) {
+    reading.location = { latitude: reading.latitude, longitude: reading.longitude };
+    delete reading.latitude;
+    delete reading.longitude;
+  }
+
+  return reading;
+};
+
+// Returns an error message for an unusable mapping, or null
+const checkMapping = (mapping, headers) => {
+  const unknownColumns = Object.keys(mapping).filter((column) => !headers.includes(column));
+  if (unknownColumns.length > 0) {
+    return `Mapping refers to columns not in the file: ${unknownColumns.join(', ')}`;
+  }
+  const unknownFields = Object.values(mapping).filter((field) => !IMPORT_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    return `Mapping targets unknown fields: ${unknownFields.join(', ')}`;
+  }
+  const fields = Object.values(mapping);
+  const repeated = fields.filter((field, i) => fields.indexOf(field) !== i);
+  if (repeated.length > 0) {
+    return `Fields mapped more than once: ${[...new Set(repeated)].join(', ')}`;
+  }
+  if (!fields.includes('timestamp')) {
+    return 'A column must be mapped to timestamp';
+  }
+  return null;
+};
+
+module.exports = {
+  IMPORT_FIELDS,
+  parseCsv,
+  suggestMapping,
+  rowToReading,
+  checkMapping
+};
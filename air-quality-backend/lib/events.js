@@ -0,0 +1,12 @@
+const { EventEmitter } = require('events');
+
+// In-process event bus between the ingest path and everything that reacts to
+// new data (Socket.IO broadcast, alert evaluation, ...).
+//
+//   'reading'  a newly stored SensorData document
+//   'alert'    an alert event was opened, acknowledged or resolved
+//   'admin'    { type, ... } for operators only: device and key changes,
+//              imports, rejected readings
+const events = new EventEmitter();
+
+module.exports = events;
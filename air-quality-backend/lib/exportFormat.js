@@ -0,0 +1,102 @@
+// Column definitions and value formatting for data exports
+
+const EXPORT_COLUMNS = {
+  timestamp: (doc, formatTime) => formatTime(doc.timestamp),
+  deviceId: (doc) => doc.deviceId,
+  temperature: (doc) => doc.temperature,
+  humidity: (doc) => doc.humidity,
+  vocIndex: (doc) => doc.vocIndex,
+  vocRaw: (doc) => doc.vocRaw,
+  pm1: (doc) => doc.pm1,
+  pm25: (doc) => doc.pm25,
+  pm10: (doc) => doc.pm10,
+  rainfall: (doc) => doc.rainfall,
+  windSpeed: (doc) => doc.windSpeed,
+  windDirection: (doc) => doc.windDirection,
+  latitude: (doc) => doc.location && doc.location.latitude,
+  longitude: (doc) => doc.location && doc.location.longitude,
+  aqi: (doc) => doc.aqi,
+  aqiCategory: (doc) => doc.aqiCategory,
+  dominantPollutant: (doc) => doc.dominantPollutant,
+  flags: (doc) => (doc.flags || []).join(';')
+};
+
+const COLUMN_NAMES = Object.keys(EXPORT_COLUMNS);
+
+// The database fields each column needs, so the cursor only loads those
+const COLUMN_FIELDS = {
+  latitude: 'location',
+  longitude: 'location'
+};
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Returns a function rendering dates as ISO 8601 local time in the given zone,
+// e.g. 2024-05-01T14:03:22+05:30, so spreadsheets show the partner's wall clock time.
+const createTimeFormatter = (timeZone) => {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    timeZoneName: 'longOffset'
+  });
+
+  return (date) => {
+    if (!date) return '';
+    const parts = {};
+    formatter.formatToParts(date).forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+    // "GMT+05:30" -> "+05:30", plain "GMT" -> "Z"
+    const offset = parts.timeZoneName.replace('GMT', '') || 'Z';
+    return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}${offset}`;
+  };
+};
+
+const csvEscape = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toRow = (doc, columns, formatTime) => columns.map((column) => EXPORT_COLUMNS[column](doc, formatTime));
+
+const toCsvLine = (values) => `${values.map(csvEscape).join(',')}\r\n`;
+
+const toNdjsonLine = (values, columns) => {
+  const record = {};
+  columns.forEach((column, i) => {
+    record[column] = values[i] === undefined ? null : values[i];
+  });
+  return `${JSON.stringify(record)}\n`;
+};
+
+const projectionFor = (columns) => {
+  const projection = { _id: 0 };
+  columns.forEach((column) => {
+    projection[COLUMN_FIELDS[column] || column] = 1;
+  });
+  return projection;
+};
+
+module.exports = {
+  COLUMN_NAMES,
+  isValidTimeZone,
+  createTimeFormatter,
+  toRow,
+  toCsvLine,
+  toNdjsonLine,
+  projectionFor
+};
@@ -0,0 +1,292 @@
+const { initializeApp, applicationDefault, getApps } = require('firebase-admin/app');
+const { getFirestore, FieldPath, Timestamp } = require('firebase-admin/firestore');
+const SensorData = require('../models/SensorData');
+const Device = require('../models/Device');
+const SyncCheckpoint = require('../models/SyncCheckpoint');
+const { validateReading, flagReading } = require('./validateReading');
+const { attachAqi } = require('./aqi');
+const { attachZones } = require('./zones');
+const events = require('./events');
+
+// Mirrors the Firestore collection older stations still write to into
+// SensorData. Enabled with FIRESTORE_SYNC=true.
+//
+//   FIRESTORE_PROJECT_ID       Firebase project (falls back to GOOGLE_CLOUD_PROJECT)
+//   FIRESTORE_COLLECTION       defaults to sensorReadings
+//   FIRESTORE_EMULATOR_HOST    e.g. localhost:8080 to run against the emulator
+//   FIRESTORE_LATE_MINUTES     how far back each pass re-reads, default 10
+//   GOOGLE_APPLICATION_CREDENTIALS  service account for a real project
+//
+// Documents are read in (timestamp, document id) order from a checkpoint
+// stored in MongoDB. A listener on the newest document triggers another pass
+// whenever something is written. Readings are inserted only if no reading
+// with the same deviceId and timestamp exists, so replaying a page after a
+// crash never duplicates. Edits to documents already mirrored are not followed.
+//
+// The timestamp is the station's, not the write time, so a station that
+// uploads a backlog late writes documents older than the checkpoint. Each
+// pass therefore starts FIRESTORE_LATE_MINUTES before the checkpoint and
+// lets the insert skip what is already stored. Documents arriving later than
+// that are not imported, and the checkpoint's processed count includes the
+// re-read documents.
+
+const CHECKPOINT_NAME = 'firestore:sensorReadings';
+const PAGE_SIZE = 500;
+
+// Readings newer than this are pushed to live clients and alert rules; older
+// ones are history being caught up on
+const LIVE_WINDOW_MS = 10 * 60 * 1000;
+
+const LATE_WINDOW_MS = (parseInt(process.env.FIRESTORE_LATE_MINUTES) || 10) * 60 * 1000;
+
+// Documents written before stations had ids
+const LEGACY_DEVICE_ID = 'firestore-legacy';
+
+const getDb = () => {
+  const projectId = process.env.FIRESTORE_PROJECT_ID || process.env.GOOGLE_CLOUD_PROJECT;
+  const app = getApps()[0] || initializeApp(
+    process.env.FIRESTORE_EMULATOR_HOST
+      ? { projectId }
+      : { projectId, credential: applicationDefault() }
+  );
+  return getFirestore(app);
+};
+
+const toMillis = (value) => {
+  if (value instanceof Timestamp) {
+    return value.toMillis();
+  }
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  return value;
+};
+
+const optionalNumber = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : undefined);
+
+// Map a Firestore document onto SensorData fields. Legacy documents are flat,
+// call the VOC index `voc` and carry an `aqi` from the old client-side
+// formula, which is dropped in favour of the NowCast AQI computed here.
+// Returns { reading } or { errors }.
+const toReading = (doc, devices) => {
+  const data = doc.data();
+  const deviceId = typeof data.deviceId === 'string' && data.deviceId.trim() ? data.deviceId.trim() : LEGACY_DEVICE_ID;
+  const latitude = optionalNumber(data.location?.latitude ?? data.latitude);
+  const longitude = optionalNumber(data.location?.longitude ?? data.longitude);
+
+  const body = {
+    deviceId,
+    timestamp: toMillis(data.timestamp),
+    temperature: data.temperature,
+    humidity: data.humidity,
+    vocIndex: data.vocIndex ?? data.voc,
+    vocRaw: data.vocRaw,
+    pm1: data.pm1,
+    pm25: data.pm25,
+    pm10: data.pm10,
+    rainfall: data.rainfall,
+    windSpeed: data.windSpeed,
+    windDirection: data.windDirection
+  };
+  if (latitude !== undefined && longitude !== undefined) {
+    body.location = { latitude, longitude };
+  }
+  Object.keys(body).forEach((field) => body[field] === undefined && delete body[field]);
+
+  if (body.timestamp === undefined) {
+    return { errors: { timestamp: 'is required' } };
+  }
+
+  const { value, errors } = validateReading(body, { partial: true });
+  if (errors) {
+    return { errors };
+  }
+
+  const device = devices.get(deviceId);
+  return {
+    reading: {
+      ...(device ? { location: { latitude: device.location.latitude, longitude: device.location.longitude } } : {}),
+      ...value,
+      ...(optionalNumber(data.co2) !== undefined && data.co2 >= 0 ? { co2: data.co2 } : {}),
+      flags: flagReading(value),
+      firestoreId: doc.id
+    }
+  };
+};
+
+// Insert a page of readings, skipping any (deviceId, timestamp) already stored.
+// Returns the number inserted and the newest inserted reading per device.
+const storeReadings = async (readings) => {
+  const byDevice = new Map();
+  readings.forEach((reading) => {
+    if (!byDevice.has(reading.deviceId)) byDevice.set(reading.deviceId, []);
+    byDevice.get(reading.deviceId).push(reading);
+  });
+
+  for (const [deviceId, deviceReadings] of byDevice) {
+    deviceReadings.sort((a, b) => a.timestamp - b.timestamp);
+    await attachAqi(deviceId, deviceReadings);
+  }
+  await attachZones(readings);
+
+  const result = await SensorData.bulkWrite(readings.map((reading) => ({
+    updateOne: {
+      filter: { deviceId: reading.deviceId, timestamp: reading.timestamp },
+      update: { $setOnInsert: reading },
+      upsert: true
+    }
+  })), { ordered: false });
+
+  const newest = new Map();
+  Object.keys(result.upsertedIds).forEach((index) => {
+    const reading = readings[index];
+    const current = newest.get(reading.deviceId);
+    if (!current || reading.timestamp > current.timestamp) {
+      newest.set(reading.deviceId, { ...reading, _id: result.upsertedIds[index] });
+    }
+  });
+
+  return { inserted: result.upsertedCount, newest: [...newest.values()] };
+};
+
+const createFirestoreSync = () => {
+  const db = getDb();
+  const collection = db.collection(process.env.FIRESTORE_COLLECTION || 'sensorReadings');
+  const ordered = collection.orderBy('timestamp').orderBy(FieldPath.documentId());
+
+  // The newest document mirrored, and the last one read in the current pass
+  let checkpoint = null;
+  let cursor = null;
+  let running = false;
+  let rerun = false;
+
+  // Resume after the document recorded in the checkpoint. If it was deleted
+  // from Firestore, start over; existing readings are skipped on insert.
+  const loadCursor = async () => {
+    const checkpoint = await SyncCheckpoint.findOne({ name: CHECKPOINT_NAME });
+    if (!checkpoint || !checkpoint.lastDocId) {
+      return null;
+    }
+    const snapshot = await collection.doc(checkpoint.lastDocId).get();
+    if (!snapshot.exists) {
+      console.warn(`Firestore sync checkpoint ${checkpoint.lastDocId} no longer exists, resyncing from the start`);
+      return null;
+    }
+    return snapshot;
+  };
+
+  // Where a pass starts: LATE_WINDOW_MS before the checkpoint, in the same
+  // type as its timestamp since Firestore orders values by type first
+  const passStart = () => {
+    if (!checkpoint) {
+      return null;
+    }
+    const timestamp = checkpoint.get('timestamp');
+    return timestamp instanceof Timestamp
+      ? Timestamp.fromMillis(timestamp.toMillis() - LATE_WINDOW_MS)
+      : timestamp - LATE_WINDOW_MS;
+  };
+
+  const syncPage = async (from) => {
+    let query = ordered;
+    if (cursor) {
+      query = ordered.startAfter(cursor);
+    } else if (from !== null) {
+      query = ordered.startAt(from);
+    }
+    const snapshot = await query.limit(PAGE_SIZE).get();
+    if (snapshot.empty) {
+      return { read: 0, inserted: 0 };
+    }
+
+    const deviceIds = [...new Set(snapshot.docs.map((doc) => doc.get('deviceId')).filter((id) => typeof id === 'string'))];
+    const devices = new Map((await Device.find({ deviceId: { $in: deviceIds } })).map((device) => [device.deviceId, device]));
+
+    const readings = [];
+    snapshot.docs.forEach((doc) => {
+      const { reading, errors } = toReading(doc, devices);
+      if (reading) {
+        readings.push(reading);
+      } else {
+        console.warn(`Skipping Firestore document ${doc.id}:`, errors);
+      }
+    });
+
+    const { inserted, newest } = readings.length > 0 ? await storeReadings(readings) : { inserted: 0, newest: [] };
+
+    const last = snapshot.docs[snapshot.docs.length - 1];
+    await SyncCheckpoint.updateOne(
+      { name: CHECKPOINT_NAME },
+      {
+        $set: { lastDocId: last.id, lastTimestamp: new Date(toMillis(last.get('timestamp'))) },
+        $inc: { processed: snapshot.size, inserted, skipped: snapshot.size - readings.length }
+      },
+      { upsert: true }
+    );
+    cursor = last;
+    checkpoint = last;
+
+    newest
+      .filter((reading) => Date.now() - reading.timestamp.getTime() < LIVE_WINDOW_MS)
+      .forEach((reading) => events.emit('reading', new SensorData(reading)));
+
+    return { read: snapshot.size, inserted };
+  };
+
+  // Page through everything from just before the checkpoint. Calls made
+  // while a pass is running are folded into one more pass afterwards.
+  const catchUp = async () => {
+    if (running) {
+      rerun = true;
+      return;
+    }
+    running = true;
+    try {
+      do {
+        rerun = false;
+        cursor = null;
+        const from = passStart();
+        let page;
+        let total = 0;
+        do {
+          page = await syncPage(from);
+          total += page.inserted;
+        } while (page.read === PAGE_SIZE);
+        // Re-read documents are skipped, so only new ones are worth reporting
+        if (total > 0) {
+          console.log(`Firestore sync: imported ${total} readings`);
+        }
+      } while (rerun);
+    } catch (error) {
+      console.error('Error syncing from Firestore:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const start = async () => {
+    checkpoint = await loadCursor();
+    await catchUp();
+    // Any write to the collection changes the newest document; use that as
+    // the signal to read on from the checkpoint
+    const stopListening = collection.orderBy('timestamp', 'desc').limit(1).onSnapshot(
+      () => catchUp(),
+      (error) => console.error('Firestore sync listener error:', error)
+    );
+    console.log('Firestore sync started');
+    return stopListening;
+  };
+
+  return { start, catchUp };
+};
+
+// Start mirroring if FIRESTORE_SYNC=true. Resolves to a function that stops
+// the listener, or null when the sync is disabled.
+const startFirestoreSync = async () => {
+  if (process.env.FIRESTORE_SYNC !== 'true') {
+    return null;
+  }
+  return createFirestoreSync().start();
+};
+
+module.exports = { startFirestoreSync, toReading, LEGACY_DEVICE_ID };
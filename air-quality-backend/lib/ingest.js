@@ -0,0 +1,159 @@
+const SensorData = require('../models/SensorData');
+const { validateReading, flagReading } = require('./validateReading');
+const { attachAqi } = require('./aqi');
+const { assignTrips, refreshTrips } = require('./trips');
+const { attachZones } = require('./zones');
+const events = require('./events');
+
+const MAX_BATCH_SIZE = 1000;
+
+// Validate a raw payload from an authenticated device and turn it into the
+// fields of a SensorData document. Returns { reading } on success or
+// { status, error, fields } describing why it was rejected.
+const prepareReading = (device, body, { requireTimestamp = false } = {}) => {
+  const { value, errors } = validateReading(body);
+  const fields = { ...errors };
+
+  if (requireTimestamp && value && !value.timestamp && !fields.timestamp) {
+    fields.timestamp = 'is required for batched readings';
+  }
+  if (Object.keys(fields).length > 0) {
+    return { status: 400, error: 'Invalid sensor data', fields };
+  }
+
+  // A key only allows writing readings for the device it was issued to
+  if (value.deviceId && value.deviceId !== device.deviceId) {
+    return { status: 403, error: 'API key is not valid for this device' };
+  }
+
+  return {
+    reading: {
+      // Fixed stations don't send coordinates, so fall back to where the device
+      // is installed. A mobile device without a GPS fix has no location at all.
+      ...(!device.mobile && {
+        location: {
+          latitude: device.location.latitude,
+          longitude: device.location.longitude
+        }
+      }),
+      ...value,
+      deviceId: device.deviceId,
+      flags: flagReading(value)
+    }
+  };
+};
+
+// Store one reading prepared by prepareReading and hand it to live clients
+// and the alert rules. Used by every ingest path (HTTP, MQTT).
+const saveReading = async (device, reading) => {
+  await attachAqi(reading.deviceId, [reading]);
+  await assignTrips(device, [reading]);
+  await attachZones([reading]);
+  const sensorData = new SensorData(reading);
+  try {
+    await sensorData.save();
+  } finally {
+    // Also drops a trip just started for a reading that failed to save
+    await refreshTrips([reading]);
+  }
+
+  events.emit('reading', sensorData);
+  return sensorData;
+};
+
+// Store a batch of buffered readings for one device. Each item needs its own
+// device-side timestamp; (deviceId, timestamp) pairs already stored or repeated
+// within the batch are reported as duplicates rather than inserted twice.
+// Returns per-item results in request order plus the documents inserted.
+//
+// Options:
+//   dryRun  validate and check for duplicates without writing; items that
+//           would be stored get status 'valid'
+//   tag     extra fields stored on every reading, e.g. { importId }
+//   seen    Set of timestamps (ms) already taken, shared across calls when
+//           a large upload is processed in chunks
+const saveBatch = async (device, items, { dryRun = false, tag = {}, seen = new Set() } = {}) => {
+  const results = new Array(items.length);
+  const pending = [];
+
+  items.forEach((item, index) => {
+    const { reading, status, error, fields } = prepareReading(device, item, { requireTimestamp: true });
+    if (!reading) {
+      results[index] = { index, status: status === 403 ? 'rejected' : 'invalid', error, fields };
+      return;
+    }
+
+    const key = reading.timestamp.getTime();
+    if (seen.has(key)) {
+      results[index] = { index, status: 'duplicate' };
+      return;
+    }
+    seen.add(key);
+    pending.push({ index, reading: { ...reading, ...tag } });
+  });
+
+  if (pending.length > 0) {
+    const existing = await SensorData.find(
+      { deviceId: device.deviceId, timestamp: { $in: pending.map(({ reading }) => reading.timestamp) } },
+      { timestamp: 1 }
+    ).lean();
+    const existingTimes = new Set(existing.map((doc) => doc.timestamp.getTime()));
+
+    for (let i = pending.length - 1; i >= 0; i--) {
+      if (existingTimes.has(pending[i].reading.timestamp.getTime())) {
+        results[pending[i].index] = { index: pending[i].index, status: 'duplicate' };
+        pending.splice(i, 1);
+      }
+    }
+  }
+
+  if (dryRun) {
+    pending.forEach(({ index, reading }) => {
+      results[index] = { index, status: 'valid', flags: reading.flags };
+    });
+    return { results, inserted: [] };
+  }
+
+  let inserted = [];
+  if (pending.length > 0) {
+    await attachAqi(device.deviceId, pending.map(({ reading }) => reading));
+    await assignTrips(device, pending.map(({ reading }) => reading));
+    await attachZones(pending.map(({ reading }) => reading));
+    try {
+      inserted = await SensorData.insertMany(pending.map(({ reading }) => reading), { ordered: false });
+    } catch (error) {
+      // With ordered: false the rest of the batch is still written; writeErrors
+      // index into the array we passed in.
+      if (!error.writeErrors) {
+        throw error;
+      }
+      inserted = error.insertedDocs || [];
+      error.writeErrors.forEach((writeError) => {
+        // Mongoose copies the driver's WriteError, leaving its details on .err
+        const { code, errmsg } = writeError.err || writeError;
+        const { index } = pending[writeError.index];
+        results[index] = code === 11000
+          ? { index, status: 'duplicate' }
+          : { index, status: 'failed', error: errmsg };
+      });
+    } finally {
+      await refreshTrips(pending.map(({ reading }) => reading));
+    }
+  }
+
+  // insertMany returns documents in the order given, so match them back up by timestamp
+  const insertedByTime = new Map(inserted.map((doc) => [doc.timestamp.getTime(), doc]));
+  pending.forEach(({ index, reading }) => {
+    const doc = insertedByTime.get(reading.timestamp.getTime());
+    if (doc && !results[index]) {
+      results[index] = { index, status: 'inserted', id: doc._id, flags: doc.flags };
+    } else if (!results[index]) {
+      // Rejected by Mongoose validation, which insertMany skips silently when unordered
+      results[index] = { index, status: 'failed', error: 'Failed schema validation' };
+    }
+  });
+
+  return { results, inserted };
+};
+
+module.exports = { MAX_BATCH_SIZE, prepareReading, saveReading, saveBatch };
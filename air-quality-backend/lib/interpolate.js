@@ -0,0 +1,123 @@
+const SensorData = require('../models/SensorData');
+const { computeAqi } = require('./aqi');
+
+const HOUR_MS = 60 * 60 * 1000;
+const KM_PER_DEGREE = 111.32;
+
+const HEATMAP_METRICS = ['pm25', 'pm10', 'aqi'];
+
+// Good enough at city scale: degrees of longitude shrink with latitude
+const distanceKm = (lat1, lng1, lat2, lng2) => {
+  const x = (lng2 - lng1) * Math.cos(((lat1 + lat2) / 2) * (Math.PI / 180));
+  const y = lat2 - lat1;
+  return Math.sqrt(x * x + y * y) * KM_PER_DEGREE;
+};
+
+// Mean PM per station over the hour ending at `time`, plus the US EPA AQI of
+// those means. Stations are looked for `marginKm` beyond the bbox so values
+// near the edges take neighbours outside the view into account.
+const stationValues = async ({ bbox, time, marginKm }) => {
+  const [west, south, east, north] = bbox;
+  const latMargin = marginKm / KM_PER_DEGREE;
+  const lngMargin = marginKm / (KM_PER_DEGREE * Math.cos(((south + north) / 2) * (Math.PI / 180)));
+
+  const rows = await SensorData.aggregate([
+    {
+      $match: {
+        timestamp: { $gt: new Date(time.getTime() - HOUR_MS), $lte: time },
+        // A moving sensor has no single position to interpolate from
+        tripId: { $exists: false },
+        'location.latitude': { $gte: south - latMargin, $lte: north + latMargin },
+        'location.longitude': { $gte: west - lngMargin, $lte: east + lngMargin }
+      }
+    },
+    {
+      $group: {
+        _id: '$deviceId',
+        latitude: { $avg: '$location.latitude' },
+        longitude: { $avg: '$location.longitude' },
+        pm25: { $avg: '$pm25' },
+        pm10: { $avg: '$pm10' },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  return rows.map((row) => ({
+    deviceId: row._id,
+    latitude: row.latitude,
+    longitude: row.longitude,
+    pm25: row.pm25,
+    pm10: row.pm10,
+    aqi: computeAqi({ pm25: row.pm25, pm10: row.pm10 }).aqi,
+    count: row.count
+  }));
+};
+
+// Inverse-distance weighting over a cols × rows grid covering bbox. Cell
+// values are row-major from the north-west corner; cells further than
+// radiusKm from every station are null so the map doesn't invent values
+// where nothing is measured.
+const idwGrid = (points, { bbox, cols, rows, power = 2, radiusKm }) => {
+  const [west, south, east, north] = bbox;
+  const values = new Array(cols * rows).fill(null);
+  if (points.length === 0) {
+    return values;
+  }
+
+  for (let row = 0; row < rows; row++) {
+    const lat = north - ((row + 0.5) / rows) * (north - south);
+    for (let col = 0; col < cols; col++) {
+      const lng = west + ((col + 0.5) / cols) * (east - west);
+      let weighted = 0;
+      let total = 0;
+      let nearest = Infinity;
+      let exact = null;
+
+      for (const point of points) {
+        const d = distanceKm(lat, lng, point.latitude, point.longitude);
+        nearest = Math.min(nearest, d);
+        if (d < 1e-6) {
+          exact = point.value;
+          break;
+        }
+        const weight = 1 / d ** power;
+        weighted += weight * point.value;
+        total += weight;
+      }
+
+      if (exact !== null) {
+        values[row * cols + col] = exact;
+      } else if (nearest <= radiusKm) {
+        values[row * cols + col] = Math.round((weighted / total) * 10) / 10;
+      }
+    }
+  }
+  return values;
+};
+
+// Interpolated surface of a metric for the hour ending at `time`
+const heatmap = async ({ bbox, time, metric, cols, radiusKm, power }) => {
+  const [west, south, east, north] = bbox;
+  // Keep cells roughly square on the ground
+  const widthKm = distanceKm((south + north) / 2, west, (south + north) / 2, east);
+  const heightKm = distanceKm(south, west, north, west);
+  const rows = Math.max(1, Math.min(cols * 2, Math.round(cols * (heightKm / widthKm))));
+
+  const stations = await stationValues({ bbox, time, marginKm: radiusKm });
+  const points = stations
+    .filter((station) => typeof station[metric] === 'number')
+    .map((station) => ({ latitude: station.latitude, longitude: station.longitude, value: station[metric] }));
+
+  return {
+    metric,
+    time,
+    bbox,
+    cols,
+    rows,
+    values: idwGrid(points, { bbox, cols, rows, power, radiusKm }),
+    stations
+  };
+};
+
+module.exports = { HEATMAP_METRICS, distanceKm, idwGrid, heatmap };
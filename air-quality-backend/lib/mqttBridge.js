@@ -0,0 +1,124 @@
+const mqtt = require('mqtt');
+const { authenticateDevice } = require('./apiKeys');
+const { prepareReading, saveReading } = require('./ingest');
+
+// Ingest readings published over MQTT by stations that can't do HTTPS.
+// Enabled by setting MQTT_URL (e.g. mqtt://broker:1883).
+//
+//   MQTT_USERNAME, MQTT_PASSWORD   broker credentials for the backend
+//   MQTT_TOPIC_PREFIX              defaults to airaware
+//   MQTT_CLIENT_ID                 defaults to airaware-backend. The broker
+//                                  resumes the session by this id, so give
+//                                  each backend instance its own.
+//
+// Stations publish JSON to <prefix>/<deviceId>/reading: the same body as
+// POST /api/arduino plus an apiKey field. Rejected messages are answered on
+// <prefix>/<deviceId>/error with { error, fields } so a station can log why.
+
+const DEFAULT_PREFIX = 'airaware';
+const DEFAULT_CLIENT_ID = 'airaware-backend';
+
+// Parse, authenticate, validate and store one message. Returns { sensorData }
+// or { error, fields } describing why it was rejected.
+const handleMessage = async (topicDeviceId, payload) => {
+  let body;
+  try {
+    body = JSON.parse(payload.toString('utf8'));
+  } catch {
+    return { error: 'Payload must be JSON' };
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'Payload must be a JSON object' };
+  }
+
+  const { apiKey, ...fields } = body;
+  const { device, error } = await authenticateDevice(apiKey);
+  if (error) {
+    return { error };
+  }
+  // The topic names the device too; it has to agree with the key
+  if (device.deviceId !== topicDeviceId) {
+    return { error: 'API key is not valid for this device' };
+  }
+
+  const { reading, ...rejection } = prepareReading(device, fields);
+  if (!reading) {
+    return { error: rejection.error, fields: rejection.fields };
+  }
+
+  try {
+    return { sensorData: await saveReading(device, reading) };
+  } catch (saveError) {
+    if (saveError.name === 'ValidationError') {
+      const invalid = {};
+      Object.entries(saveError.errors).forEach(([path, fieldError]) => {
+        invalid[path] = fieldError.message;
+      });
+      return { error: 'Invalid sensor data', fields: invalid };
+    }
+    if (saveError.code === 11000) {
+      return { error: 'A reading with this timestamp already exists for this device' };
+    }
+    throw saveError;
+  }
+};
+
+// Connect to the broker and subscribe to every station's reading topic.
+// Returns the mqtt client, or null when MQTT_URL isn't set. Options override
+// the environment.
+const startMqttBridge = (options = {}) => {
+  const url = options.url || process.env.MQTT_URL;
+  if (!url) {
+    return null;
+  }
+
+  const prefix = options.prefix || process.env.MQTT_TOPIC_PREFIX || DEFAULT_PREFIX;
+  const client = mqtt.connect(url, {
+    username: options.username || process.env.MQTT_USERNAME,
+    password: options.password || process.env.MQTT_PASSWORD,
+    clientId: options.clientId || process.env.MQTT_CLIENT_ID || DEFAULT_CLIENT_ID,
+    // A persistent session under a stable clientId: the broker keeps the
+    // subscription and queues QoS 1 messages while the backend is down
+    clean: false,
+    reconnectPeriod: 5000
+  });
+
+  const readingTopic = `${prefix}/+/reading`;
+
+  client.on('connect', () => {
+    client.subscribe(readingTopic, { qos: 1 }, (error) => {
+      if (error) {
+        console.error(`Error subscribing to ${readingTopic}:`, error);
+      } else {
+        console.log(`MQTT bridge subscribed to ${readingTopic} on ${url}`);
+      }
+    });
+  });
+
+  client.on('message', async (topic, payload) => {
+    const [, deviceId, kind] = topic.split('/').slice(-3);
+    if (kind !== 'reading' || !deviceId) {
+      return;
+    }
+
+    try {
+      const { sensorData, error, fields } = await handleMessage(deviceId, payload);
+      if (sensorData) {
+        console.log(`MQTT reading from ${deviceId} saved`);
+        return;
+      }
+      console.warn(`MQTT reading from ${deviceId} rejected: ${error}`, fields || '');
+      client.publish(`${prefix}/${deviceId}/error`, JSON.stringify({ error, fields }), { qos: 0 });
+    } catch (error) {
+      console.error('Error saving MQTT reading:', error);
+    }
+  });
+
+  client.on('error', (error) => {
+    console.error('MQTT bridge error:', error.message);
+  });
+
+  return client;
+};
+
+module.exports = { startMqttBridge, handleMessage };
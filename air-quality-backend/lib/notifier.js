@@ -0,0 +1,106 @@
+const nodemailer = require('nodemailer');
+const events = require('./events');
+const { sendPush } = require('./push');
+
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+const OPERATOR_SYMBOLS = { gt: '>', gte: '≥', lt: '<', lte: '≤' };
+
+let transport = null;
+
+// SMTP is configured through SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS and SMTP_FROM
+const getTransport = () => {
+  if (!process.env.SMTP_HOST) {
+    return null;
+  }
+  if (!transport) {
+    const port = parseInt(process.env.SMTP_PORT) || 587;
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: port === 465,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+  return transport;
+};
+
+const describe = (alertEvent, transition) => {
+  const condition = `${alertEvent.metric} ${OPERATOR_SYMBOLS[alertEvent.operator] || alertEvent.operator} ${alertEvent.threshold}`;
+  const verb = transition === 'opened' ? 'triggered' : transition;
+  return {
+    subject: `[Air Aware] ${alertEvent.ruleName} ${verb} at ${alertEvent.deviceId}`,
+    text: [
+      `Rule: ${alertEvent.ruleName} (${alertEvent.aggregation} ${condition})`,
+      `Device: ${alertEvent.deviceId}`,
+      `State: ${alertEvent.state}`,
+      `Value: ${alertEvent.lastValue}`,
+      `Peak: ${alertEvent.peakValue}`,
+      `Opened: ${alertEvent.openedAt.toISOString()}`,
+      alertEvent.resolvedAt ? `Resolved: ${alertEvent.resolvedAt.toISOString()}` : null
+    ].filter(Boolean).join('\n')
+  };
+};
+
+const sendEmail = async (recipients, alertEvent, transition) => {
+  const mailer = getTransport();
+  if (!mailer) {
+    console.warn('Alert email skipped: SMTP_HOST is not configured');
+    return;
+  }
+  const { subject, text } = describe(alertEvent, transition);
+  await mailer.sendMail({
+    from: process.env.SMTP_FROM || process.env.SMTP_USER,
+    to: recipients.join(', '),
+    subject,
+    text
+  });
+};
+
+const sendWebhook = async (url, payload) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    throw new Error(`Webhook ${url} responded with ${response.status}`);
+  }
+};
+
+// Deliver an alert transition ('opened', 'acknowledged' or 'resolved') on
+// every channel the rule asks for. One failing channel doesn't stop the others.
+const notify = async (rule, alertEvent, transition) => {
+  const payload = { transition, alert: alertEvent.toJSON() };
+  const deliveries = [];
+
+  if (rule.notify.socket) {
+    events.emit('alert', payload);
+  }
+  if (rule.notify.email.length > 0) {
+    deliveries.push(sendEmail(rule.notify.email, alertEvent, transition));
+  }
+  // Browser push is for new problems only, not every state change
+  if (rule.notify.push && transition === 'opened') {
+    const { subject, text } = describe(alertEvent, transition);
+    deliveries.push(sendPush(alertEvent.deviceId, {
+      title: subject.replace('[Air Aware] ', ''),
+      body: text.split('\n').slice(0, 4).join('\n'),
+      tag: `alert-${alertEvent._id}`,
+      url: '/'
+    }));
+  }
+  rule.notify.webhooks.forEach((url) => {
+    deliveries.push(sendWebhook(url, payload));
+  });
+
+  const results = await Promise.allSettled(deliveries);
+  results
+    .filter((result) => result.status === 'rejected')
+    .forEach((result) => console.error('Error delivering alert notification:', result.reason));
+};
+
+module.exports = { notify };
@@ -0,0 +1,207 @@
+// The subset of OData $filter expressions the SensorThings API accepts:
+//
+//   comparisons   eq ne gt ge lt le
+//   logic         and or not, with parentheses
+//   literals      'strings' (quote doubled to escape), numbers, true/false,
+//                 null and ISO 8601 times such as 2024-05-01T00:00:00Z
+//   properties    name, @iot.id, or paths like properties/status
+//
+// parseFilter turns an expression into a small tree. matchesFilter evaluates
+// it against an entity already in memory; filterToMongo translates it into a
+// MongoDB query when the entities come straight from a collection.
+
+const COMPARISONS = { eq: '$eq', ne: '$ne', gt: '$gt', ge: '$gte', lt: '$lt', le: '$lte' };
+
+// Flipped when the literal is written first, e.g. 10 lt result
+const REVERSED = { eq: 'eq', ne: 'ne', gt: 'lt', ge: 'le', lt: 'gt', le: 'ge' };
+
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+
+const TOKEN = /\s*(?:(\()|(\))|'((?:[^']|'')*)'|(\d{4}-\d{2}-\d{2}T[\d:.]+(?:Z|[+-]\d{2}:\d{2}))|(-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)(?![\w@])|([@\w][\w@./]*))/y;
+
+const tokenize = (expression) => {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < expression.length) {
+    if (/^\s*$/.test(expression.slice(TOKEN.lastIndex))) break;
+    const start = TOKEN.lastIndex;
+    const match = TOKEN.exec(expression);
+    if (!match) {
+      // Point past the whitespace the token would have started after
+      const at = start + expression.slice(start).search(/\S/);
+      throw new Error(`unexpected character at position ${at}`);
+    }
+    const [, open, close, string, dateTime, number, word] = match;
+    if (open) tokens.push({ type: '(' });
+    else if (close) tokens.push({ type: ')' });
+    else if (string !== undefined) tokens.push({ type: 'literal', value: string.replace(/''/g, "'") });
+    else if (dateTime) {
+      if (!DATE_TIME.test(dateTime) || Number.isNaN(new Date(dateTime).getTime())) {
+        throw new Error(`invalid time ${dateTime}`);
+      }
+      tokens.push({ type: 'literal', value: new Date(dateTime) });
+    } else if (number) tokens.push({ type: 'literal', value: Number(number) });
+    else tokens.push({ type: 'word', value: word });
+  }
+  return tokens;
+};
+
+const parse = (tokens) => {
+  let position = 0;
+  const peek = () => tokens[position];
+  const isWord = (value) => peek() && peek().type === 'word' && peek().value === value;
+
+  const primary = () => {
+    const token = tokens[position++];
+    if (!token) {
+      throw new Error('expression ends unexpectedly');
+    }
+    if (token.type === '(') {
+      const node = or();
+      if (!peek() || peek().type !== ')') {
+        throw new Error('missing closing parenthesis');
+      }
+      position++;
+      return node;
+    }
+    if (token.type === 'literal') {
+      return { type: 'literal', value: token.value };
+    }
+    if (token.type === 'word') {
+      if (token.value === 'true' || token.value === 'false') return { type: 'literal', value: token.value === 'true' };
+      if (token.value === 'null') return { type: 'literal', value: null };
+      if (COMPARISONS[token.value] || ['and', 'or', 'not'].includes(token.value)) {
+        throw new Error(`unexpected "${token.value}"`);
+      }
+      return { type: 'property', path: token.value };
+    }
+    throw new Error('unexpected ")"');
+  };
+
+  const comparison = () => {
+    const left = primary();
+    const op = peek() && peek().type === 'word' && COMPARISONS[peek().value] ? tokens[position++].value : null;
+    if (!op) {
+      if (left.type === 'literal' || left.type === 'property') {
+        throw new Error('expected a comparison such as "result gt 10"');
+      }
+      return left;
+    }
+    const right = primary();
+    if (left.type === right.type || ![left.type, right.type].every((type) => type === 'literal' || type === 'property')) {
+      throw new Error(`"${op}" must compare a property with a value`);
+    }
+    return left.type === 'property'
+      ? { type: 'compare', op, path: left.path, value: right.value }
+      : { type: 'compare', op: REVERSED[op], path: right.path, value: left.value };
+  };
+
+  const not = () => {
+    if (isWord('not')) {
+      position++;
+      return { type: 'not', expr: not() };
+    }
+    return comparison();
+  };
+
+  const and = () => {
+    let node = not();
+    while (isWord('and')) {
+      position++;
+      node = { type: 'and', left: node, right: not() };
+    }
+    return node;
+  };
+
+  const or = () => {
+    let node = and();
+    while (isWord('or')) {
+      position++;
+      node = { type: 'or', left: node, right: and() };
+    }
+    return node;
+  };
+
+  const tree = or();
+  if (position < tokens.length) {
+    throw new Error('unexpected input after the end of the expression');
+  }
+  return tree;
+};
+
+// Returns { tree } or { error }
+const parseFilter = (expression) => {
+  try {
+    return { tree: parse(tokenize(String(expression))) };
+  } catch (error) {
+    return { error: `Invalid $filter: ${error.message}` };
+  }
+};
+
+// Times are compared as instants whichever side holds the Date
+const compareValues = (op, actual, expected) => {
+  let a = actual;
+  let b = expected;
+  if (b instanceof Date || a instanceof Date) {
+    a = a === null || a === undefined ? null : new Date(a).getTime();
+    b = b === null ? null : new Date(b).getTime();
+  }
+  if (a === undefined) a = null;
+
+  switch (op) {
+    case 'eq': return a === b;
+    case 'ne': return a !== b;
+    // Nothing is greater or less than null, as in OData
+    case 'gt': return a !== null && b !== null && a > b;
+    case 'ge': return a !== null && b !== null && a >= b;
+    case 'lt': return a !== null && b !== null && a < b;
+    case 'le': return a !== null && b !== null && a <= b;
+    default: return false;
+  }
+};
+
+const resolvePath = (entity, path) => path.split('/').reduce(
+  (value, key) => (value === null || value === undefined ? undefined : value[key]),
+  entity
+);
+
+const matchesFilter = (tree, entity) => {
+  switch (tree.type) {
+    case 'and': return matchesFilter(tree.left, entity) && matchesFilter(tree.right, entity);
+    case 'or': return matchesFilter(tree.left, entity) || matchesFilter(tree.right, entity);
+    case 'not': return !matchesFilter(tree.expr, entity);
+    case 'compare': return compareValues(tree.op, resolvePath(entity, tree.path), tree.value);
+    default: return false;
+  }
+};
+
+// Translate a parsed filter into a MongoDB query. mapProperty turns a filter
+// property into a document path, or returns null when it can't be queried;
+// those become { error } naming the property.
+const filterToMongo = (tree, mapProperty) => {
+  const unsupported = [];
+  const translate = (node) => {
+    switch (node.type) {
+      case 'and': return { $and: [translate(node.left), translate(node.right)] };
+      case 'or': return { $or: [translate(node.left), translate(node.right)] };
+      case 'not': return { $nor: [translate(node.expr)] };
+      case 'compare': {
+        const field = mapProperty(node.path);
+        if (!field) {
+          unsupported.push(node.path);
+          return {};
+        }
+        return { [field]: { [COMPARISONS[node.op]]: node.value } };
+      }
+      default: return {};
+    }
+  };
+
+  const query = translate(tree);
+  if (unsupported.length > 0) {
+    return { error: `Cannot filter on ${[...new Set(unsupported)].join(', ')}` };
+  }
+  return { query };
+};
+
+module.exports = { parseFilter, matchesFilter, filterToMongo };
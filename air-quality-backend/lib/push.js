@@ -0,0 +1,88 @@
+const webpush = require('web-push');
+const PushSubscription = require('../models/PushSubscription');
+const SensorData = require('../models/SensorData');
+
+// US EPA AQI above this is "Unhealthy for Sensitive Groups" or worse
+const SENSITIVE_AQI = 100;
+
+let configured = null;
+
+// VAPID keys come from VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY; generate a pair
+// with `npx web-push generate-vapid-keys`. VAPID_SUBJECT is a mailto: or https: contact.
+const isPushConfigured = () => {
+  if (configured === null) {
+    const { VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, VAPID_SUBJECT } = process.env;
+    configured = Boolean(VAPID_PUBLIC_KEY && VAPID_PRIVATE_KEY);
+    if (configured) {
+      webpush.setVapidDetails(VAPID_SUBJECT || 'mailto:admin@localhost', VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY);
+    }
+  }
+  return configured;
+};
+
+const getPublicKey = () => (isPushConfigured() ? process.env.VAPID_PUBLIC_KEY : null);
+
+// Send a notification to every browser subscribed to this station. Subscriptions
+// the push service reports as gone are removed.
+const sendPush = async (deviceId, notification) => {
+  if (!isPushConfigured()) {
+    return;
+  }
+
+  const subscriptions = await PushSubscription.find({
+    $or: [{ deviceIds: { $size: 0 } }, { deviceIds: deviceId }]
+  });
+  const body = JSON.stringify(notification);
+
+  const results = await Promise.allSettled(subscriptions.map((subscription) => (
+    webpush.sendNotification({ endpoint: subscription.endpoint, keys: subscription.keys }, body)
+  )));
+
+  const expired = [];
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      return;
+    }
+    if (result.reason.statusCode === 404 || result.reason.statusCode === 410) {
+      expired.push(subscriptions[index]._id);
+    } else {
+      console.error('Error sending push notification:', result.reason);
+    }
+  });
+
+  if (expired.length > 0) {
+    await PushSubscription.deleteMany({ _id: { $in: expired } });
+  }
+  const delivered = subscriptions.filter((subscription, index) => results[index].status === 'fulfilled');
+  if (delivered.length > 0) {
+    await PushSubscription.updateMany(
+      { _id: { $in: delivered.map((subscription) => subscription._id) } },
+      { lastNotifiedAt: new Date() }
+    );
+  }
+};
+
+// Push a warning when a station's AQI rises past "Unhealthy for Sensitive
+// Groups". Only the crossing is notified, not every reading above it.
+const notifyAqiCrossing = async (reading) => {
+  if (!isPushConfigured() || typeof reading.aqi !== 'number' || reading.aqi <= SENSITIVE_AQI) {
+    return;
+  }
+
+  const previous = await SensorData.findOne(
+    { deviceId: reading.deviceId, timestamp: { $lt: reading.timestamp } },
+    { aqi: 1 }
+  ).sort({ timestamp: -1 });
+  if (previous && typeof previous.aqi === 'number' && previous.aqi > SENSITIVE_AQI) {
+    return;
+  }
+
+  await sendPush(reading.deviceId, {
+    title: `Air quality: ${reading.aqiCategory}`,
+    body: `AQI at ${reading.deviceId} is ${reading.aqi}. Sensitive groups should reduce time outdoors.`,
+    tag: `aqi-${reading.deviceId}`,
+    url: '/insights'
+  });
+};
+
+module.exports = { SENSITIVE_AQI, isPushConfigured, getPublicKey, sendPush, notifyAqiCrossing };
@@ -0,0 +1,101 @@
+// Turns query string parameters into a SensorData filter. Shared by the
+// paginated data API and the export routes so both accept the same filters:
+//
+//   deviceId=a,b                 one or more devices
+//   startDate=...&endDate=...    timestamp range (either end optional)
+//   pm25[gt]=35&humidity[lte]=80 numeric thresholds (gt, gte, lt, lte)
+
+const SensorData = require('../models/SensorData');
+
+const NUMERIC_FIELDS = [
+  'temperature', 'humidity', 'vocIndex', 'vocRaw', 'pm1', 'pm25', 'pm10',
+  'rainfall', 'windSpeed', 'aqi'
+];
+
+const SORTABLE_FIELDS = ['timestamp', 'deviceId', 'windDirection', ...NUMERIC_FIELDS];
+
+const OPERATORS = { gt: '$gt', gte: '$gte', lt: '$lt', lte: '$lte' };
+
+const parseList = (value) => {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+};
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// The newest reading of every device. Walks the (deviceId, timestamp) index,
+// taking the first entry per device.
+const latestReadingPerDevice = () => SensorData.aggregate([
+  { $sort: { deviceId: 1, timestamp: -1 } },
+  { $group: { _id: '$deviceId', reading: { $first: '$$ROOT' } } },
+  { $replaceRoot: { newRoot: '$reading' } }
+]);
+
+// Returns { filter, errors }; errors maps parameter names to messages or is null
+const buildReadingFilter = (query) => {
+  const filter = {};
+  const errors = {};
+
+  const deviceIds = parseList(query.deviceId);
+  if (deviceIds.length === 1) {
+    filter.deviceId = deviceIds[0];
+  } else if (deviceIds.length > 1) {
+    filter.deviceId = { $in: deviceIds };
+  }
+
+  ['startDate', 'endDate'].forEach((param) => {
+    if (!query[param]) return;
+    const date = parseDate(query[param]);
+    if (!date) {
+      errors[param] = 'must be a valid date';
+      return;
+    }
+    filter.timestamp = filter.timestamp || {};
+    filter.timestamp[param === 'startDate' ? '$gte' : '$lte'] = date;
+  });
+
+  NUMERIC_FIELDS.forEach((field) => {
+    const conditions = query[field];
+    if (conditions === undefined) return;
+    if (typeof conditions !== 'object' || Array.isArray(conditions)) {
+      errors[field] = `use ${field}[gt|gte|lt|lte]=value`;
+      return;
+    }
+
+    Object.entries(conditions).forEach(([op, raw]) => {
+      const value = Number(raw);
+      if (!OPERATORS[op]) {
+        errors[`${field}[${op}]`] = `unknown operator, use one of ${Object.keys(OPERATORS).join(', ')}`;
+      } else if (raw === '' || !Number.isFinite(value)) {
+        errors[`${field}[${op}]`] = 'must be a number';
+      } else {
+        filter[field] = filter[field] || {};
+        filter[field][OPERATORS[op]] = value;
+      }
+    });
+  });
+
+  return { filter, errors: Object.keys(errors).length > 0 ? errors : null };
+};
+
+// Sort from ?sort=field&order=asc|desc, newest first by default. Ties are
+// broken by _id so pages are stable.
+const buildReadingSort = (query) => {
+  const field = SORTABLE_FIELDS.includes(query.sort) ? query.sort : 'timestamp';
+  const direction = query.order === 'asc' ? 1 : -1;
+  return { [field]: direction, _id: direction };
+};
+
+module.exports = {
+  NUMERIC_FIELDS,
+  SORTABLE_FIELDS,
+  parseList,
+  buildReadingFilter,
+  buildReadingSort,
+  latestReadingPerDevice
+};
@@ -0,0 +1,229 @@
+const SensorData = require('../models/SensorData');
+const Device = require('../models/Device');
+const { FIELD_RULES } = require('./validateReading');
+const { requireAdminSocket } = require('../middleware/auth');
+const events = require('./events');
+
+// Socket.IO protocol
+//
+// Default namespace, for dashboards:
+//   client → 'subscribe' { deviceIds?, bbox?, throttleMs?, metrics? }
+//     deviceIds   only these stations
+//     bbox        [west, south, east, north]; the stations registered inside it
+//                 when subscribing (omit both for every station)
+//     throttleMs  at most one reading per station per interval, rounded up
+//                 to one of THROTTLE_TIERS
+//     metrics     only send these fields (deviceId and timestamp always included)
+//   server → 'subscribe-ack' { deviceIds, throttleMs, metrics, latest }
+//     latest is the newest stored reading of each station, so the UI can
+//     paint without waiting for the next one
+//   client → 'unsubscribe'
+//   server → 'sensor-data' reading, 'alert' { transition, alert }
+//
+// A new subscribe replaces the previous one. Sockets that never subscribe get
+// every reading unthrottled, as before the protocol existed.
+//
+// '/admin' namespace, authenticated with ADMIN_TOKEN in the handshake:
+//   server → the event bus's 'admin' events under their type, plus 'alert'
+
+const THROTTLE_TIERS = [0, 1000, 5000, 15000, 60000];
+const METRIC_FIELDS = [
+  ...Object.keys(FIELD_RULES), 'windDirection', 'location', 'aqi', 'aqiCategory', 'dominantPollutant', 'flags'
+];
+const MAX_DEVICES = 100;
+const ALL_DEVICES = '*';
+
+const throttleTier = (ms) => THROTTLE_TIERS.find((tier) => ms <= tier) ?? THROTTLE_TIERS[THROTTLE_TIERS.length - 1];
+
+const isStringList = (value) => Array.isArray(value) && value.every((item) => typeof item === 'string');
+
+const project = (reading, metrics) => {
+  if (!metrics) {
+    return reading;
+  }
+  const projected = { _id: reading._id, deviceId: reading.deviceId, timestamp: reading.timestamp };
+  metrics.forEach((metric) => {
+    if (reading[metric] !== undefined) projected[metric] = reading[metric];
+  });
+  return projected;
+};
+
+// Check a subscribe request and work out which stations it covers.
+// Returns { subscription } or { error }.
+const resolveSubscription = async (request = {}) => {
+  const { deviceIds, bbox, throttleMs = 0, metrics } = request;
+
+  if (deviceIds !== undefined && (!isStringList(deviceIds) || deviceIds.length > MAX_DEVICES)) {
+    return { error: `deviceIds must be an array of at most ${MAX_DEVICES} strings` };
+  }
+  if (bbox !== undefined && (!Array.isArray(bbox) || bbox.length !== 4 || !bbox.every(Number.isFinite))) {
+    return { error: 'bbox must be [west, south, east, north]' };
+  }
+  if (typeof throttleMs !== 'number' || throttleMs < 0) {
+    return { error: 'throttleMs must be a non-negative number' };
+  }
+  if (metrics !== undefined && (!isStringList(metrics) || metrics.some((metric) => !METRIC_FIELDS.includes(metric)))) {
+    return { error: `metrics must be a list of ${METRIC_FIELDS.join(', ')}` };
+  }
+
+  let resolved = deviceIds ? [...new Set(deviceIds)] : null;
+  if (bbox) {
+    const [west, south, east, north] = bbox;
+    const inside = await Device.find({
+      'location.latitude': { $gte: south, $lte: north },
+      'location.longitude': { $gte: west, $lte: east }
+    }, { deviceId: 1 }).limit(MAX_DEVICES);
+    const ids = inside.map((device) => device.deviceId);
+    resolved = resolved ? resolved.filter((id) => ids.includes(id)) : ids;
+  }
+
+  return {
+    subscription: {
+      deviceIds: resolved,
+      throttleMs: throttleTier(throttleMs),
+      metrics: metrics && metrics.length > 0 ? [...new Set(metrics)].sort() : null
+    }
+  };
+};
+
+// Newest stored reading of each subscribed station
+const latestReadings = async ({ deviceIds, metrics }) => {
+  const ids = deviceIds || (await SensorData.distinct('deviceId')).slice(0, MAX_DEVICES);
+  const readings = await Promise.all(ids.map((deviceId) => (
+    SensorData.findOne({ deviceId }).sort({ timestamp: -1 }).lean()
+  )));
+  return readings.filter(Boolean).map((reading) => project(reading, metrics));
+};
+
+const attachRealtime = (io) => {
+  const readings = io.of('/');
+  const admin = io.of('/admin');
+
+  // Room name → { deviceId, throttleMs, metrics }, and deviceId → room names
+  const roomInfo = new Map();
+  const roomsByDevice = new Map();
+  // Room name → deviceId → { timer, pending } for throttled rooms. Kept per
+  // station, since the every-station room carries them all.
+  const throttles = new Map();
+
+  const roomName = (deviceId, { throttleMs, metrics }) => (
+    `readings:${deviceId}:${throttleMs}:${metrics ? metrics.join(',') : '*'}`
+  );
+
+  const joinRooms = (socket, subscription) => {
+    (socket.data.readingRooms || []).forEach((room) => socket.leave(room));
+    const rooms = (subscription.deviceIds || [ALL_DEVICES]).map((deviceId) => {
+      const room = roomName(deviceId, subscription);
+      if (!roomInfo.has(room)) {
+        roomInfo.set(room, { deviceId, throttleMs: subscription.throttleMs, metrics: subscription.metrics });
+        if (!roomsByDevice.has(deviceId)) roomsByDevice.set(deviceId, new Set());
+        roomsByDevice.get(deviceId).add(room);
+      }
+      socket.join(room);
+      return room;
+    });
+    socket.data.readingRooms = rooms;
+  };
+
+  readings.adapter.on('delete-room', (room) => {
+    const info = roomInfo.get(room);
+    if (!info) return;
+    roomInfo.delete(room);
+    roomsByDevice.get(info.deviceId).delete(room);
+    if (roomsByDevice.get(info.deviceId).size === 0) roomsByDevice.delete(info.deviceId);
+    (throttles.get(room) || new Map()).forEach((throttle) => clearTimeout(throttle.timer));
+    throttles.delete(room);
+  });
+
+  // Send now if the station's interval in this room has passed, otherwise
+  // keep only its newest reading and send it when the interval ends
+  const emitThrottled = (room, throttleMs, payload) => {
+    if (throttleMs === 0) {
+      readings.to(room).emit('sensor-data', payload);
+      return;
+    }
+    const { deviceId } = payload;
+    if (!throttles.has(room)) throttles.set(room, new Map());
+    const roomThrottles = throttles.get(room);
+    const throttle = roomThrottles.get(deviceId);
+    if (throttle) {
+      throttle.pending = payload;
+      return;
+    }
+    readings.to(room).emit('sensor-data', payload);
+    const state = { pending: null, timer: null };
+    const flush = () => {
+      if (!state.pending) {
+        roomThrottles.delete(deviceId);
+        if (roomThrottles.size === 0 && throttles.get(room) === roomThrottles) throttles.delete(room);
+        return;
+      }
+      readings.to(room).emit('sensor-data', state.pending);
+      state.pending = null;
+      state.timer = setTimeout(flush, throttleMs);
+    };
+    state.timer = setTimeout(flush, throttleMs);
+    roomThrottles.set(deviceId, state);
+  };
+
+  events.on('reading', (reading) => {
+    const payload = typeof reading.toJSON === 'function' ? reading.toJSON() : reading;
+    [ALL_DEVICES, payload.deviceId].forEach((deviceId) => {
+      (roomsByDevice.get(deviceId) || []).forEach((room) => {
+        const { throttleMs, metrics } = roomInfo.get(room);
+        emitThrottled(room, throttleMs, project(payload, metrics));
+      });
+    });
+  });
+
+  events.on('alert', (alert) => {
+    readings.emit('alert', alert);
+    admin.emit('alert', alert);
+  });
+
+  events.on('admin', ({ type, ...detail }) => {
+    admin.emit(type, detail);
+  });
+
+  readings.on('connection', (socket) => {
+    console.log('Client connected:', socket.id);
+    joinRooms(socket, { deviceIds: null, throttleMs: 0, metrics: null });
+
+    socket.on('subscribe', async (request, ack) => {
+      try {
+        const { subscription, error } = await resolveSubscription(request);
+        if (error) {
+          socket.emit('subscribe-error', { error });
+          if (typeof ack === 'function') ack({ error });
+          return;
+        }
+
+        joinRooms(socket, subscription);
+        const response = { ...subscription, latest: await latestReadings(subscription) };
+        socket.emit('subscribe-ack', response);
+        if (typeof ack === 'function') ack(response);
+      } catch (error) {
+        console.error('Error handling socket subscription:', error);
+        socket.emit('subscribe-error', { error: 'Failed to subscribe' });
+        if (typeof ack === 'function') ack({ error: 'Failed to subscribe' });
+      }
+    });
+
+    socket.on('unsubscribe', (ack) => {
+      (socket.data.readingRooms || []).forEach((room) => socket.leave(room));
+      socket.data.readingRooms = [];
+      if (typeof ack === 'function') ack({ success: true });
+    });
+
+    socket.on('disconnect', () => {
+      console.log('Client disconnected:', socket.id);
+    });
+  });
+
+  admin.use(requireAdminSocket);
+  admin.on('connection', (socket) => {
+    console.log('Admin client connected:', socket.id);
+  });
+};
+
+module.exports = { attachRealtime, THROTTLE_TIERS, METRIC_FIELDS };
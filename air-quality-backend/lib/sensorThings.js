@@ -0,0 +1,210 @@
+const mongoose = require('mongoose');
+const Device = require('../models/Device');
+const SensorData = require('../models/SensorData');
+const { matchesFilter, filterToMongo } = require('./odataFilter');
+
+// Read-only mapping of our models onto OGC SensorThings API 1.1 entities:
+//
+//   Thing         a Device, @iot.id is its deviceId
+//   Location      where a Device is installed, same @iot.id as its Thing
+//   Datastream    one measured field of one Device, @iot.id "<deviceId>:<field>"
+//   Observation   one field of one SensorData reading, @iot.id "<readingId>:<field>"
+//
+// Every collection's list(base, scope, options) returns { entities, more } where
+// scope narrows it to a device (and field) when reached through navigation.
+
+const MEASUREMENT = 'http://www.opengis.net/def/observationType/OGC-OM/2.0/OM_Measurement';
+const CATEGORY_OBSERVATION = 'http://www.opengis.net/def/observationType/OGC-OM/2.0/OM_CategoryObservation';
+
+const MICROGRAMS = { name: 'microgram per cubic metre', symbol: 'µg/m³', definition: 'ucum:ug/m3' };
+
+const OBSERVED_FIELDS = {
+  temperature: { label: 'Air temperature', unitOfMeasurement: { name: 'degree Celsius', symbol: '°C', definition: 'ucum:Cel' } },
+  humidity: { label: 'Relative humidity', unitOfMeasurement: { name: 'percent', symbol: '%', definition: 'ucum:%' } },
+  vocIndex: { label: 'VOC index', unitOfMeasurement: { name: 'Sensirion VOC index', symbol: '', definition: 'ucum:1' } },
+  pm1: { label: 'PM1', unitOfMeasurement: MICROGRAMS },
+  pm25: { label: 'PM2.5', unitOfMeasurement: MICROGRAMS },
+  pm10: { label: 'PM10', unitOfMeasurement: MICROGRAMS },
+  rainfall: { label: 'Rainfall', unitOfMeasurement: { name: 'millimetre', symbol: 'mm', definition: 'ucum:mm' } },
+  windSpeed: { label: 'Wind speed', unitOfMeasurement: { name: 'metre per second', symbol: 'm/s', definition: 'ucum:m/s' } },
+  windDirection: {
+    label: 'Wind direction',
+    observationType: CATEGORY_OBSERVATION,
+    unitOfMeasurement: { name: 'compass point', symbol: '', definition: 'ucum:1' }
+  },
+  aqi: { label: 'US EPA AQI', unitOfMeasurement: { name: 'index', symbol: '', definition: 'ucum:1' } }
+};
+
+const FIELDS = Object.keys(OBSERVED_FIELDS);
+
+// "<id>:<field>", split at the last colon since deviceIds are free text
+const splitId = (id) => {
+  const at = id.lastIndexOf(':');
+  const field = id.slice(at + 1);
+  return at > 0 && OBSERVED_FIELDS[field] ? { id: id.slice(0, at), field } : null;
+};
+
+const quote = (id) => `('${String(id).replace(/'/g, "''")}')`;
+
+const toThing = (base, device) => ({
+  '@iot.id': device.deviceId,
+  '@iot.selfLink': `${base}/Things${quote(device.deviceId)}`,
+  name: device.name,
+  description: `Air quality station ${device.name}`,
+  properties: {
+    status: device.status,
+    mobile: Boolean(device.mobile),
+    installDate: device.installDate
+  },
+  'Locations@iot.navigationLink': `${base}/Things${quote(device.deviceId)}/Locations`,
+  'Datastreams@iot.navigationLink': `${base}/Things${quote(device.deviceId)}/Datastreams`
+});
+
+const toLocation = (base, device) => ({
+  '@iot.id': device.deviceId,
+  '@iot.selfLink': `${base}/Locations${quote(device.deviceId)}`,
+  name: device.name,
+  description: device.mobile ? `Home location of mobile sensor ${device.name}` : `Installation site of ${device.name}`,
+  encodingType: 'application/geo+json',
+  location: { type: 'Point', coordinates: [device.location.longitude, device.location.latitude] },
+  'Things@iot.navigationLink': `${base}/Locations${quote(device.deviceId)}/Things`
+});
+
+const toDatastream = (base, device, field) => {
+  const id = `${device.deviceId}:${field}`;
+  const { label, unitOfMeasurement, observationType = MEASUREMENT } = OBSERVED_FIELDS[field];
+  return {
+    '@iot.id': id,
+    '@iot.selfLink': `${base}/Datastreams${quote(id)}`,
+    name: `${label} at ${device.name}`,
+    description: `${label} measured by ${device.name}`,
+    observationType,
+    unitOfMeasurement,
+    properties: { field },
+    'Thing@iot.navigationLink': `${base}/Datastreams${quote(id)}/Thing`,
+    'Observations@iot.navigationLink': `${base}/Datastreams${quote(id)}/Observations`
+  };
+};
+
+const toObservation = (base, reading, field) => {
+  const id = `${reading._id}:${field}`;
+  const value = reading[field];
+  return {
+    '@iot.id': id,
+    '@iot.selfLink': `${base}/Observations${quote(id)}`,
+    phenomenonTime: reading.timestamp.toISOString(),
+    resultTime: reading.timestamp.toISOString(),
+    result: value === undefined ? null : value,
+    'Datastream@iot.navigationLink': `${base}/Observations${quote(id)}/Datastream`
+  };
+};
+
+// Filter and page entities already built in memory
+const page = (entities, { tree, skip, top }) => {
+  const matching = tree ? entities.filter((entity) => matchesFilter(tree, entity)) : entities;
+  return { entities: matching.slice(skip, skip + top), more: matching.length > skip + top };
+};
+
+const findDevices = (scope) => Device.find(scope.deviceId ? { deviceId: scope.deviceId } : {}).sort({ deviceId: 1 }).lean();
+
+// Observations are filtered in MongoDB; only their times can be queried, plus
+// result when the observations belong to a single Datastream
+const observationProperty = (field) => (property) => {
+  if (property === 'phenomenonTime' || property === 'resultTime') return 'timestamp';
+  if (property === 'result' && field) return field;
+  return null;
+};
+
+const collections = {
+  Things: {
+    get: async (base, id) => {
+      const device = await Device.findOne({ deviceId: id }).lean();
+      return device && toThing(base, device);
+    },
+    list: async (base, scope, options) => page((await findDevices(scope)).map((device) => toThing(base, device)), options)
+  },
+
+  Locations: {
+    get: async (base, id) => {
+      const device = await Device.findOne({ deviceId: id }).lean();
+      return device && toLocation(base, device);
+    },
+    list: async (base, scope, options) => page((await findDevices(scope)).map((device) => toLocation(base, device)), options)
+  },
+
+  Datastreams: {
+    get: async (base, id) => {
+      const parts = splitId(id);
+      const device = parts && await Device.findOne({ deviceId: parts.id }).lean();
+      return device && toDatastream(base, device, parts.field);
+    },
+    list: async (base, scope, options) => {
+      const devices = await findDevices(scope);
+      return page(devices.flatMap((device) => FIELDS.map((field) => toDatastream(base, device, field))), options);
+    }
+  },
+
+  Observations: {
+    get: async (base, id) => {
+      const parts = splitId(id);
+      if (!parts || !mongoose.isValidObjectId(parts.id)) return null;
+      const reading = await SensorData.findById(parts.id).lean();
+      return reading && toObservation(base, reading, parts.field);
+    },
+    // Newest first. Outside a Datastream every reading stands for one
+    // Observation per field, with a null result where it lacks that field.
+    list: async (base, scope, { tree, skip, top }) => {
+      const filter = {};
+      if (scope.deviceId) filter.deviceId = scope.deviceId;
+      if (scope.field) filter[scope.field] = { $ne: null };
+      if (tree) {
+        const { query, error } = filterToMongo(tree, observationProperty(scope.field));
+        if (error) {
+          return { error: scope.field ? error : `${error}. Filter on result through Datastreams('<id>')/Observations` };
+        }
+        filter.$and = [query];
+      }
+
+      const fields = scope.field ? [scope.field] : FIELDS;
+      const firstReading = Math.floor(skip / fields.length);
+      const offset = skip % fields.length;
+      // One extra observation tells whether there is a next page
+      const readings = await SensorData.find(filter)
+        .sort({ timestamp: -1 })
+        .skip(firstReading)
+        .limit(Math.ceil((offset + top + 1) / fields.length))
+        .lean();
+
+      const observations = readings
+        .flatMap((reading) => fields.map((field) => toObservation(base, reading, field)))
+        .slice(offset);
+      return { entities: observations.slice(0, top), more: observations.length > top };
+    }
+  }
+};
+
+// Where a navigation property of an entity leads: { collection, scope } for
+// a related collection or { collection, id } for the one related entity
+const navigate = async (type, entity, property) => {
+  const id = entity['@iot.id'];
+  switch (`${type}/${property}`) {
+    case 'Things/Locations':
+    case 'Things/Datastreams':
+    case 'Locations/Things':
+      return { collection: property, scope: { deviceId: id } };
+    case 'Datastreams/Thing':
+      return { collection: 'Things', id: splitId(id).id };
+    case 'Datastreams/Observations':
+      return { collection: 'Observations', scope: { deviceId: splitId(id).id, field: splitId(id).field } };
+    case 'Observations/Datastream': {
+      // The reading's device isn't part of the Observation id
+      const { id: readingId, field } = splitId(id);
+      const reading = await SensorData.findById(readingId, { deviceId: 1 }).lean();
+      return { collection: 'Datastreams', id: reading ? `${reading.deviceId}:${field}` : null };
+    }
+    default:
+      return null;
+  }
+};
+
+module.exports = { OBSERVED_FIELDS, collections, navigate, splitId };
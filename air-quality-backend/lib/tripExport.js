@@ -0,0 +1,84 @@
+// GPX and GeoJSON renderings of a trip. Points are readings with a GPS fix,
+// oldest first, as loaded by routes/trips.
+
+const POINT_FIELDS = ['pm1', 'pm25', 'pm10', 'aqi', 'temperature', 'humidity'];
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const tripName = (trip) => trip.name || `${trip.deviceId} ${trip.startedAt.toISOString()}`;
+
+// GPX 1.1 track. Measurements go in each trackpoint's extensions under their
+// own namespace, which GPS tools that don't know it ignore.
+const toGpx = (trip, points) => {
+  const trackpoints = points.map((point) => {
+    const extensions = POINT_FIELDS
+      .filter((field) => typeof point[field] === 'number')
+      .map((field) => `<airaware:${field}>${point[field]}</airaware:${field}>`)
+      .join('');
+    return `      <trkpt lat="${point.location.latitude}" lon="${point.location.longitude}">`
+      + `<time>${point.timestamp.toISOString()}</time>`
+      + (extensions ? `<extensions>${extensions}</extensions>` : '')
+      + '</trkpt>';
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="AirAware" xmlns="http://www.topografix.com/GPX/1/1" xmlns:airaware="urn:airaware:gpx:1">',
+    `  <metadata><name>${escapeXml(tripName(trip))}</name><time>${trip.startedAt.toISOString()}</time></metadata>`,
+    '  <trk>',
+    `    <name>${escapeXml(tripName(trip))}</name>`,
+    '    <trkseg>',
+    ...trackpoints,
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>',
+    ''
+  ].join('\n');
+};
+
+// A LineString needs two positions, so a route with a single fix is a Point
+// and one without any has no geometry
+const routeGeometry = (coordinates) => {
+  if (coordinates.length === 0) return null;
+  if (coordinates.length === 1) return { type: 'Point', coordinates: coordinates[0] };
+  return { type: 'LineString', coordinates };
+};
+
+// The route carrying the trip summary, followed by one Point per reading with
+// its measurements
+const toGeoJson = (trip, points) => {
+  const coordinates = points.map((point) => [point.location.longitude, point.location.latitude]);
+
+  return {
+    type: 'FeatureCollection',
+    features: [
+      {
+        type: 'Feature',
+        geometry: routeGeometry(coordinates),
+        properties: {
+          tripId: String(trip._id),
+          name: tripName(trip),
+          deviceId: trip.deviceId,
+          startedAt: trip.startedAt,
+          endedAt: trip.endedAt,
+          distanceKm: trip.distanceKm,
+          pm25Mean: trip.pm25 && trip.pm25.mean,
+          pm25Max: trip.pm25 && trip.pm25.max
+        }
+      },
+      ...points.map((point, i) => {
+        const properties = { timestamp: point.timestamp };
+        POINT_FIELDS.forEach((field) => {
+          if (typeof point[field] === 'number') properties[field] = point[field];
+        });
+        return { type: 'Feature', geometry: { type: 'Point', coordinates: coordinates[i] }, properties };
+      })
+    ]
+  };
+};
+
+module.exports = { POINT_FIELDS, toGpx, toGeoJson };
@@ -0,0 +1,120 @@
+const Trip = require('../models/Trip');
+const SensorData = require('../models/SensorData');
+const { distanceKm } = require('./interpolate');
+
+// A mobile device that goes quiet for longer than this starts a new trip
+const TRIP_GAP_MS = (parseInt(process.env.TRIP_GAP_MINUTES) || 10) * 60 * 1000;
+
+const hasFix = (reading) => Boolean(reading.location)
+  && typeof reading.location.latitude === 'number'
+  && typeof reading.location.longitude === 'number';
+
+// Find the device's trip a reading falls within TRIP_GAP_MS of and widen it
+// to cover the reading, or start a new trip, in one upsert so a concurrent
+// request can't start a second trip between a lookup and a create
+const joinTrip = (deviceId, timestamp) => Trip.findOneAndUpdate(
+  {
+    deviceId,
+    startedAt: { $lte: new Date(timestamp.getTime() + TRIP_GAP_MS) },
+    endedAt: { $gte: new Date(timestamp.getTime() - TRIP_GAP_MS) }
+  },
+  { $min: { startedAt: timestamp }, $max: { endedAt: timestamp } },
+  { upsert: true, new: true, sort: { endedAt: -1 } }
+);
+
+// Upserts from two requests can still both insert when neither sees the
+// other's trip yet, so readings from one device are assigned one batch at a time
+const deviceQueues = new Map();
+const queueForDevice = (deviceId, task) => {
+  const previous = deviceQueues.get(deviceId) || Promise.resolve();
+  const run = previous.then(task, task);
+  const settled = run.catch(() => {});
+  deviceQueues.set(deviceId, settled);
+  settled.then(() => {
+    if (deviceQueues.get(deviceId) === settled) deviceQueues.delete(deviceId);
+  });
+  return run;
+};
+
+// Set tripId on new readings from a mobile device, joining the trip they
+// fall within TRIP_GAP_MS of or starting a new one. Readings from fixed
+// stations are left alone. Like attachAqi, call it before the readings are saved.
+const assignTrips = async (device, readings) => {
+  if (!device.mobile || readings.length === 0) {
+    return readings;
+  }
+
+  readings.forEach((reading) => {
+    reading.timestamp = reading.timestamp || new Date();
+  });
+  const sorted = [...readings].sort((a, b) => a.timestamp - b.timestamp);
+
+  return queueForDevice(device.deviceId, async () => {
+    let current = null;
+    for (const reading of sorted) {
+      const time = reading.timestamp.getTime();
+      const fits = current
+        && time >= current.startedAt.getTime() - TRIP_GAP_MS
+        && time <= current.endedAt.getTime() + TRIP_GAP_MS;
+
+      if (fits) {
+        // Widened in memory; refreshTrips stores the span once the readings are saved
+        if (reading.timestamp < current.startedAt) current.startedAt = reading.timestamp;
+        if (reading.timestamp > current.endedAt) current.endedAt = reading.timestamp;
+      } else {
+        current = await joinTrip(device.deviceId, reading.timestamp);
+      }
+      reading.tripId = current._id;
+    }
+
+    return readings;
+  });
+};
+
+// Recompute a trip's time span, distance and PM2.5 summary from its readings
+const refreshTrip = async (tripId) => {
+  const readings = await SensorData.find({ tripId }, { timestamp: 1, location: 1, pm25: 1 })
+    .sort({ timestamp: 1 })
+    .lean();
+  if (readings.length === 0) {
+    return Trip.findByIdAndDelete(tripId);
+  }
+
+  let distance = 0;
+  let previous = null;
+  let bbox = null;
+  readings.filter(hasFix).forEach(({ location: { latitude, longitude } }) => {
+    if (previous) {
+      distance += distanceKm(previous.latitude, previous.longitude, latitude, longitude);
+    }
+    previous = { latitude, longitude };
+    bbox = bbox
+      ? [Math.min(bbox[0], longitude), Math.min(bbox[1], latitude), Math.max(bbox[2], longitude), Math.max(bbox[3], latitude)]
+      : [longitude, latitude, longitude, latitude];
+  });
+
+  const pm25 = readings.map((reading) => reading.pm25).filter((value) => typeof value === 'number');
+
+  return Trip.findByIdAndUpdate(tripId, {
+    startedAt: readings[0].timestamp,
+    endedAt: readings[readings.length - 1].timestamp,
+    readingCount: readings.length,
+    pointCount: readings.filter(hasFix).length,
+    distanceKm: Math.round(distance * 1000) / 1000,
+    pm25: {
+      mean: pm25.length > 0 ? Math.round((pm25.reduce((sum, value) => sum + value, 0) / pm25.length) * 10) / 10 : null,
+      max: pm25.length > 0 ? Math.max(...pm25) : null
+    },
+    bbox
+  }, { new: true });
+};
+
+// Refresh every trip touched by newly stored readings
+const refreshTrips = async (readings) => {
+  const tripIds = [...new Set(readings.filter((reading) => reading.tripId).map((reading) => String(reading.tripId)))];
+  for (const tripId of tripIds) {
+    await refreshTrip(tripId);
+  }
+};
+
+module.exports = { TRIP_GAP_MS, hasFix, assignTrips, refreshTrip, refreshTrips };
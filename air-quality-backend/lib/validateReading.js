@@ -0,0 +1,158 @@
+// Validation for readings posted by stations. Mongoose would happily coerce
+// "12" or true into numbers, so types are checked strictly here before a
+// SensorData document is built.
+
+const COMPASS_POINTS = [
+  'N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE',
+  'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'
+];
+
+// Physically plausible ranges for each numeric field, based on the sensors we deploy
+const FIELD_RULES = {
+  temperature: { min: -40, max: 85 },
+  humidity: { min: 0, max: 100 },
+  vocIndex: { min: 0, max: 500 },
+  vocRaw: { min: 0, max: 65535 },
+  pm1: { min: 0 },
+  pm25: { min: 0 },
+  pm10: { min: 0 },
+  rainfall: { min: 0 },
+  windSpeed: { min: 0, max: 75 }
+};
+
+const OPTIONAL_FIELDS = ['deviceId', 'location', 'timestamp'];
+
+const KNOWN_FIELDS = [...Object.keys(FIELD_RULES), 'windDirection', ...OPTIONAL_FIELDS];
+
+// Above this the PMS-series sensors are outside their rated range
+const PM_SENSOR_MAX = 1000;
+
+// Allowance for station clocks running slightly ahead of the server
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const checkNumber = (value, { min, max }) => {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return 'must be a number';
+  }
+  if (min !== undefined && value < min) {
+    return max !== undefined ? `must be between ${min} and ${max}` : `must be at least ${min}`;
+  }
+  if (max !== undefined && value > max) {
+    return min !== undefined ? `must be between ${min} and ${max}` : `must be at most ${max}`;
+  }
+  return null;
+};
+
+const parseTimestamp = (value) => {
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Returns { value, errors }. errors maps field names to a message and is null when the reading is valid.
+// With partial, missing measurements are allowed (legacy readings from older stations).
+const validateReading = (body, { partial = false } = {}) => {
+  const errors = {};
+  const value = {};
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { value: null, errors: { body: 'must be a JSON object' } };
+  }
+
+  Object.keys(body).forEach((field) => {
+    if (!KNOWN_FIELDS.includes(field)) {
+      errors[field] = 'is not a recognised field';
+    }
+  });
+
+  Object.entries(FIELD_RULES).forEach(([field, rule]) => {
+    if (body[field] === undefined || body[field] === null) {
+      if (!partial) {
+        errors[field] = 'is required';
+      }
+      return;
+    }
+    const message = checkNumber(body[field], rule);
+    if (message) {
+      errors[field] = message;
+    } else {
+      value[field] = body[field];
+    }
+  });
+
+  if (body.windDirection === undefined || body.windDirection === null) {
+    if (!partial) {
+      errors.windDirection = 'is required';
+    }
+  } else if (!COMPASS_POINTS.includes(body.windDirection)) {
+    errors.windDirection = `must be one of ${COMPASS_POINTS.join(', ')}`;
+  } else {
+    value.windDirection = body.windDirection;
+  }
+
+  if (body.deviceId !== undefined) {
+    if (typeof body.deviceId !== 'string' || !body.deviceId.trim()) {
+      errors.deviceId = 'must be a non-empty string';
+    } else {
+      value.deviceId = body.deviceId.trim();
+    }
+  }
+
+  if (body.location !== undefined) {
+    const location = body.location;
+    if (!location || typeof location !== 'object') {
+      errors.location = 'must be an object with latitude and longitude';
+    } else {
+      const latError = checkNumber(location.latitude, { min: -90, max: 90 });
+      const lngError = checkNumber(location.longitude, { min: -180, max: 180 });
+      if (latError) errors['location.latitude'] = latError;
+      if (lngError) errors['location.longitude'] = lngError;
+      if (!latError && !lngError) {
+        value.location = { latitude: location.latitude, longitude: location.longitude };
+      }
+    }
+  }
+
+  if (body.timestamp !== undefined) {
+    const timestamp = parseTimestamp(body.timestamp);
+    if (!timestamp) {
+      errors.timestamp = 'must be an ISO 8601 string or epoch milliseconds';
+    } else if (timestamp.getTime() > Date.now() + MAX_CLOCK_SKEW_MS) {
+      errors.timestamp = 'must not be in the future';
+    } else {
+      value.timestamp = timestamp;
+    }
+  }
+
+  return {
+    value,
+    errors: Object.keys(errors).length > 0 ? errors : null
+  };
+};
+
+// Readings that are valid but physically suspicious. These are stored with
+// the reading so they can be reviewed instead of being silently accepted.
+const flagReading = (reading) => {
+  const flags = [];
+
+  if (reading.pm25 > reading.pm10) {
+    flags.push('pm25_exceeds_pm10');
+  }
+  if (reading.pm1 > reading.pm25) {
+    flags.push('pm1_exceeds_pm25');
+  }
+  if ([reading.pm1, reading.pm25, reading.pm10].some((pm) => pm > PM_SENSOR_MAX)) {
+    flags.push('pm_out_of_sensor_range');
+  }
+
+  return flags;
+};
+
+module.exports = {
+  COMPASS_POINTS,
+  FIELD_RULES,
+  validateReading,
+  flagReading
+};
@@ -0,0 +1,217 @@
+const Zone = require('../models/Zone');
+const SensorData = require('../models/SensorData');
+const { computeAqi } = require('./aqi');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Zones change rarely, so ingest checks readings against a cached copy
+const CACHE_MS = 60 * 1000;
+const BULK_CHUNK = 500;
+
+let cached = null;
+let cachedAt = 0;
+
+// Returns an error message, or null when geometry is a usable GeoJSON Polygon
+const validatePolygon = (geometry) => {
+  if (!geometry || geometry.type !== 'Polygon' || !Array.isArray(geometry.coordinates) || geometry.coordinates.length === 0) {
+    return 'geometry must be a GeoJSON Polygon';
+  }
+  for (const ring of geometry.coordinates) {
+    if (!Array.isArray(ring) || ring.length < 4) {
+      return 'each ring needs at least three distinct points plus the closing point';
+    }
+    const valid = ring.every((position) => Array.isArray(position)
+      && Number.isFinite(position[0]) && Math.abs(position[0]) <= 180
+      && Number.isFinite(position[1]) && Math.abs(position[1]) <= 90);
+    if (!valid) {
+      return 'positions must be [longitude, latitude]';
+    }
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    if (first[0] !== last[0] || first[1] !== last[1]) {
+      return 'each ring must end with its first point';
+    }
+  }
+  return null;
+};
+
+const bboxOf = (geometry) => {
+  const [outline] = geometry.coordinates;
+  const lngs = outline.map(([lng]) => lng);
+  const lats = outline.map(([, lat]) => lat);
+  return [Math.min(...lngs), Math.min(...lats), Math.max(...lngs), Math.max(...lats)];
+};
+
+// Ray casting: count how many edges a ray going east from the point crosses
+const inRing = (ring, lng, lat) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+const inZone = (zone, location) => {
+  if (!location || typeof location.latitude !== 'number' || typeof location.longitude !== 'number') {
+    return false;
+  }
+  const { latitude, longitude } = location;
+  const [west, south, east, north] = zone.bbox || bboxOf(zone.geometry);
+  if (longitude < west || longitude > east || latitude < south || latitude > north) {
+    return false;
+  }
+  const [outline, ...holes] = zone.geometry.coordinates;
+  return inRing(outline, longitude, latitude) && !holes.some((hole) => inRing(hole, longitude, latitude));
+};
+
+const loadZones = async () => {
+  if (!cached || Date.now() - cachedAt > CACHE_MS) {
+    cached = await Zone.find().lean();
+    cachedAt = Date.now();
+  }
+  return cached;
+};
+
+// Call after a zone is created, changed or deleted
+const invalidateZones = () => {
+  cached = null;
+};
+
+// Set zoneIds on new readings from their location. Like attachAqi, call it
+// before the readings are saved.
+const attachZones = async (readings) => {
+  const zones = await loadZones();
+  readings.forEach((reading) => {
+    reading.zoneIds = zones.filter((zone) => inZone(zone, reading.location)).map((zone) => zone._id);
+  });
+  return readings;
+};
+
+// Tag stored readings that fall inside a new or redrawn zone, and untag
+// those that no longer do. Readings are grouped by position first, since a
+// fixed station reports the same one every time. Returns how many are inside.
+const assignZone = async (zone) => {
+  await SensorData.updateMany({ zoneIds: zone._id }, { $pull: { zoneIds: zone._id } });
+
+  const [west, south, east, north] = zone.bbox;
+  const positions = await SensorData.aggregate([
+    {
+      $match: {
+        'location.latitude': { $gte: south, $lte: north },
+        'location.longitude': { $gte: west, $lte: east }
+      }
+    },
+    {
+      $group: {
+        _id: { latitude: '$location.latitude', longitude: '$location.longitude' },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const inside = positions.filter(({ _id }) => inZone(zone, _id));
+  for (let i = 0; i < inside.length; i += BULK_CHUNK) {
+    await SensorData.bulkWrite(inside.slice(i, i + BULK_CHUNK).map(({ _id }) => ({
+      updateMany: {
+        filter: { 'location.latitude': _id.latitude, 'location.longitude': _id.longitude },
+        update: { $addToSet: { zoneIds: zone._id } }
+      }
+    })), { ordered: false });
+  }
+
+  return inside.reduce((sum, { count }) => sum + count, 0);
+};
+
+// Take a deleted zone off every reading
+const unassignZone = (zoneId) => SensorData.updateMany({ zoneIds: zoneId }, { $pull: { zoneIds: zoneId } });
+
+const round = (value) => (typeof value === 'number' ? Math.round(value * 10) / 10 : null);
+
+// US EPA AQI of mean concentrations, alongside the means themselves
+const summarize = (group) => {
+  if (!group) return null;
+  return {
+    ...computeAqi({ pm25: group.pm25, pm10: group.pm10 }),
+    pm25: round(group.pm25),
+    pm10: round(group.pm10),
+    readingCount: group.count
+  };
+};
+
+// Current (last hour) and 24h air quality for each zone, from the readings
+// tagged with it, plus hourly AQI for the last 24h. The 24h figure uses
+// 24-hour mean concentrations, which is what the PM AQI is defined on.
+// Fixed stations count as in a zone by where they're installed; mobile
+// devices by having reported from inside it in the last 24h.
+const zoneSummaries = async (zones, devices, now = new Date()) => {
+  const ids = zones.map((zone) => zone._id);
+  const averages = {
+    pm25: { $avg: '$pm25' },
+    pm10: { $avg: '$pm10' },
+    count: { $sum: 1 }
+  };
+
+  const [facets] = await SensorData.aggregate([
+    { $match: { zoneIds: { $in: ids }, timestamp: { $gt: new Date(now - DAY_MS), $lte: now } } },
+    { $unwind: '$zoneIds' },
+    { $match: { zoneIds: { $in: ids } } },
+    {
+      $facet: {
+        current: [
+          { $match: { timestamp: { $gt: new Date(now - HOUR_MS) } } },
+          { $group: { _id: '$zoneIds', ...averages } }
+        ],
+        day: [
+          { $group: { _id: '$zoneIds', ...averages, devices: { $addToSet: '$deviceId' } } }
+        ],
+        hourly: [
+          { $group: { _id: { zoneId: '$zoneIds', hour: { $dateTrunc: { date: '$timestamp', unit: 'hour' } } }, ...averages } },
+          { $sort: { '_id.hour': 1 } }
+        ]
+      }
+    }
+  ]);
+
+  const byZone = (rows) => new Map(rows.map((row) => [String(row._id), row]));
+  const current = byZone(facets.current);
+  const day = byZone(facets.day);
+  const mobileIds = new Set(devices.filter((device) => device.mobile).map((device) => device.deviceId));
+
+  return zones.map((zone) => {
+    const id = String(zone._id);
+    const hourly = facets.hourly
+      .filter((row) => String(row._id.zoneId) === id)
+      .map((row) => ({ hour: row._id.hour, aqi: computeAqi({ pm25: row.pm25, pm10: row.pm10 }).aqi, pm25: round(row.pm25) }));
+    const hourlyAqi = hourly.map((row) => row.aqi).filter((aqi) => aqi !== null);
+
+    return {
+      ...zone,
+      stations: devices
+        .filter((device) => !device.mobile && inZone(zone, device.location))
+        .map(({ deviceId, name }) => ({ deviceId, name })),
+      mobileDevices: ((day.get(id) || {}).devices || []).filter((deviceId) => mobileIds.has(deviceId)),
+      current: summarize(current.get(id)),
+      last24h: day.has(id)
+        ? { ...summarize(day.get(id)), peakHourlyAqi: hourlyAqi.length > 0 ? Math.max(...hourlyAqi) : null }
+        : null,
+      hourly
+    };
+  });
+};
+
+module.exports = {
+  validatePolygon,
+  bboxOf,
+  inZone,
+  loadZones,
+  invalidateZones,
+  attachZones,
+  assignZone,
+  unassignZone,
+  zoneSummaries
+};
@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+const { authenticateDevice } = require('../lib/apiKeys');
+
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+// Authenticate a station by the key in the X-API-Key header and attach it as req.device
+const requireDeviceKey = async (req, res, next) => {
+  try {
+    const { device, error } = await authenticateDevice(req.get('X-API-Key'));
+    if (error) {
+      return res.status(401).json({ error });
+    }
+
+    req.device = device;
+    next();
+  } catch (error) {
+    console.error('Error authenticating device:', error);
+    res.status(500).json({ error: 'Failed to authenticate device' });
+  }
+};
+
+// Protect admin routes with the shared ADMIN_TOKEN sent as a bearer token
+const requireAdmin = (req, res, next) => {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken) {
+    return res.status(503).json({ error: 'Admin API is disabled. Set ADMIN_TOKEN to enable it.' });
+  }
+
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !token || !safeEqual(token, adminToken)) {
+    return res.status(401).json({ error: 'Admin authorization required' });
+  }
+
+  next();
+};
+
+// Socket.IO middleware for admin namespaces. Clients send the token in the
+// handshake: io('/admin', { auth: { token } }).
+const requireAdminSocket = (socket, next) => {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken) {
+    return next(new Error('Admin API is disabled. Set ADMIN_TOKEN to enable it.'));
+  }
+
+  const token = socket.handshake.auth && socket.handshake.auth.token;
+  if (typeof token !== 'string' || !safeEqual(token, adminToken)) {
+    return next(new Error('Admin authorization required'));
+  }
+
+  next();
+};
+
+module.exports = { requireDeviceKey, requireAdmin, requireAdminSocket };
@@ -0,0 +1,45 @@
+const express = require('express');
+const { formatFor, decodeCompact } = require('../lib/compactFormat');
+
+const parseRaw = express.raw({ type: (req) => formatFor(req.get('Content-Type')) !== null, limit: '1mb' });
+
+// Accept the compact CSV/CBOR/MessagePack reading format (lib/compactFormat)
+// and turn it into the JSON body the route expects. JSON requests pass
+// through untouched. With batch, req.body becomes { readings: [...] };
+// otherwise exactly one record is allowed.
+const compactBody = ({ batch = false } = {}) => (req, res, next) => {
+  const format = formatFor(req.get('Content-Type'));
+  if (!format) {
+    return next();
+  }
+
+  parseRaw(req, res, (error) => {
+    if (error) {
+      return next(error);
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Empty body' });
+    }
+
+    // Errors thrown in this callback would escape Express, so none may leave it
+    let decoded;
+    try {
+      decoded = decodeCompact(format, req.body);
+    } catch (error) {
+      console.error('Error decoding compact body:', error);
+      return res.status(400).json({ error: `Body is not valid ${format}` });
+    }
+    const { readings, error: decodeError } = decoded;
+    if (decodeError) {
+      return res.status(400).json({ error: decodeError });
+    }
+    if (!batch && readings.length !== 1) {
+      return res.status(400).json({ error: 'Send exactly one reading, or use /api/arduino/batch' });
+    }
+
+    req.body = batch ? { readings } : readings[0];
+    next();
+  });
+};
+
+module.exports = { compactBody };
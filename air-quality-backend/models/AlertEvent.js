@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const ALERT_STATES = ['open', 'acknowledged', 'resolved'];
+
+// One occurrence of a rule firing for a device, from the reading that
+// breached the threshold until the value clears again
+const alertEventSchema = new mongoose.Schema({
+  ruleId: { type: mongoose.Schema.Types.ObjectId, ref: 'AlertRule', required: true },
+  ruleName: { type: String },
+  deviceId: { type: String, required: true },
+  // Copied from a zone-targeted rule
+  zoneId: { type: mongoose.Schema.Types.ObjectId, ref: 'Zone', default: null },
+  metric: { type: String, required: true },
+  aggregation: { type: String },
+  operator: { type: String },
+  threshold: { type: Number },
+  state: { type: String, enum: ALERT_STATES, default: 'open' },
+  value: { type: Number },
+  peakValue: { type: Number },
+  lastValue: { type: Number },
+  openedAt: { type: Date, default: Date.now },
+  acknowledgedAt: { type: Date, default: null },
+  resolvedAt: { type: Date, default: null },
+  // 'auto' when the value cleared, 'manual' when resolved from the API
+  resolvedBy: { type: String, enum: ['auto', 'manual', null], default: null }
+}, { timestamps: true });
+
+alertEventSchema.index({ ruleId: 1, deviceId: 1, state: 1 });
+// At most one unresolved alert per rule and device, so concurrent evaluations
+// can't open two. Every resolution sets resolvedAt.
+alertEventSchema.index(
+  { ruleId: 1, deviceId: 1 },
+  { unique: true, partialFilterExpression: { resolvedAt: { $type: 'null' } } }
+);
+alertEventSchema.index({ state: 1, openedAt: -1 });
+
+module.exports = mongoose.model('AlertEvent', alertEventSchema);
+module.exports.ALERT_STATES = ALERT_STATES;
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const ALERT_METRICS = [
+  'temperature', 'humidity', 'vocIndex', 'vocRaw', 'pm1', 'pm25', 'pm10',
+  'rainfall', 'windSpeed', 'aqi'
+];
+
+// How the metric is evaluated against the threshold:
+//   latest     the value of the newest reading
+//   average    mean over the last windowMinutes ("PM2.5 24h average > 35")
+//   sustained  every reading in the last windowMinutes breaches ("VOC > 250 for 10 minutes")
+const AGGREGATIONS = ['latest', 'average', 'sustained'];
+
+const OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+
+const alertRuleSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  enabled: { type: Boolean, default: true },
+  metric: { type: String, required: true, enum: ALERT_METRICS },
+  aggregation: { type: String, enum: AGGREGATIONS, default: 'latest' },
+  windowMinutes: { type: Number, min: 1, max: 7 * 24 * 60, default: 60 },
+  operator: { type: String, enum: OPERATORS, default: 'gt' },
+  threshold: { type: Number, required: true },
+  // Hysteresis: an open alert only resolves once the value is back past this
+  // level. Defaults to 10% inside the threshold.
+  clearThreshold: { type: Number },
+  // Limit the rule to one station; empty means every station
+  deviceId: { type: String, default: null },
+  // Limit the rule to readings taken inside a zone; empty means anywhere
+  zoneId: { type: mongoose.Schema.Types.ObjectId, ref: 'Zone', default: null },
+  // After an alert resolves, don't open a new one for this long
+  cooldownMinutes: { type: Number, min: 0, default: 30 },
+  notify: {
+    email: { type: [String], default: [] },
+    webhooks: { type: [String], default: [] },
+    socket: { type: Boolean, default: true },
+    // Web Push to subscribed browsers when an alert opens
+    push: { type: Boolean, default: true }
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('AlertRule', alertRuleSchema);
+module.exports.ALERT_METRICS = ALERT_METRICS;
+module.exports.AGGREGATIONS = AGGREGATIONS;
+module.exports.OPERATORS = OPERATORS;
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+const DEVICE_STATUSES = ['active', 'inactive', 'maintenance', 'retired'];
+
+// A monitoring station. deviceId is the human-assigned identifier the
+// firmware sends with every reading (e.g. "library-roof").
+const deviceSchema = new mongoose.Schema({
+  deviceId: { type: String, required: true, unique: true, trim: true },
+  name: { type: String, required: true, trim: true },
+  location: {
+    latitude: { type: Number, default: 6.791164 },
+    longitude: { type: Number, default: 79.900497 }
+  },
+  installDate: { type: Date, default: Date.now },
+  status: { type: String, enum: DEVICE_STATUSES, default: 'active' },
+  // Mounted on a bike or similar: readings carry their own GPS position and
+  // are grouped into trips instead of taking the location above
+  mobile: { type: Boolean, default: false },
+  // Ingest credentials, managed through /api/admin. Only the hash is stored.
+  apiKeyHash: { type: String, index: true, sparse: true, select: false },
+  apiKeyPrefix: { type: String, default: null },
+  apiKeyIssuedAt: { type: Date, default: null },
+  apiKeyRevokedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+const Device = mongoose.model('Device', deviceSchema);
+
+module.exports = Device;
+module.exports.DEVICE_STATUSES = DEVICE_STATUSES;
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+const IMPORT_STATUSES = ['pending', 'committed', 'failed', 'rolled_back'];
+
+// A bulk CSV import. The record is created as pending before any row is
+// written, so readings it created (tagged with the same importId) can always
+// be rolled back, even when the import failed part way through.
+const importSchema = new mongoose.Schema({
+  importId: { type: String, required: true, unique: true },
+  deviceId: { type: String, required: true },
+  filename: { type: String },
+  // Which CSV column fed which SensorData field. A list rather than a Map
+  // because headers such as "PM2.5" contain dots, which Map keys can't.
+  mapping: [{ _id: false, column: String, field: String }],
+  status: { type: String, enum: IMPORT_STATUSES, default: 'pending' },
+  error: { type: String, default: null },
+  rows: { type: Number, default: 0 },
+  inserted: { type: Number, default: 0 },
+  duplicates: { type: Number, default: 0 },
+  rejected: { type: Number, default: 0 },
+  rolledBackAt: { type: Date, default: null }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Import', importSchema);
+module.exports.IMPORT_STATUSES = IMPORT_STATUSES;
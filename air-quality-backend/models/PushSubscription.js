@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// A browser's Web Push subscription, as produced by PushManager.subscribe()
+const pushSubscriptionSchema = new mongoose.Schema({
+  endpoint: { type: String, required: true, unique: true },
+  keys: {
+    p256dh: { type: String, required: true },
+    auth: { type: String, required: true }
+  },
+  // Only notify about these stations; empty means every station
+  deviceIds: { type: [String], default: [] },
+  lastNotifiedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+module.exports = mongoose.model('PushSubscription', pushSubscriptionSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const { COMPASS_POINTS, FIELD_RULES } = require('../lib/validateReading');
+
+// Readings mirrored from Firestore come from older stations that lack some
+// sensors, so only native readings must have every measurement
+function isNativeReading() {
+  return !this.firestoreId;
+}
+
+const defaultUnlessOnTrip = (value) => function () {
+  return this.tripId ? undefined : value;
+};
+
+const measurement = (field) => ({ type: Number, required: isNativeReading, ...FIELD_RULES[field] });
+
+const sensorDataSchema = new mongoose.Schema({
+  deviceId: { type: String, required: true, trim: true },
+  temperature: measurement('temperature'),
+  humidity: measurement('humidity'),
+  vocIndex: measurement('vocIndex'),
+  vocRaw: measurement('vocRaw'),
+  pm1: measurement('pm1'),
+  pm25: measurement('pm25'),
+  pm10: measurement('pm10'),
+  rainfall: measurement('rainfall'),
+  windSpeed: measurement('windSpeed'),
+  windDirection: { type: String, required: isNativeReading, enum: COMPASS_POINTS },
+  // Only reported by legacy stations writing to Firestore
+  co2: { type: Number, min: 0 },
+  // Readings on a trip come from a mobile device and only have a location
+  // when it had a GPS fix, so only fixed stations get the default
+  location: {
+    latitude: { type: Number, default: defaultUnlessOnTrip(6.791164) },
+    longitude: { type: Number, default: defaultUnlessOnTrip(79.900497) }
+  },
+  timestamp: { type: Date, default: Date.now },
+  // US EPA AQI from the PM NowCast, computed at ingest by lib/aqi
+  aqi: { type: Number, min: 0, max: 500 },
+  aqiCategory: { type: String },
+  dominantPollutant: { type: String, enum: ['pm25', 'pm10'] },
+  // Sanity-check warnings raised at ingest, e.g. "pm25_exceeds_pm10"
+  flags: { type: [String], default: [] },
+  // Set on readings created by a bulk CSV import, see routes/import
+  importId: { type: String },
+  // Set on readings mirrored from Firestore, see lib/firestoreSync
+  firestoreId: { type: String },
+  // Set on readings from mobile devices, see lib/trips
+  tripId: { type: mongoose.Schema.Types.ObjectId, ref: 'Trip' },
+  // Zones the reading was taken in, see lib/zones
+  zoneIds: { type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Zone' }], default: undefined }
+});
+
+// Most queries are "readings for a device, newest first". Unique so a
+// re-uploaded buffered reading can't be stored twice.
+sensorDataSchema.index({ deviceId: 1, timestamp: -1 }, { unique: true });
+sensorDataSchema.index({ timestamp: -1 });
+sensorDataSchema.index({ importId: 1 }, { sparse: true });
+sensorDataSchema.index({ firestoreId: 1 }, { sparse: true });
+sensorDataSchema.index({ tripId: 1, timestamp: 1 }, { sparse: true });
+sensorDataSchema.index({ zoneIds: 1, timestamp: -1 });
+
+module.exports = mongoose.model('SensorData', sensorDataSchema);
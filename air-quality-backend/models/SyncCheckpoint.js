@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// How far a sync worker has got through an external source, so a restart
+// resumes after the last document it stored instead of starting over
+const syncCheckpointSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  lastDocId: { type: String, default: null },
+  lastTimestamp: { type: Date, default: null },
+  processed: { type: Number, default: 0 },
+  inserted: { type: Number, default: 0 },
+  skipped: { type: Number, default: 0 }
+}, { timestamps: true });
+
+module.exports = mongoose.model('SyncCheckpoint', syncCheckpointSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// A run of consecutive readings from a mobile device, e.g. one bike ride.
+// Readings on the trip carry its _id as tripId; the summary fields are
+// recomputed from them by lib/trips whenever readings are added.
+const tripSchema = new mongoose.Schema({
+  deviceId: { type: String, required: true, trim: true },
+  name: { type: String, trim: true },
+  startedAt: { type: Date, required: true },
+  endedAt: { type: Date, required: true },
+  readingCount: { type: Number, default: 0 },
+  // Readings that had a GPS fix, the only ones drawn on the route
+  pointCount: { type: Number, default: 0 },
+  distanceKm: { type: Number, default: 0 },
+  pm25: {
+    mean: { type: Number, default: null },
+    max: { type: Number, default: null }
+  },
+  // [west, south, east, north] of the route, null until a point has a fix
+  bbox: { type: [Number], default: null }
+}, { timestamps: true });
+
+tripSchema.index({ deviceId: 1, endedAt: -1 });
+
+module.exports = mongoose.model('Trip', tripSchema);
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// A named area such as "library" or "car park", drawn by an admin on the map.
+// Readings inside it carry its _id in zoneIds, see lib/zones.
+const zoneSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true, trim: true },
+  description: { type: String, trim: true },
+  // GeoJSON Polygon: rings of [longitude, latitude], the first ring the
+  // outline and any others holes, each closed by repeating its first point
+  geometry: {
+    type: { type: String, enum: ['Polygon'], default: 'Polygon' },
+    coordinates: { type: [[[Number]]], required: true }
+  },
+  // [west, south, east, north] of the outline, kept for quick lookups
+  bbox: { type: [Number], default: undefined }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Zone', zoneSchema);
@@ -0,0 +1,67 @@
+const express = require('express');
+const Device = require('../models/Device');
+const { generateApiKey } = require('../lib/apiKeys');
+const { requireAdmin } = require('../middleware/auth');
+const events = require('../lib/events');
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+// Issue a key for a device, replacing (and so invalidating) any existing key.
+// The plaintext key is only returned in this response.
+router.post('/devices/:deviceId/key', async (req, res) => {
+  try {
+    const { key, hash, prefix } = generateApiKey();
+    const device = await Device.findOneAndUpdate(
+      { deviceId: req.params.deviceId },
+      {
+        apiKeyHash: hash,
+        apiKeyPrefix: prefix,
+        apiKeyIssuedAt: new Date(),
+        apiKeyRevokedAt: null
+      },
+      { new: true }
+    );
+
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    console.log(`API key ${prefix}… issued for device ${device.deviceId}`);
+    events.emit('admin', { type: 'device-key-issued', deviceId: device.deviceId, apiKeyPrefix: prefix });
+    res.status(201).json({
+      deviceId: device.deviceId,
+      apiKey: key,
+      apiKeyPrefix: prefix,
+      issuedAt: device.apiKeyIssuedAt
+    });
+  } catch (error) {
+    console.error('Error issuing API key:', error);
+    res.status(500).json({ error: 'Failed to issue API key' });
+  }
+});
+
+// Revoke a device's key. The station gets 401 until a new key is issued.
+router.delete('/devices/:deviceId/key', async (req, res) => {
+  try {
+    const device = await Device.findOneAndUpdate(
+      { deviceId: req.params.deviceId, apiKeyPrefix: { $ne: null } },
+      { apiKeyRevokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found or has no API key' });
+    }
+
+    console.log(`API key ${device.apiKeyPrefix}… revoked for device ${device.deviceId}`);
+    events.emit('admin', { type: 'device-key-revoked', deviceId: device.deviceId, apiKeyPrefix: device.apiKeyPrefix });
+    res.json({ success: true, message: 'API key revoked' });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,68 @@
+const express = require('express');
+const { INTERVALS, METRICS, MAX_BUCKETS, aggregateReadings, windRose } = require('../lib/aggregate');
+const { parseList } = require('../lib/readingQuery');
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Bucketed statistics per device.
+// Query: interval=minute|hour|day|week, startDate, endDate (default last 24h),
+// deviceId (optional, comma separated), fields (optional, comma separated)
+router.get('/', async (req, res) => {
+  try {
+    const interval = req.query.interval || 'hour';
+    if (!INTERVALS[interval]) {
+      return res.status(400).json({ error: `interval must be one of ${Object.keys(INTERVALS).join(', ')}` });
+    }
+
+    const end = req.query.endDate ? new Date(req.query.endDate) : new Date();
+    const start = req.query.startDate ? new Date(req.query.startDate) : new Date(end.getTime() - DAY_MS);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start >= end) {
+      return res.status(400).json({ error: 'startDate and endDate must be valid dates with startDate before endDate' });
+    }
+
+    if ((end - start) / INTERVALS[interval] > MAX_BUCKETS) {
+      return res.status(400).json({ error: `Range too large for interval "${interval}". Use a coarser interval.` });
+    }
+
+    const fields = parseList(req.query.fields);
+    const unknown = fields.filter((field) => !METRICS.includes(field));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown fields: ${unknown.join(', ')}` });
+    }
+
+    const buckets = await aggregateReadings({
+      deviceIds: parseList(req.query.deviceId),
+      interval,
+      start,
+      end,
+      fields
+    });
+
+    res.json({ interval, startDate: start, endDate: end, buckets });
+  } catch (error) {
+    console.error('Error aggregating sensor data:', error);
+    res.status(500).json({ error: 'Failed to aggregate sensor data' });
+  }
+});
+
+// Wind rose for a period: frequency per compass point split by speed class,
+// with mean PM2.5 per direction. Query: startDate, endDate (default last 7 days), deviceId
+router.get('/wind-rose', async (req, res) => {
+  try {
+    const end = req.query.endDate ? new Date(req.query.endDate) : new Date();
+    const start = req.query.startDate ? new Date(req.query.startDate) : new Date(end.getTime() - 7 * DAY_MS);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start >= end) {
+      return res.status(400).json({ error: 'startDate and endDate must be valid dates with startDate before endDate' });
+    }
+
+    const rose = await windRose({ deviceIds: parseList(req.query.deviceId), start, end });
+    res.json({ startDate: start, endDate: end, ...rose });
+  } catch (error) {
+    console.error('Error building wind rose:', error);
+    res.status(500).json({ error: 'Failed to build wind rose' });
+  }
+});
+
+module.exports = router;
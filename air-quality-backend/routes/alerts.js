@@ -0,0 +1,172 @@
+const express = require('express');
+const AlertRule = require('../models/AlertRule');
+const AlertEvent = require('../models/AlertEvent');
+const Zone = require('../models/Zone');
+const { ALERT_STATES } = require('../models/AlertEvent');
+const { requireAdmin } = require('../middleware/auth');
+const { notify } = require('../lib/notifier');
+const { parseList } = require('../lib/readingQuery');
+
+const router = express.Router();
+
+const MAX_EVENTS = 500;
+
+// Fields a client is allowed to set on a rule
+const EDITABLE_FIELDS = [
+  'name', 'enabled', 'metric', 'aggregation', 'windowMinutes', 'operator',
+  'threshold', 'clearThreshold', 'deviceId', 'zoneId', 'cooldownMinutes', 'notify'
+];
+
+const pickEditable = (body) => {
+  const update = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) {
+      update[field] = body[field];
+    }
+  });
+  return update;
+};
+
+const handleWriteError = (res, error, logMessage, failureMessage) => {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ error: error.message });
+  }
+  console.error(logMessage, error);
+  res.status(500).json({ error: failureMessage });
+};
+
+// List alert rules. Admin only, since rules carry notification addresses
+// and webhook URLs.
+router.get('/rules', requireAdmin, async (req, res) => {
+  try {
+    const rules = await AlertRule.find().sort({ createdAt: 1 });
+    res.json(rules);
+  } catch (error) {
+    console.error('Error fetching alert rules:', error);
+    res.status(500).json({ error: 'Failed to fetch alert rules' });
+  }
+});
+
+// Rules may only target zones that exist
+const zoneMissing = async (body) => Boolean(body.zoneId) && !(await Zone.exists({ _id: body.zoneId }));
+
+// Create a rule
+router.post('/rules', requireAdmin, async (req, res) => {
+  try {
+    if (await zoneMissing(req.body)) {
+      return res.status(400).json({ error: 'zoneId does not match any zone' });
+    }
+    const rule = new AlertRule(pickEditable(req.body));
+    await rule.save();
+
+    res.status(201).json(rule);
+  } catch (error) {
+    handleWriteError(res, error, 'Error creating alert rule:', 'Failed to create alert rule');
+  }
+});
+
+// Update a rule. Alerts it already opened keep the threshold they were opened with.
+router.put('/rules/:id', requireAdmin, async (req, res) => {
+  try {
+    if (await zoneMissing(req.body)) {
+      return res.status(400).json({ error: 'zoneId does not match any zone' });
+    }
+    const rule = await AlertRule.findByIdAndUpdate(
+      req.params.id,
+      pickEditable(req.body),
+      { new: true, runValidators: true }
+    );
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+
+    res.json(rule);
+  } catch (error) {
+    handleWriteError(res, error, 'Error updating alert rule:', 'Failed to update alert rule');
+  }
+});
+
+// Delete a rule. Its alert history is kept.
+router.delete('/rules/:id', requireAdmin, async (req, res) => {
+  try {
+    const rule = await AlertRule.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+
+    res.json({ success: true, message: 'Alert rule deleted' });
+  } catch (error) {
+    handleWriteError(res, error, 'Error deleting alert rule:', 'Failed to delete alert rule');
+  }
+});
+
+// List alert events, newest first. ?state= and ?deviceId= take
+// comma-separated lists.
+router.get('/events', async (req, res) => {
+  try {
+    const filter = {};
+    const states = parseList(req.query.state);
+    if (states.length > 0) {
+      const unknown = states.filter((state) => !ALERT_STATES.includes(state));
+      if (unknown.length > 0) {
+        return res.status(400).json({ error: `Unknown state: ${unknown.join(', ')}` });
+      }
+      filter.state = { $in: states };
+    }
+    const deviceIds = parseList(req.query.deviceId);
+    if (deviceIds.length > 0) {
+      filter.deviceId = { $in: deviceIds };
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 100, MAX_EVENTS);
+    const alertEvents = await AlertEvent.find(filter).sort({ openedAt: -1 }).limit(limit);
+    res.json(alertEvents);
+  } catch (error) {
+    console.error('Error fetching alert events:', error);
+    res.status(500).json({ error: 'Failed to fetch alert events' });
+  }
+});
+
+// Move an alert to a new state and tell the rule's channels about it
+const transition = (state) => async (req, res) => {
+  try {
+    const alertEvent = await AlertEvent.findById(req.params.id);
+
+    if (!alertEvent) {
+      return res.status(404).json({ error: 'Alert event not found' });
+    }
+    if (alertEvent.state === 'resolved') {
+      return res.status(409).json({ error: 'Alert event is already resolved' });
+    }
+    if (alertEvent.state === state) {
+      return res.json(alertEvent);
+    }
+
+    alertEvent.state = state;
+    if (state === 'acknowledged') {
+      alertEvent.acknowledgedAt = new Date();
+    } else {
+      alertEvent.resolvedAt = new Date();
+      alertEvent.resolvedBy = 'manual';
+    }
+    await alertEvent.save();
+
+    const rule = await AlertRule.findById(alertEvent.ruleId);
+    if (rule) {
+      notify(rule, alertEvent, state).catch((error) => {
+        console.error('Error sending alert notifications:', error);
+      });
+    }
+
+    res.json(alertEvent);
+  } catch (error) {
+    handleWriteError(res, error, `Error updating alert event to ${state}:`, 'Failed to update alert event');
+  }
+};
+
+router.post('/events/:id/acknowledge', requireAdmin, transition('acknowledged'));
+router.post('/events/:id/resolve', requireAdmin, transition('resolved'));
+
+module.exports = router;
@@ -0,0 +1,117 @@
+const express = require('express');
+const Device = require('../models/Device');
+const { requireAdmin } = require('../middleware/auth');
+const events = require('../lib/events');
+
+const router = express.Router();
+
+// Fields a client is allowed to set on a device
+const EDITABLE_FIELDS = ['name', 'location', 'installDate', 'status', 'mobile'];
+
+const pickEditable = (body) => {
+  const update = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) {
+      update[field] = body[field];
+    }
+  });
+  return update;
+};
+
+const handleWriteError = (res, error, logMessage, failureMessage) => {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({ error: 'A device with this deviceId already exists' });
+  }
+  console.error(logMessage, error);
+  res.status(500).json({ error: failureMessage });
+};
+
+// List devices, optionally filtered by status
+router.get('/', async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const devices = await Device.find(filter).sort({ deviceId: 1 });
+    res.json(devices);
+  } catch (error) {
+    console.error('Error fetching devices:', error);
+    res.status(500).json({ error: 'Failed to fetch devices' });
+  }
+});
+
+// Get a single device
+router.get('/:deviceId', async (req, res) => {
+  try {
+    const device = await Device.findOne({ deviceId: req.params.deviceId });
+
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    res.json(device);
+  } catch (error) {
+    console.error('Error fetching device:', error);
+    res.status(500).json({ error: 'Failed to fetch device' });
+  }
+});
+
+// Register a new device
+router.post('/', requireAdmin, async (req, res) => {
+  try {
+    const device = new Device({
+      deviceId: req.body.deviceId,
+      ...pickEditable(req.body)
+    });
+    await device.save();
+
+    events.emit('admin', { type: 'device-created', device: device.toJSON() });
+    res.status(201).json(device);
+  } catch (error) {
+    handleWriteError(res, error, 'Error creating device:', 'Failed to create device');
+  }
+});
+
+// Update a device. The deviceId itself is immutable because readings reference it.
+router.put('/:deviceId', requireAdmin, async (req, res) => {
+  try {
+    const device = await Device.findOneAndUpdate(
+      { deviceId: req.params.deviceId },
+      pickEditable(req.body),
+      { new: true, runValidators: true }
+    );
+
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    events.emit('admin', { type: 'device-updated', device: device.toJSON() });
+    res.json(device);
+  } catch (error) {
+    handleWriteError(res, error, 'Error updating device:', 'Failed to update device');
+  }
+});
+
+// Remove a device from the registry. Its readings are kept.
+router.delete('/:deviceId', requireAdmin, async (req, res) => {
+  try {
+    const device = await Device.findOneAndDelete({ deviceId: req.params.deviceId });
+
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    events.emit('admin', { type: 'device-deleted', deviceId: device.deviceId });
+    res.json({ success: true, message: 'Device deleted' });
+  } catch (error) {
+    console.error('Error deleting device:', error);
+    res.status(500).json({ error: 'Failed to delete device' });
+  }
+});
+
+module.exports = router;
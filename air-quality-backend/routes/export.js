@@ -0,0 +1,131 @@
+const express = require('express');
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const SensorData = require('../models/SensorData');
+const { buildReadingFilter, parseList } = require('../lib/readingQuery');
+const {
+  COLUMN_NAMES,
+  isValidTimeZone,
+  createTimeFormatter,
+  toRow,
+  toCsvLine,
+  toNdjsonLine,
+  projectionFor
+} = require('../lib/exportFormat');
+
+const router = express.Router();
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx'
+  }
+};
+
+const fileDate = (date) => (date ? date.toISOString().slice(0, 10) : null);
+
+// Write a chunk and wait for the socket to drain when its buffer is full.
+// Gives up if the client disconnects first, since 'drain' never comes then.
+const write = async (res, chunk) => {
+  if (res.destroyed) {
+    throw new Error('Client disconnected');
+  }
+  if (!res.write(chunk)) {
+    const controller = new AbortController();
+    try {
+      await Promise.race([once(res, 'drain', { signal: controller.signal }), once(res, 'close', { signal: controller.signal })]);
+    } finally {
+      controller.abort();
+    }
+    if (res.destroyed) {
+      throw new Error('Client disconnected');
+    }
+  }
+};
+
+// Stream readings as CSV, NDJSON or XLSX straight from a MongoDB cursor, so
+// multi-month exports never sit in memory.
+// Query: format, columns (comma separated), tz (IANA name, default UTC) and
+// the same filters as /api/data (deviceId, startDate, endDate, thresholds).
+router.get('/', async (req, res) => {
+  const format = req.query.format || 'csv';
+  if (!FORMATS[format]) {
+    return res.status(400).json({ error: `format must be one of ${Object.keys(FORMATS).join(', ')}` });
+  }
+
+  const columns = parseList(req.query.columns);
+  const unknown = columns.filter((column) => !COLUMN_NAMES.includes(column));
+  if (unknown.length > 0) {
+    return res.status(400).json({ error: `Unknown columns: ${unknown.join(', ')}` });
+  }
+  const selected = columns.length > 0 ? columns : COLUMN_NAMES;
+
+  const timeZone = req.query.tz || 'UTC';
+  if (!isValidTimeZone(timeZone)) {
+    return res.status(400).json({ error: `Unknown timezone "${timeZone}"` });
+  }
+
+  const { filter, errors } = buildReadingFilter(req.query);
+  if (errors) {
+    return res.status(400).json({ error: 'Invalid query parameters', fields: errors });
+  }
+
+  const range = [fileDate(filter.timestamp && filter.timestamp.$gte), fileDate(filter.timestamp && filter.timestamp.$lte)]
+    .filter(Boolean)
+    .join('_to_');
+  const filename = `airaware-export${range ? `-${range}` : ''}.${FORMATS[format].extension}`;
+
+  const cursor = SensorData.find(filter, projectionFor(selected))
+    .sort({ timestamp: 1 })
+    .lean()
+    .cursor();
+  // Stop reading from MongoDB if the client goes away mid-download
+  res.on('close', () => cursor.close().catch(() => {}));
+
+  const formatTime = createTimeFormatter(timeZone);
+
+  try {
+    res.setHeader('Content-Type', FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'xlsx') {
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false });
+      const sheet = workbook.addWorksheet('Readings');
+      sheet.addRow(selected).commit();
+      for await (const doc of cursor) {
+        sheet.addRow(toRow(doc, selected, formatTime)).commit();
+      }
+      if (res.destroyed) {
+        return;
+      }
+      sheet.commit();
+      await workbook.commit();
+      return;
+    }
+
+    if (format === 'csv') {
+      await write(res, toCsvLine(selected));
+    }
+    for await (const doc of cursor) {
+      const values = toRow(doc, selected, formatTime);
+      await write(res, format === 'csv' ? toCsvLine(values) : toNdjsonLine(values, selected));
+    }
+    res.end();
+  } catch (error) {
+    if (res.destroyed) {
+      // The client went away; there's no one left to tell
+      return;
+    }
+    console.error('Error exporting sensor data:', error);
+    if (res.headersSent) {
+      // Too late for a JSON error; cut the download short so it isn't mistaken for complete
+      res.destroy(error);
+    } else {
+      res.status(500).json({ error: 'Failed to export sensor data' });
+    }
+  }
+});
+
+module.exports = router;
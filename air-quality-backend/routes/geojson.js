@@ -0,0 +1,66 @@
+const express = require('express');
+const Device = require('../models/Device');
+const { latestReadingPerDevice } = require('../lib/readingQuery');
+
+const router = express.Router();
+
+// Measurements copied from the latest reading into each station's properties
+const OBSERVATION_FIELDS = [
+  'temperature', 'humidity', 'vocIndex', 'pm1', 'pm25', 'pm10',
+  'rainfall', 'windSpeed', 'windDirection', 'aqi', 'aqiCategory'
+];
+
+const latestObservation = (reading) => {
+  if (!reading) return null;
+  const observation = { timestamp: reading.timestamp };
+  OBSERVATION_FIELDS.forEach((field) => {
+    if (reading[field] !== undefined) observation[field] = reading[field];
+  });
+  return observation;
+};
+
+// Stations as a GeoJSON FeatureCollection for GIS tools, each with its latest
+// observation. Mobile sensors are placed where their latest reading was taken.
+// Query: status (e.g. active) to leave out retired stations
+router.get('/stations', async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const [devices, latest] = await Promise.all([
+      Device.find(filter).sort({ deviceId: 1 }).lean(),
+      latestReadingPerDevice()
+    ]);
+    const latestById = new Map(latest.map((reading) => [reading.deviceId, reading]));
+
+    const features = devices.map((device) => {
+      const reading = latestById.get(device.deviceId);
+      const location = device.mobile && reading && reading.location && typeof reading.location.latitude === 'number'
+        ? reading.location
+        : device.location;
+
+      return {
+        type: 'Feature',
+        id: device.deviceId,
+        geometry: { type: 'Point', coordinates: [location.longitude, location.latitude] },
+        properties: {
+          deviceId: device.deviceId,
+          name: device.name,
+          status: device.status,
+          mobile: Boolean(device.mobile),
+          installDate: device.installDate,
+          latestObservation: latestObservation(reading)
+        }
+      };
+    });
+
+    res.type('application/geo+json').send(JSON.stringify({ type: 'FeatureCollection', features }));
+  } catch (error) {
+    console.error('Error building station GeoJSON:', error);
+    res.status(500).json({ error: 'Failed to fetch stations' });
+  }
+});
+
+module.exports = router;
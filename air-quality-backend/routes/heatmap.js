@@ -0,0 +1,63 @@
+const express = require('express');
+const { HEATMAP_METRICS, heatmap } = require('../lib/interpolate');
+
+const router = express.Router();
+
+const MAX_COLS = 150;
+const MAX_RADIUS_KM = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseBbox = (value) => {
+  const parts = String(value || '').split(',').map(Number);
+  if (parts.length !== 4 || !parts.every(Number.isFinite)) {
+    return null;
+  }
+  const [west, south, east, north] = parts;
+  if (west >= east || south >= north || south < -90 || north > 90) {
+    return null;
+  }
+  return parts;
+};
+
+// Interpolated grid of PM2.5, PM10 or AQI from stored readings.
+// Query: bbox=west,south,east,north (required), metric (default pm25),
+// time (end of the hour averaged, default now, at most 30 days back),
+// cols (grid width, default 60), radius (km around stations to fill, default 5),
+// power (IDW exponent, default 2)
+router.get('/', async (req, res) => {
+  try {
+    const bbox = parseBbox(req.query.bbox);
+    if (!bbox) {
+      return res.status(400).json({ error: 'bbox must be west,south,east,north' });
+    }
+
+    const metric = req.query.metric || 'pm25';
+    if (!HEATMAP_METRICS.includes(metric)) {
+      return res.status(400).json({ error: `metric must be one of ${HEATMAP_METRICS.join(', ')}` });
+    }
+
+    const time = req.query.time ? new Date(req.query.time) : new Date();
+    if (Number.isNaN(time.getTime()) || Date.now() - time.getTime() > 30 * DAY_MS) {
+      return res.status(400).json({ error: 'time must be a date within the last 30 days' });
+    }
+
+    const cols = req.query.cols === undefined ? 60 : Number(req.query.cols);
+    if (!Number.isInteger(cols) || cols < 1 || cols > MAX_COLS) {
+      return res.status(400).json({ error: `cols must be an integer from 1 to ${MAX_COLS}` });
+    }
+
+    const radiusKm = req.query.radius === undefined ? 5 : Number(req.query.radius);
+    if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+      return res.status(400).json({ error: `radius must be greater than 0 and at most ${MAX_RADIUS_KM} km` });
+    }
+
+    const power = Math.min(Math.max(parseFloat(req.query.power) || 2, 1), 4);
+
+    res.json(await heatmap({ bbox, time, metric, cols, radiusKm, power }));
+  } catch (error) {
+    console.error('Error building heatmap:', error);
+    res.status(500).json({ error: 'Failed to build heatmap' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,218 @@
+const express = require('express');
+const crypto = require('crypto');
+const multer = require('multer');
+const Device = require('../models/Device');
+const Import = require('../models/Import');
+const SensorData = require('../models/SensorData');
+const { requireAdmin } = require('../middleware/auth');
+const { saveBatch } = require('../lib/ingest');
+const events = require('../lib/events');
+const { IMPORT_FIELDS, parseCsv, suggestMapping, rowToReading, checkMapping } = require('../lib/csvImport');
+
+const router = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024 }
+});
+
+const BATCH_SIZE = 500;
+
+// Keep reports readable for files with thousands of bad rows
+const MAX_REPORTED_ROWS = 100;
+
+const SAMPLE_ROWS = 5;
+
+router.use(requireAdmin);
+
+// Parse the multipart form shared by preview and commit:
+// file (CSV), deviceId, and optionally mapping (JSON object of column -> field)
+const readUpload = async (req, res) => {
+  if (!req.file) {
+    res.status(400).json({ error: 'A CSV file is required' });
+    return null;
+  }
+
+  const device = await Device.findOne({ deviceId: req.body.deviceId });
+  if (!device) {
+    res.status(400).json({ error: 'deviceId must be a registered device' });
+    return null;
+  }
+
+  let records;
+  try {
+    records = parseCsv(req.file.buffer);
+  } catch (error) {
+    res.status(400).json({ error: `Could not parse CSV: ${error.message}` });
+    return null;
+  }
+  if (records.length === 0) {
+    res.status(400).json({ error: 'The CSV file has no data rows' });
+    return null;
+  }
+
+  const headers = Object.keys(records[0]);
+
+  let mapping = null;
+  if (req.body.mapping) {
+    try {
+      mapping = JSON.parse(req.body.mapping);
+    } catch (error) {
+      res.status(400).json({ error: 'mapping must be a JSON object' });
+      return null;
+    }
+    const mappingError = checkMapping(mapping, headers);
+    if (mappingError) {
+      res.status(400).json({ error: mappingError });
+      return null;
+    }
+  }
+
+  return { device, records, headers, mapping };
+};
+
+// Run every row through batch ingest in chunks, either as a dry run or for real
+const processRows = async (device, records, mapping, options) => {
+  const seen = new Set();
+  const summary = { rows: records.length, valid: 0, inserted: 0, duplicate: 0, invalid: 0, failed: 0 };
+  const rejectedRows = [];
+  const duplicateRows = [];
+
+  for (let offset = 0; offset < records.length; offset += BATCH_SIZE) {
+    const chunk = records.slice(offset, offset + BATCH_SIZE);
+    const { results } = await saveBatch(
+      device,
+      chunk.map((record) => rowToReading(record, mapping)),
+      { ...options, seen }
+    );
+
+    results.forEach((result) => {
+      // +2: one for the header line, one because rows are numbered from 1
+      const row = offset + result.index + 2;
+      const status = result.status === 'rejected' ? 'invalid' : result.status;
+      summary[status] += 1;
+      if ((status === 'invalid' || status === 'failed') && rejectedRows.length < MAX_REPORTED_ROWS) {
+        rejectedRows.push({ row, error: result.error, fields: result.fields });
+      }
+      if (status === 'duplicate' && duplicateRows.length < MAX_REPORTED_ROWS) {
+        duplicateRows.push(row);
+      }
+    });
+  }
+
+  return { summary, rejectedRows, duplicateRows };
+};
+
+// Step 1 and 2 of an import. Without a mapping, returns the file's headers,
+// a suggested mapping and sample rows. With a mapping, returns a dry-run
+// report of accepted, rejected and duplicate rows. Nothing is written.
+router.post('/preview', upload.single('file'), async (req, res) => {
+  try {
+    const parsed = await readUpload(req, res);
+    if (!parsed) return;
+    const { device, records, headers, mapping } = parsed;
+
+    if (!mapping) {
+      return res.json({
+        headers,
+        fields: IMPORT_FIELDS,
+        suggestedMapping: suggestMapping(headers),
+        sample: records.slice(0, SAMPLE_ROWS),
+        rows: records.length
+      });
+    }
+
+    const report = await processRows(device, records, mapping, { dryRun: true });
+    res.json({ dryRun: true, ...report });
+  } catch (error) {
+    console.error('Error previewing import:', error);
+    res.status(500).json({ error: 'Failed to preview import' });
+  }
+});
+
+// Import the file for real. Readings are inserted in batches and tagged with
+// a new importId that can be passed to DELETE /api/import/:importId.
+router.post('/commit', upload.single('file'), async (req, res) => {
+  try {
+    const parsed = await readUpload(req, res);
+    if (!parsed) return;
+    const { device, records, mapping } = parsed;
+
+    if (!mapping) {
+      return res.status(400).json({ error: 'mapping is required to commit an import' });
+    }
+
+    const importId = crypto.randomUUID();
+    const record = await Import.create({
+      importId,
+      deviceId: device.deviceId,
+      filename: req.file.originalname,
+      mapping: Object.entries(mapping).map(([column, field]) => ({ column, field })),
+      rows: records.length
+    });
+
+    let report;
+    try {
+      report = await processRows(device, records, mapping, { tag: { importId } });
+    } catch (error) {
+      // Whatever was inserted before the failure stays rollback-able
+      record.status = 'failed';
+      record.error = error.message;
+      record.inserted = await SensorData.countDocuments({ importId });
+      await record.save();
+      throw error;
+    }
+
+    record.status = 'committed';
+    record.inserted = report.summary.inserted;
+    record.duplicates = report.summary.duplicate;
+    record.rejected = report.summary.invalid + report.summary.failed;
+    await record.save();
+
+    console.log(`Import ${importId} for ${device.deviceId}:`, report.summary);
+    events.emit('admin', { type: 'import-committed', import: record.toJSON() });
+    res.status(201).json({ importId, import: record, ...report });
+  } catch (error) {
+    console.error('Error committing import:', error);
+    res.status(500).json({ error: 'Failed to import sensor data' });
+  }
+});
+
+// List past imports, newest first
+router.get('/', async (req, res) => {
+  try {
+    const imports = await Import.find().sort({ createdAt: -1 }).limit(100);
+    res.json(imports);
+  } catch (error) {
+    console.error('Error fetching imports:', error);
+    res.status(500).json({ error: 'Failed to fetch imports' });
+  }
+});
+
+// Roll back an import by deleting every reading it created. Failed and
+// still-pending imports can be rolled back too.
+router.delete('/:importId', async (req, res) => {
+  try {
+    const record = await Import.findOne({ importId: req.params.importId });
+    if (!record) {
+      return res.status(404).json({ error: 'Import not found' });
+    }
+    if (record.status === 'rolled_back') {
+      return res.status(409).json({ error: 'Import has already been rolled back' });
+    }
+
+    const { deletedCount } = await SensorData.deleteMany({ importId: record.importId });
+    record.status = 'rolled_back';
+    record.rolledBackAt = new Date();
+    await record.save();
+
+    console.log(`Import ${record.importId} rolled back, ${deletedCount} readings removed`);
+    events.emit('admin', { type: 'import-rolled-back', import: record.toJSON(), deleted: deletedCount });
+    res.json({ success: true, deleted: deletedCount, import: record });
+  } catch (error) {
+    console.error('Error rolling back import:', error);
+    res.status(500).json({ error: 'Failed to roll back import' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,66 @@
+const express = require('express');
+const PushSubscription = require('../models/PushSubscription');
+const { getPublicKey } = require('../lib/push');
+
+const router = express.Router();
+
+// VAPID public key the browser needs to subscribe
+router.get('/public-key', (req, res) => {
+  const publicKey = getPublicKey();
+  if (!publicKey) {
+    return res.status(503).json({ error: 'Push notifications are not configured on this server' });
+  }
+  res.json({ publicKey });
+});
+
+// Save (or update) a browser subscription. Body: { subscription, deviceIds? }
+router.post('/subscriptions', async (req, res) => {
+  try {
+    if (!getPublicKey()) {
+      return res.status(503).json({ error: 'Push notifications are not configured on this server' });
+    }
+
+    const { subscription, deviceIds = [] } = req.body;
+    if (!subscription || typeof subscription.endpoint !== 'string' || !subscription.keys) {
+      return res.status(400).json({ error: 'subscription must be a PushSubscription with endpoint and keys' });
+    }
+    if (!Array.isArray(deviceIds) || deviceIds.some((id) => typeof id !== 'string')) {
+      return res.status(400).json({ error: 'deviceIds must be an array of strings' });
+    }
+
+    const saved = await PushSubscription.findOneAndUpdate(
+      { endpoint: subscription.endpoint },
+      {
+        endpoint: subscription.endpoint,
+        keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth },
+        deviceIds
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.status(201).json({ success: true, deviceIds: saved.deviceIds });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error saving push subscription:', error);
+    res.status(500).json({ error: 'Failed to save push subscription' });
+  }
+});
+
+// Remove a browser subscription. Body: { endpoint }
+router.delete('/subscriptions', async (req, res) => {
+  try {
+    if (typeof req.body.endpoint !== 'string') {
+      return res.status(400).json({ error: 'endpoint is required' });
+    }
+
+    await PushSubscription.deleteOne({ endpoint: req.body.endpoint });
+    res.json({ success: true, message: 'Push subscription removed' });
+  } catch (error) {
+    console.error('Error removing push subscription:', error);
+    res.status(500).json({ error: 'Failed to remove push subscription' });
+  }
+});
+
+module.exports = router;
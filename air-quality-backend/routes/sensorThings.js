@@ -0,0 +1,150 @@
+const express = require('express');
+const { collections, navigate } = require('../lib/sensorThings');
+const { parseFilter } = require('../lib/odataFilter');
+
+const router = express.Router();
+
+const DEFAULT_TOP = 100;
+const MAX_TOP = 1000;
+const QUERY_OPTIONS = ['$filter', '$top', '$skip'];
+
+// Things, Things('library-roof'), Things('library-roof')/Datastreams ...
+const SEGMENT = /^(\w+)(?:\((.*)\))?$/;
+
+const parseKey = (key) => {
+  if (/^'.*'$/.test(key)) return key.slice(1, -1).replace(/''/g, "'");
+  return key;
+};
+
+// Returns { segments } or { error }
+const parsePath = (path) => {
+  const segments = [];
+  for (const raw of path.split('/').filter(Boolean)) {
+    let match = null;
+    try {
+      match = decodeURIComponent(raw).match(SEGMENT);
+    } catch (error) {
+      // Malformed percent-encoding, reported below
+    }
+    if (!match) {
+      return { error: `Invalid path segment "${raw}"` };
+    }
+    segments.push({ name: match[1], id: match[2] === undefined ? undefined : parseKey(match[2]) });
+  }
+  return { segments };
+};
+
+// Returns { options } or { error }
+const parseOptions = (query) => {
+  const unsupported = Object.keys(query).filter((key) => key.startsWith('$') && !QUERY_OPTIONS.includes(key));
+  if (unsupported.length > 0) {
+    return { error: `Unsupported query options: ${unsupported.join(', ')}. Supported: ${QUERY_OPTIONS.join(', ')}` };
+  }
+
+  const top = query.$top === undefined ? DEFAULT_TOP : Number(query.$top);
+  const skip = query.$skip === undefined ? 0 : Number(query.$skip);
+  if (!Number.isInteger(top) || top < 0 || top > MAX_TOP) {
+    return { error: `$top must be an integer from 0 to ${MAX_TOP}` };
+  }
+  if (!Number.isInteger(skip) || skip < 0) {
+    return { error: '$skip must be a non-negative integer' };
+  }
+
+  let tree = null;
+  if (query.$filter !== undefined) {
+    const parsed = parseFilter(query.$filter);
+    if (parsed.error) {
+      return { error: parsed.error };
+    }
+    tree = parsed.tree;
+  }
+
+  return { options: { tree, top, skip } };
+};
+
+const nextLink = (req, base, { top, skip }) => {
+  const params = new URLSearchParams(req.query);
+  params.set('$skip', skip + top);
+  params.set('$top', top);
+  return `${base}${req.path}?${params.toString()}`;
+};
+
+// Read-only OGC SensorThings API 1.1: Things, Locations, Datastreams and
+// Observations with $filter, $top and $skip. See lib/sensorThings for how
+// they map onto devices and readings.
+router.get(/.*/, async (req, res) => {
+  try {
+    const base = `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+
+    const { segments, error: pathError } = parsePath(req.path);
+    if (pathError) {
+      return res.status(400).json({ error: pathError });
+    }
+
+    if (segments.length === 0) {
+      return res.json({
+        value: Object.keys(collections).map((name) => ({ name, url: `${base}/${name}` })),
+        serverSettings: {
+          conformance: [
+            'http://www.opengis.net/spec/iot_sensing/1.1/req/datamodel',
+            'http://www.opengis.net/spec/iot_sensing/1.1/req/request-data'
+          ]
+        }
+      });
+    }
+
+    const [first, ...rest] = segments;
+    if (!collections[first.name]) {
+      return res.status(404).json({ error: `Unknown entity set ${first.name}` });
+    }
+
+    // Walk the navigation path one entity at a time
+    let target = first.id === undefined
+      ? { collection: first.name, scope: {} }
+      : { collection: first.name, id: first.id };
+    for (const segment of rest) {
+      if (target.id === undefined) {
+        return res.status(400).json({ error: `Select a single ${target.collection} entity before navigating to ${segment.name}` });
+      }
+      if (segment.id !== undefined) {
+        return res.status(400).json({ error: `${segment.name} cannot be addressed by id after navigation` });
+      }
+      const entity = target.id !== null && await collections[target.collection].get(base, target.id);
+      if (!entity) {
+        return res.status(404).json({ error: `${target.collection} entity not found` });
+      }
+      target = await navigate(target.collection, entity, segment.name);
+      if (!target) {
+        return res.status(400).json({ error: `Unknown navigation property ${segment.name}` });
+      }
+    }
+
+    if (target.id !== undefined) {
+      const entity = target.id !== null && await collections[target.collection].get(base, target.id);
+      if (!entity) {
+        return res.status(404).json({ error: `${target.collection} entity not found` });
+      }
+      return res.json(entity);
+    }
+
+    const { options, error: optionsError } = parseOptions(req.query);
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+
+    const { entities, more, error: listError } = await collections[target.collection].list(base, target.scope, options);
+    if (listError) {
+      return res.status(400).json({ error: listError });
+    }
+
+    res.json({
+      value: entities,
+      ...(more && { '@iot.nextLink': nextLink(req, base, options) })
+    });
+  } catch (error) {
+    console.error('Error serving SensorThings request:', error);
+    res.status(500).json({ error: 'Failed to fetch SensorThings entities' });
+  }
+});
+
+module.exports = router;
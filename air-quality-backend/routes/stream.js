@@ -0,0 +1,115 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const SensorData = require('../models/SensorData');
+const { parseList } = require('../lib/readingQuery');
+const events = require('../lib/events');
+
+const router = express.Router();
+
+// Server-Sent Events for clients that can't hold a WebSocket open, e.g.
+// behind proxies that break the upgrade. Events:
+//
+//   event: sensor-data   id: the reading's _id   data: the reading
+//   event: alert                                 data: { transition, alert }
+//
+// Reading ids increase in the order readings were stored, so a client that
+// reconnects with Last-Event-ID gets everything it missed replayed from MongoDB.
+
+const HEARTBEAT_MS = 25 * 1000;
+const RETRY_MS = 5000;
+// Clients gone longer than this start over from live data
+const MAX_REPLAY = 1000;
+
+const clients = new Set();
+
+const send = (client, { id, event, data }) => {
+  let message = '';
+  if (id) message += `id: ${id}\n`;
+  message += `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  client.res.write(message);
+};
+
+const wants = (client, reading) => !client.deviceIds || client.deviceIds.includes(reading.deviceId);
+
+// One listener on the event bus fans out to every open stream
+events.on('reading', (reading) => {
+  const data = typeof reading.toJSON === 'function' ? reading.toJSON() : reading;
+  const message = { id: String(data._id), event: 'sensor-data', data };
+  clients.forEach((client) => {
+    if (!wants(client, data)) return;
+    if (client.buffer) {
+      client.buffer.push(message);
+    } else {
+      send(client, message);
+    }
+  });
+});
+
+events.on('alert', (alert) => {
+  clients.forEach((client) => {
+    if (client.alerts) send(client, { event: 'alert', data: alert });
+  });
+});
+
+// Open an event stream. Query: deviceId (comma-separated), alerts=false to skip alerts.
+// EventSource sends Last-Event-ID on reconnect; ?lastEventId= works for the first connect.
+router.get('/', async (req, res) => {
+  const deviceIds = parseList(req.query.deviceId);
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  if (lastEventId && !mongoose.isValidObjectId(lastEventId)) {
+    return res.status(400).json({ error: 'Last-Event-ID must be a reading id' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop nginx and similar proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  // Live readings are held back while missed ones are replayed, so they
+  // arrive in order and none is sent twice
+  const client = {
+    res,
+    deviceIds: deviceIds.length > 0 ? deviceIds : null,
+    alerts: req.query.alerts !== 'false',
+    buffer: lastEventId ? [] : null
+  };
+  clients.add(client);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(client);
+  });
+
+  if (!lastEventId) {
+    return;
+  }
+
+  try {
+    const missed = await SensorData.find({
+      _id: { $gt: new mongoose.Types.ObjectId(lastEventId) },
+      ...(client.deviceIds ? { deviceId: { $in: client.deviceIds } } : {})
+    }).sort({ _id: 1 }).limit(MAX_REPLAY);
+
+    let lastSent = lastEventId;
+    missed.forEach((reading) => {
+      lastSent = String(reading._id);
+      send(client, { id: lastSent, event: 'sensor-data', data: reading.toJSON() });
+    });
+    client.buffer
+      .filter((message) => message.id > lastSent)
+      .forEach((message) => send(client, message));
+  } catch (error) {
+    console.error('Error replaying missed readings:', error);
+    client.buffer.forEach((message) => send(client, message));
+  } finally {
+    client.buffer = null;
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,124 @@
+const express = require('express');
+const Trip = require('../models/Trip');
+const SensorData = require('../models/SensorData');
+const { requireAdmin } = require('../middleware/auth');
+const { POINT_FIELDS, toGpx, toGeoJson } = require('../lib/tripExport');
+
+const router = express.Router();
+
+const MAX_TRIPS = 200;
+
+const EXPORT_FORMATS = {
+  gpx: { contentType: 'application/gpx+xml; charset=utf-8', extension: 'gpx', render: toGpx },
+  geojson: {
+    contentType: 'application/geo+json; charset=utf-8',
+    extension: 'geojson',
+    render: (trip, points) => JSON.stringify(toGeoJson(trip, points))
+  }
+};
+
+// Readings on the trip that had a GPS fix, oldest first
+const loadPoints = (tripId) => SensorData.find(
+  { tripId, 'location.latitude': { $type: 'number' }, 'location.longitude': { $type: 'number' } },
+  ['timestamp', 'location', ...POINT_FIELDS].join(' ')
+).sort({ timestamp: 1 }).lean();
+
+const findTrip = async (req, res) => {
+  const trip = await Trip.findById(req.params.id);
+  if (!trip) {
+    res.status(404).json({ error: 'Trip not found' });
+  }
+  return trip;
+};
+
+const handleError = (res, error, logMessage, failureMessage) => {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ error: error.message });
+  }
+  console.error(logMessage, error);
+  res.status(500).json({ error: failureMessage });
+};
+
+// List trips, newest first. Query: deviceId, startDate, endDate (trips
+// overlapping the range), limit
+router.get('/', async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.deviceId) {
+      filter.deviceId = req.query.deviceId;
+    }
+    if (req.query.startDate) {
+      filter.endedAt = { $gte: new Date(req.query.startDate) };
+    }
+    if (req.query.endDate) {
+      filter.startedAt = { $lte: new Date(req.query.endDate) };
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, MAX_TRIPS);
+    const trips = await Trip.find(filter).sort({ endedAt: -1 }).limit(limit);
+    res.json(trips);
+  } catch (error) {
+    handleError(res, error, 'Error fetching trips:', 'Failed to fetch trips');
+  }
+});
+
+// A trip with its route: every reading that had a GPS fix
+router.get('/:id', async (req, res) => {
+  try {
+    const trip = await findTrip(req, res);
+    if (!trip) return;
+
+    const points = await loadPoints(trip._id);
+    res.json({
+      ...trip.toObject(),
+      points: points.map(({ _id, location, ...point }) => ({
+        ...point,
+        latitude: location.latitude,
+        longitude: location.longitude
+      }))
+    });
+  } catch (error) {
+    handleError(res, error, 'Error fetching trip:', 'Failed to fetch trip');
+  }
+});
+
+// Download the route as GPX (default) or GeoJSON
+router.get('/:id/export', async (req, res) => {
+  try {
+    const format = req.query.format || 'gpx';
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+
+    const trip = await findTrip(req, res);
+    if (!trip) return;
+
+    const points = await loadPoints(trip._id);
+    const { contentType, extension, render } = EXPORT_FORMATS[format];
+    const filename = `airaware-trip-${trip.deviceId}-${trip.startedAt.toISOString().slice(0, 10)}.${extension}`;
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(render(trip, points));
+  } catch (error) {
+    handleError(res, error, 'Error exporting trip:', 'Failed to export trip');
+  }
+});
+
+// Rename a trip
+router.patch('/:id', requireAdmin, async (req, res) => {
+  try {
+    const trip = await findTrip(req, res);
+    if (!trip) return;
+
+    if (req.body.name !== undefined) {
+      trip.name = req.body.name;
+    }
+    await trip.save();
+    res.json(trip);
+  } catch (error) {
+    handleError(res, error, 'Error updating trip:', 'Failed to update trip');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,137 @@
+const express = require('express');
+const Zone = require('../models/Zone');
+const Device = require('../models/Device');
+const AlertRule = require('../models/AlertRule');
+const { requireAdmin } = require('../middleware/auth');
+const events = require('../lib/events');
+const {
+  validatePolygon,
+  bboxOf,
+  invalidateZones,
+  assignZone,
+  unassignZone,
+  zoneSummaries
+} = require('../lib/zones');
+
+const router = express.Router();
+
+// Fields a client is allowed to set on a zone
+const EDITABLE_FIELDS = ['name', 'description', 'geometry'];
+
+const pickEditable = (body) => {
+  const update = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) {
+      update[field] = body[field];
+    }
+  });
+  return update;
+};
+
+const handleWriteError = (res, error, logMessage, failureMessage) => {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({ error: 'A zone with this name already exists' });
+  }
+  console.error(logMessage, error);
+  res.status(500).json({ error: failureMessage });
+};
+
+// List zones
+router.get('/', async (req, res) => {
+  try {
+    const zones = await Zone.find().sort({ name: 1 });
+    res.json(zones);
+  } catch (error) {
+    console.error('Error fetching zones:', error);
+    res.status(500).json({ error: 'Failed to fetch zones' });
+  }
+});
+
+// Current and 24h AQI for every zone, with the stations inside each
+router.get('/summary', async (req, res) => {
+  try {
+    const [zones, devices] = await Promise.all([
+      Zone.find().sort({ name: 1 }).lean(),
+      Device.find({ status: { $ne: 'retired' } }, { deviceId: 1, name: 1, location: 1, mobile: 1 }).lean()
+    ]);
+    res.json(zones.length > 0 ? await zoneSummaries(zones, devices) : []);
+  } catch (error) {
+    console.error('Error building zone summaries:', error);
+    res.status(500).json({ error: 'Failed to fetch zone summaries' });
+  }
+});
+
+// Draw a new zone. Stored readings taken inside it are tagged straight away.
+router.post('/', requireAdmin, async (req, res) => {
+  try {
+    const update = pickEditable(req.body);
+    const geometryError = validatePolygon(update.geometry);
+    if (geometryError) {
+      return res.status(400).json({ error: geometryError });
+    }
+
+    const zone = await Zone.create({ ...update, bbox: bboxOf(update.geometry) });
+    invalidateZones();
+    const readings = await assignZone(zone);
+
+    events.emit('admin', { type: 'zone-created', zone: zone.toJSON() });
+    res.status(201).json({ ...zone.toJSON(), readings });
+  } catch (error) {
+    handleWriteError(res, error, 'Error creating zone:', 'Failed to create zone');
+  }
+});
+
+// Rename or redraw a zone. Redrawing re-tags stored readings.
+router.put('/:id', requireAdmin, async (req, res) => {
+  try {
+    const update = pickEditable(req.body);
+    if (update.geometry !== undefined) {
+      const geometryError = validatePolygon(update.geometry);
+      if (geometryError) {
+        return res.status(400).json({ error: geometryError });
+      }
+      update.bbox = bboxOf(update.geometry);
+    }
+
+    const zone = await Zone.findByIdAndUpdate(req.params.id, update, { new: true, runValidators: true });
+    if (!zone) {
+      return res.status(404).json({ error: 'Zone not found' });
+    }
+
+    invalidateZones();
+    const readings = update.geometry ? await assignZone(zone) : undefined;
+
+    events.emit('admin', { type: 'zone-updated', zone: zone.toJSON() });
+    res.json({ ...zone.toJSON(), readings });
+  } catch (error) {
+    handleWriteError(res, error, 'Error updating zone:', 'Failed to update zone');
+  }
+});
+
+// Delete a zone and untag its readings. Refused while alert rules target it.
+router.delete('/:id', requireAdmin, async (req, res) => {
+  try {
+    const rules = await AlertRule.countDocuments({ zoneId: req.params.id });
+    if (rules > 0) {
+      return res.status(409).json({ error: `${rules} alert rule(s) target this zone; change or delete them first` });
+    }
+
+    const zone = await Zone.findByIdAndDelete(req.params.id);
+    if (!zone) {
+      return res.status(404).json({ error: 'Zone not found' });
+    }
+
+    invalidateZones();
+    await unassignZone(zone._id);
+
+    events.emit('admin', { type: 'zone-deleted', zoneId: zone._id });
+    res.json({ success: true, message: 'Zone deleted' });
+  } catch (error) {
+    handleWriteError(res, error, 'Error deleting zone:', 'Failed to delete zone');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,39 @@
+// Assigns readings stored before the device registry, which have no deviceId,
+// to one device so they show up under per-device filters again. Run once
+// after upgrading:
+//
+//   npm run migrate:device-id                  assigns them to "legacy-station"
+//   npm run migrate:device-id -- library-roof  or to an existing device
+//
+// The device is registered if it doesn't exist yet. Safe to run again.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const SensorData = require('../models/SensorData');
+const Device = require('../models/Device');
+
+const DEFAULT_DEVICE_ID = 'legacy-station';
+
+const main = async () => {
+  const deviceId = (process.argv[2] || DEFAULT_DEVICE_ID).trim();
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/airquality');
+
+  const device = await Device.findOneAndUpdate(
+    { deviceId },
+    { $setOnInsert: { deviceId, name: deviceId === DEFAULT_DEVICE_ID ? 'Legacy station' : deviceId } },
+    { upsert: true, new: true }
+  );
+
+  const { modifiedCount } = await SensorData.updateMany(
+    { $or: [{ deviceId: { $exists: false } }, { deviceId: null }, { deviceId: '' }] },
+    { $set: { deviceId: device.deviceId } }
+  );
+  console.log(`Assigned ${modifiedCount} readings without a deviceId to ${device.deviceId}`);
+};
+
+main()
+  .catch((error) => {
+    console.error('Backfill failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
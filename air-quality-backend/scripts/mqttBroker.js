@@ -0,0 +1,19 @@
+// Minimal MQTT broker for developing the MQTT bridge without installing
+// Mosquitto. Run `npm run mqtt:broker`, then start the backend with
+// MQTT_URL=mqtt://localhost:1883.
+const net = require('net');
+const Aedes = require('aedes');
+
+const port = parseInt(process.env.MQTT_PORT) || 1883;
+const broker = Aedes();
+const server = net.createServer(broker.handle);
+
+broker.on('publish', (packet, client) => {
+  if (client) {
+    console.log(`${client.id} → ${packet.topic}: ${packet.payload.toString()}`);
+  }
+});
+
+server.listen(port, () => {
+  console.log(`MQTT broker listening on port ${port}`);
+});
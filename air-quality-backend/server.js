@@ -5,6 +5,34 @@ const socketIo = require('socket.io');
 const mongoose = require('mongoose');
 require('dotenv').config();
 
+const SensorData = require('./models/SensorData');
+const Device = require('./models/Device');
+const deviceRoutes = require('./routes/devices');
+const adminRoutes = require('./routes/admin');
+const aggregateRoutes = require('./routes/aggregate');
+const exportRoutes = require('./routes/export');
+const importRoutes = require('./routes/import');
+const alertRoutes = require('./routes/alerts');
+const pushRoutes = require('./routes/push');
+const streamRoutes = require('./routes/stream');
+const heatmapRoutes = require('./routes/heatmap');
+const tripRoutes = require('./routes/trips');
+const geojsonRoutes = require('./routes/geojson');
+const sensorThingsRoutes = require('./routes/sensorThings');
+const zoneRoutes = require('./routes/zones');
+const events = require('./lib/events');
+const { evaluateReading } = require('./lib/alerts');
+const { notifyAqiCrossing } = require('./lib/push');
+const { startFirestoreSync } = require('./lib/firestoreSync');
+const { attachRealtime } = require('./lib/realtime');
+const { startMqttBridge } = require('./lib/mqttBridge');
+const { SCHEMA_VERSION, SCHEMAS, FORMATS } = require('./lib/compactFormat');
+const { requireDeviceKey } = require('./middleware/auth');
+const { compactBody } = require('./middleware/compactBody');
+const { MAX_BATCH_SIZE, prepareReading, saveReading, saveBatch } = require('./lib/ingest');
+const { attachAqi, computeAqi } = require('./lib/aqi');
+const { parseList, buildReadingFilter, buildReadingSort, latestReadingPerDevice } = require('./lib/readingQuery');
+
 const app = express();
 const server = http.createServer(app);
 
@@ -15,49 +43,43 @@ const corsOptions = {
 };
 
 app.use(cors(corsOptions));
-app.use(express.json());
+// Batches of buffered readings from offline stations can be large
+app.use(express.json({ limit: '1mb' }));
 
 // Configure Socket.IO with CORS
 const io = socketIo(server, {
   cors: corsOptions
 });
 
-// MongoDB Schema
-const sensorDataSchema = new mongoose.Schema({
-  temperature: { type: Number, required: true },
-  humidity: { type: Number, required: true },
-  vocIndex: { type: Number, required: true },
-  vocRaw: { type: Number, required: true },
-  pm1: { type: Number, required: true },
-  pm25: { type: Number, required: true },
-  pm10: { type: Number, required: true },
-  rainfall: { type: Number, required: true },
-  windSpeed: { type: Number, required: true },
-  windDirection: { type: String, required: true },
-  location: {
-    latitude: { type: Number, default: 6.791164 },
-    longitude: { type: Number, default: 79.900497 }
-  },
-  timestamp: { type: Date, default: Date.now }
-});
+const MAX_PAGE_SIZE = 500;
 
-const SensorData = mongoose.model('SensorData', sensorDataSchema);
+// Build a SensorData filter from an optional ?deviceId= query parameter. Goes
+// through parseList so only strings reach the query, never ?deviceId[$ne]=x.
+const deviceFilter = (query) => buildReadingFilter({ deviceId: query.deviceId }).filter;
 
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/airquality')
   .then(() => {
     console.log('Connected to MongoDB');
+    startFirestoreSync().catch((error) => {
+      console.error('Error starting Firestore sync:', error);
+    });
+    startMqttBridge();
   })
   .catch((error) => {
     console.error('MongoDB connection error:', error);
   });
 
-// Socket.IO connection handling
-io.on('connection', (socket) => {
-  console.log('Client connected:', socket.id);
-  
-  socket.on('disconnect', () => {
-    console.log('Client disconnected:', socket.id);
+// Socket.IO subscriptions, throttling and the /admin namespace
+attachRealtime(io);
+
+// Check every new reading against the alert rules and the AQI push threshold
+events.on('reading', (reading) => {
+  evaluateReading(reading).catch((error) => {
+    console.error('Error evaluating alert rules:', error);
+  });
+  notifyAqiCrossing(reading).catch((error) => {
+    console.error('Error sending AQI push notification:', error);
   });
 });
 
@@ -66,22 +88,55 @@ app.get('/', (req, res) => {
   res.json({ 
     message: 'Air Quality Monitoring API',
     endpoints: {
-      '/api/latest': 'Get latest sensor data',
-      '/api/data': 'Get all sensor data',
+      '/api/latest': 'Get latest sensor data, including its AQI',
+      '/api/latest/devices': 'Get the latest reading of every station',
+      '/api/data': 'Get sensor data, paginated, sortable and filterable',
       '/api/data/range': 'Get data within date range',
-      '/api/arduino': 'Endpoint for Arduino to send data'
+      '/api/aggregate': 'Get per-device statistics bucketed by minute, hour, day or week',
+      '/api/aggregate/wind-rose': 'Get wind direction frequencies by speed class and mean PM2.5',
+      '/api/heatmap': 'Get PM2.5, PM10 or AQI interpolated between stations for a map area',
+      '/api/zones': 'Manage named map areas; /api/zones/summary gives current and 24h AQI per zone',
+      '/api/trips': 'List routes recorded by mobile sensors, with points and GPX/GeoJSON export',
+      '/api/geojson/stations': 'GeoJSON FeatureCollection of stations with their latest observation',
+      '/api/sta/v1.1': 'Read-only OGC SensorThings API (Things, Locations, Datastreams, Observations)',
+      '/api/export': 'Download sensor data as CSV, NDJSON or XLSX',
+      '/api/import': 'Preview, commit and roll back bulk CSV imports',
+      '/api/alerts/rules': 'Manage threshold alert rules',
+      '/api/alerts/events': 'List, acknowledge and resolve alert events',
+      '/api/push/subscriptions': 'Subscribe a browser to Web Push notifications',
+      '/api/stream': 'Server-Sent Events stream of new readings and alerts',
+      '/api/arduino': 'Endpoint for Arduino to send data',
+      '/api/arduino/batch': 'Endpoint for stations to upload buffered readings',
+      '/api/arduino/format': 'Describe the compact CSV/CBOR/MessagePack reading format',
+      '/api/devices': 'Manage registered devices',
+      '/api/admin/devices/:deviceId/key': 'Issue, rotate or revoke a device API key'
     }
   });
 });
 
-// Get latest sensor data
+app.use('/api/devices', deviceRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/aggregate', aggregateRoutes);
+app.use('/api/export', exportRoutes);
+app.use('/api/import', importRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/push', pushRoutes);
+app.use('/api/stream', streamRoutes);
+app.use('/api/heatmap', heatmapRoutes);
+app.use('/api/trips', tripRoutes);
+app.use('/api/zones', zoneRoutes);
+app.use('/api/geojson', geojsonRoutes);
+app.use('/api/sta/v1.1', sensorThingsRoutes);
+
+// Get latest sensor data, optionally for a single device
 app.get('/api/latest', async (req, res) => {
   try {
-    const latestData = await SensorData.findOne().sort({ timestamp: -1 });
+    const latestData = await SensorData.findOne(deviceFilter(req.query)).sort({ timestamp: -1 });
     
     if (!latestData) {
       // Return default data if no data exists
       return res.json({
+        deviceId: parseList(req.query.deviceId)[0] || null,
         temperature: 25.0,
         humidity: 60.0,
         vocIndex: 100,
@@ -96,7 +151,8 @@ app.get('/api/latest', async (req, res) => {
           latitude: 6.791164,
           longitude: 79.900497
         },
-        timestamp: new Date()
+        timestamp: new Date(),
+        ...computeAqi({ pm25: 10, pm10: 15 })
       });
     }
     
@@ -107,19 +163,45 @@ app.get('/api/latest', async (req, res) => {
   }
 });
 
-// Get all sensor data with pagination
+// Newest reading of every station, with its registered name, for the map.
+// Stations that have never reported are left out.
+app.get('/api/latest/devices', async (req, res) => {
+  try {
+    const [latest, devices] = await Promise.all([
+      latestReadingPerDevice(),
+      Device.find({}, { deviceId: 1, name: 1, status: 1 }).lean()
+    ]);
+
+    const byId = new Map(devices.map((device) => [device.deviceId, device]));
+    res.json(latest.map((reading) => ({
+      ...reading,
+      deviceName: byId.get(reading.deviceId)?.name || null,
+      deviceStatus: byId.get(reading.deviceId)?.status || null
+    })));
+  } catch (error) {
+    console.error('Error fetching latest data per device:', error);
+    res.status(500).json({ error: 'Failed to fetch sensor data' });
+  }
+});
+
+// Get sensor data with pagination, sorting and filters (see lib/readingQuery)
 app.get('/api/data', async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 50;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_PAGE_SIZE);
     const skip = (page - 1) * limit;
     
-    const data = await SensorData.find()
-      .sort({ timestamp: -1 })
+    const { filter, errors } = buildReadingFilter(req.query);
+    if (errors) {
+      return res.status(400).json({ error: 'Invalid query parameters', fields: errors });
+    }
+    
+    const data = await SensorData.find(filter)
+      .sort(buildReadingSort(req.query))
       .skip(skip)
       .limit(limit);
     
-    const total = await SensorData.countDocuments();
+    const total = await SensorData.countDocuments(filter);
     
     res.json({
       data,
@@ -146,6 +228,7 @@ app.get('/api/data/range', async (req, res) => {
     }
     
     const data = await SensorData.find({
+      ...deviceFilter(req.query),
       timestamp: {
         $gte: new Date(startDate),
         $lte: new Date(endDate)
@@ -159,27 +242,101 @@ app.get('/api/data/range', async (req, res) => {
   }
 });
 
-// Endpoint for Arduino to send data
-app.post('/api/arduino', async (req, res) => {
+// Endpoint for Arduino to send data. Stations authenticate with their X-API-Key.
+// The body is JSON or the compact format described at /api/arduino/format.
+app.post('/api/arduino', requireDeviceKey, compactBody(), async (req, res) => {
   try {
-    const sensorData = new SensorData(req.body);
-    await sensorData.save();
-    
-    // Emit real-time data to connected clients
-    io.emit('sensor-data', sensorData);
+    const { reading, ...rejection } = prepareReading(req.device, req.body);
+    if (!reading) {
+      events.emit('admin', { type: 'reading-rejected', deviceId: req.device.deviceId, ...rejection });
+      return res.status(rejection.status).json({ error: rejection.error, fields: rejection.fields });
+    }
+
+    const sensorData = await saveReading(req.device, reading);
     
     console.log('New sensor data received and saved:', sensorData);
-    res.json({ success: true, message: 'Data saved successfully' });
+    res.json({ success: true, message: 'Data saved successfully', flags: sensorData.flags });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      const fields = {};
+      Object.entries(error.errors).forEach(([path, fieldError]) => {
+        fields[path] = fieldError.message;
+      });
+      return res.status(400).json({ error: 'Invalid sensor data', fields });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'A reading with this timestamp already exists for this device' });
+    }
     console.error('Error saving sensor data:', error);
     res.status(500).json({ error: 'Failed to save sensor data' });
   }
 });
 
+// Field order of the compact reading format, by schema version
+app.get('/api/arduino/format', (req, res) => {
+  res.json({
+    currentVersion: SCHEMA_VERSION,
+    contentTypes: FORMATS,
+    schemas: SCHEMAS,
+    notes: {
+      record: 'Positional values, the first being the schema version',
+      windDirection: 'Index 0-15 into N, NNE, NE, ENE, E, ESE, SE, SSE, S, SSW, SW, WSW, W, WNW, NW, NNW',
+      timestamp: 'Epoch seconds',
+      optional: 'timestamp, latitude and longitude may be left empty or omitted'
+    }
+  });
+});
+
+// Endpoint for stations to upload readings buffered while offline.
+// Accepts { readings: [...] } where every reading carries its own timestamp,
+// or several compact records (one CSV line each, or an array of arrays).
+app.post('/api/arduino/batch', requireDeviceKey, compactBody({ batch: true }), async (req, res) => {
+  try {
+    const items = req.body.readings;
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'readings must be a non-empty array' });
+    }
+    if (items.length > MAX_BATCH_SIZE) {
+      return res.status(413).json({ error: `A batch can contain at most ${MAX_BATCH_SIZE} readings` });
+    }
+
+    const { results, inserted } = await saveBatch(req.device, items);
+
+    // Only push the newest reading to dashboards, and only if nothing newer
+    // arrived live while the station was offline
+    if (inserted.length > 0) {
+      const newest = inserted.reduce((a, b) => (b.timestamp > a.timestamp ? b : a));
+      const hasNewer = await SensorData.exists({
+        deviceId: newest.deviceId,
+        timestamp: { $gt: newest.timestamp }
+      });
+      if (!hasNewer) {
+        events.emit('reading', newest);
+      }
+    }
+
+    const summary = { inserted: 0, duplicate: 0, invalid: 0, rejected: 0, failed: 0 };
+    results.forEach((result) => {
+      summary[result.status] += 1;
+    });
+
+    console.log(`Batch of ${items.length} readings from ${req.device.deviceId}:`, summary);
+    res.json({
+      success: summary.invalid + summary.rejected + summary.failed === 0,
+      summary,
+      results
+    });
+  } catch (error) {
+    console.error('Error saving sensor data batch:', error);
+    res.status(500).json({ error: 'Failed to save sensor data batch' });
+  }
+});
+
 // Test endpoint to simulate Arduino data
 app.post('/api/test-data', async (req, res) => {
   try {
     const testData = {
+      deviceId: req.query.deviceId || 'test-station',
       temperature: 25.5 + Math.random() * 10,
       humidity: 55.0 + Math.random() * 20,
       vocIndex: 100 + Math.random() * 100,
@@ -200,11 +357,12 @@ app.post('/api/test-data', async (req, res) => {
   res.json({ message: "Test route is working!" });
 });
     
+    await attachAqi(testData.deviceId, [testData]);
     const sensorData = new SensorData(testData);
     await sensorData.save();
     
-    // Emit real-time data to connected clients
-    io.emit('sensor-data', sensorData);
+    // Hand the reading to live clients and the alert rules
+    events.emit('reading', sensorData);
     
     console.log('Test data generated and saved');
     res.json({ success: true, message: 'Test data generated', data: testData });
@@ -0,0 +1,85 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const SensorData = require('../models/SensorData');
+const { aggregateReadings, windRose } = require('../lib/aggregate');
+
+// No MongoDB here: the server version and the aggregation results are faked
+const serverVersion = (major) => {
+  SensorData.db.db = { admin: () => ({ serverInfo: async () => ({ versionArray: [major, 0, 0, 0] }) }) };
+};
+
+afterEach(() => {
+  delete SensorData.db.db;
+  mock.restoreAll();
+});
+
+const bucket = new Date('2024-06-01T10:00:00Z');
+
+test('works out percentiles itself on servers without $percentile', async () => {
+  serverVersion(6);
+  const aggregate = mock.method(SensorData, 'aggregate', async () => [{
+    _id: { deviceId: 'roof', bucket },
+    count: 11,
+    temperature_min: 20,
+    temperature_mean: 25,
+    temperature_max: 30,
+    // Pushed values, in stored order and with a reading that lacked the field
+    temperature_pct: [30, 21, 29, 22, 28, 23, 27, 24, 26, 25, 20, null]
+  }]);
+
+  const [entry] = await aggregateReadings({
+    deviceIds: ['roof'],
+    interval: 'hour',
+    start: bucket,
+    end: new Date('2024-06-01T11:00:00Z'),
+    fields: ['temperature']
+  });
+
+  const { $group } = aggregate.mock.calls[0].arguments[0][1];
+  assert.deepEqual($group.temperature_pct, { $push: '$temperature' });
+  assert.deepEqual(entry.metrics.temperature, { min: 20, mean: 25, max: 30, p50: 25, p90: 29, p95: 30 });
+});
+
+test('uses $percentile on MongoDB 7.0 and later', async () => {
+  serverVersion(7);
+  const aggregate = mock.method(SensorData, 'aggregate', async () => [{
+    _id: { deviceId: 'roof', bucket },
+    count: 3,
+    temperature_min: 20,
+    temperature_mean: 25,
+    temperature_max: 30,
+    temperature_pct: [25, 29, 30]
+  }]);
+
+  const [entry] = await aggregateReadings({
+    deviceIds: ['roof'],
+    interval: 'hour',
+    start: bucket,
+    end: new Date('2024-06-01T11:00:00Z'),
+    fields: ['temperature']
+  });
+
+  const { $group } = aggregate.mock.calls[0].arguments[0][1];
+  assert.ok($group.temperature_pct.$percentile);
+  assert.deepEqual(entry.metrics.temperature, { min: 20, mean: 25, max: 30, p50: 25, p90: 29, p95: 30 });
+});
+
+test('the wind rose averages PM2.5 over only the readings that have it', async () => {
+  // $sum skips missing values, so pm25Sum covers the 2 readings with PM2.5 out of 4
+  const aggregate = mock.method(SensorData, 'aggregate', async () => [
+    { _id: { direction: 'N', bin: 1 }, count: 3, pm25Sum: 30, pm25Count: 2 },
+    { _id: { direction: 'N', bin: 2 }, count: 1, pm25Sum: 0, pm25Count: 0 },
+    { _id: { direction: 'E', bin: 1 }, count: 2, pm25Sum: 0, pm25Count: 0 }
+  ]);
+
+  const { total, sectors } = await windRose({ start: bucket, end: new Date('2024-06-02T10:00:00Z') });
+
+  const { $group } = aggregate.mock.calls[0].arguments[0][1];
+  assert.deepEqual($group.pm25Count, { $sum: { $cond: [{ $isNumber: '$pm25' }, 1, 0] } });
+  assert.equal(total, 6);
+  const byDirection = Object.fromEntries(sectors.map((sector) => [sector.direction, sector]));
+  assert.equal(byDirection.N.count, 4);
+  assert.equal(byDirection.N.meanPm25, 15);
+  // Wind without any PM2.5 readings has no mean rather than 0
+  assert.equal(byDirection.E.meanPm25, null);
+});
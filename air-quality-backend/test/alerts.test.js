@@ -0,0 +1,223 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const express = require('express');
+const mongoose = require('mongoose');
+const AlertRule = require('../models/AlertRule');
+const AlertEvent = require('../models/AlertEvent');
+const SensorData = require('../models/SensorData');
+const { evaluateReading } = require('../lib/alerts');
+const events = require('../lib/events');
+const alertRoutes = require('../routes/alerts');
+
+afterEach(() => {
+  mock.restoreAll();
+  events.removeAllListeners('alert');
+});
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+const isActive = (alertEvent) => ['open', 'acknowledged'].includes(alertEvent.state);
+const sameTarget = (alertEvent, filter) => String(alertEvent.ruleId) === String(filter.ruleId)
+  && alertEvent.deviceId === filter.deviceId;
+
+// Stands in for MongoDB: alert events in memory, including the unique index
+// that allows one unresolved alert per rule and device. Every call yields so
+// concurrent evaluations interleave as they would against a real server.
+const fakeAlertEvents = () => {
+  const stored = [];
+  mock.method(AlertEvent, 'findOne', async (filter) => {
+    await tick();
+    const found = stored.find((alertEvent) => sameTarget(alertEvent, filter) && isActive(alertEvent));
+    return found ? AlertEvent.hydrate({ ...found }) : null;
+  });
+  mock.method(AlertEvent, 'exists', async (filter) => {
+    await tick();
+    return stored.some((alertEvent) => sameTarget(alertEvent, filter)
+      && alertEvent.resolvedAt >= filter.resolvedAt.$gte) || null;
+  });
+  mock.method(AlertEvent, 'findOneAndUpdate', async (filter, update, options) => {
+    assert.equal(options.upsert, true);
+    await tick();
+    const found = stored.find((alertEvent) => sameTarget(alertEvent, filter) && isActive(alertEvent));
+    if (found) {
+      return AlertEvent.hydrate({ ...found });
+    }
+    if (stored.some((alertEvent) => sameTarget(alertEvent, filter) && alertEvent.resolvedAt === null)) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    const created = { ruleId: filter.ruleId, deviceId: filter.deviceId, resolvedAt: null, ...update.$setOnInsert };
+    stored.push(created);
+    return AlertEvent.hydrate({ ...created });
+  });
+  mock.method(AlertEvent.prototype, 'save', async function save() {
+    await tick();
+    const index = stored.findIndex((alertEvent) => alertEvent._id.equals(this._id));
+    stored[index] = this.toObject();
+    return this;
+  });
+  return stored;
+};
+
+// Transitions the rule announces on the event bus
+const notifications = () => {
+  const received = [];
+  events.on('alert', ({ transition, alert }) => received.push([transition, alert.lastValue]));
+  return received;
+};
+
+const useRules = (...rules) => mock.method(AlertRule, 'find', async () => rules);
+
+const pm25Rule = (fields = {}) => new AlertRule({
+  name: 'PM2.5 high',
+  metric: 'pm25',
+  threshold: 35,
+  notify: { socket: true, push: false },
+  ...fields
+});
+
+const reading = (pm25, fields = {}) => ({ deviceId: 'station-1', timestamp: new Date(), pm25, ...fields });
+
+test('an alert opens on a breach, stays open inside the hysteresis band and clears below it', async () => {
+  const stored = fakeAlertEvents();
+  const received = notifications();
+  useRules(pm25Rule());
+
+  await evaluateReading(reading(30));
+  assert.equal(stored.length, 0);
+
+  await evaluateReading(reading(40));
+  assert.equal(stored.length, 1);
+  assert.equal(stored[0].state, 'open');
+  assert.equal(stored[0].value, 40);
+
+  // Below the threshold but above the default clear level of 31.5
+  await evaluateReading(reading(45));
+  await evaluateReading(reading(33));
+  assert.equal(stored[0].state, 'open');
+  assert.equal(stored[0].peakValue, 45);
+
+  await evaluateReading(reading(31));
+  assert.equal(stored.length, 1);
+  assert.equal(stored[0].state, 'resolved');
+  assert.equal(stored[0].resolvedBy, 'auto');
+  assert.deepEqual(received, [['opened', 40], ['resolved', 31]]);
+});
+
+test('a rule in its cooldown does not reopen, one without a cooldown does', async () => {
+  const stored = fakeAlertEvents();
+  useRules(pm25Rule({ cooldownMinutes: 30 }));
+
+  await evaluateReading(reading(40));
+  await evaluateReading(reading(20));
+  await evaluateReading(reading(40));
+  assert.deepEqual(stored.map((alertEvent) => alertEvent.state), ['resolved']);
+
+  useRules(pm25Rule({ _id: stored[0].ruleId, cooldownMinutes: 0 }));
+  await evaluateReading(reading(40));
+  assert.deepEqual(stored.map((alertEvent) => alertEvent.state), ['resolved', 'open']);
+});
+
+test('concurrent breaches of one rule open one alert and announce it once', async () => {
+  const stored = fakeAlertEvents();
+  const received = notifications();
+  useRules(pm25Rule());
+
+  await Promise.all([evaluateReading(reading(40)), evaluateReading(reading(41)), evaluateReading(reading(42))]);
+
+  assert.equal(stored.length, 1);
+  assert.deepEqual(received.map(([transition]) => transition), ['opened']);
+});
+
+test('a zone-targeted rule only opens inside its zone and resolves when the device leaves', async () => {
+  const stored = fakeAlertEvents();
+  const received = notifications();
+  const zoneId = new mongoose.Types.ObjectId();
+  const elsewhere = new mongoose.Types.ObjectId();
+  useRules(pm25Rule({ zoneId }));
+
+  await evaluateReading(reading(40, { zoneIds: [elsewhere] }));
+  await evaluateReading(reading(40));
+  assert.equal(stored.length, 0);
+
+  await evaluateReading(reading(40, { zoneIds: [elsewhere, zoneId] }));
+  assert.equal(stored.length, 1);
+  assert.equal(String(stored[0].zoneId), String(zoneId));
+
+  // Still polluted, but no longer inside the zone
+  await evaluateReading(reading(45, { zoneIds: [elsewhere] }));
+  assert.equal(stored[0].state, 'resolved');
+  assert.equal(stored[0].resolvedBy, 'auto');
+  assert.deepEqual(received.map(([transition]) => transition), ['opened', 'resolved']);
+});
+
+test('a zone-targeted average only counts readings taken inside the zone', async () => {
+  fakeAlertEvents();
+  const zoneId = new mongoose.Types.ObjectId();
+  useRules(pm25Rule({ zoneId, aggregation: 'average', windowMinutes: 60 }));
+  const aggregate = mock.method(SensorData, 'aggregate', async () => [{ avg: 20, min: 10, max: 30 }]);
+
+  const inside = reading(40, { zoneIds: [zoneId] });
+  await evaluateReading(inside);
+
+  const [{ $match }] = aggregate.mock.calls[0].arguments[0];
+  assert.deepEqual($match, {
+    deviceId: 'station-1',
+    zoneIds: zoneId,
+    timestamp: { $gte: new Date(inside.timestamp.getTime() - 60 * 60 * 1000), $lte: inside.timestamp },
+    pm25: { $type: 'number' }
+  });
+});
+
+const listen = async () => {
+  const app = express();
+  app.use('/api/alerts', alertRoutes);
+  const server = http.createServer(app).listen(0);
+  await once(server, 'listening');
+  return server;
+};
+
+test('alert rules, with their notification addresses, are admin only', async () => {
+  process.env.ADMIN_TOKEN = 'secret';
+  const find = mock.method(AlertRule, 'find', () => ({ sort: async () => [pm25Rule()] }));
+  const server = await listen();
+  try {
+    const url = `http://localhost:${server.address().port}/api/alerts/rules`;
+    assert.equal((await fetch(url)).status, 401);
+    assert.equal(find.mock.callCount(), 0);
+
+    const res = await fetch(url, { headers: { Authorization: 'Bearer secret' } });
+    assert.equal(res.status, 200);
+    assert.equal((await res.json())[0].name, 'PM2.5 high');
+  } finally {
+    server.close();
+    delete process.env.ADMIN_TOKEN;
+  }
+});
+
+test('alert event filters accept repeated and comma-separated values but no operators', async () => {
+  const find = mock.method(AlertEvent, 'find', () => ({ sort: () => ({ limit: async () => [] }) }));
+  const server = await listen();
+  try {
+    const get = (query) => fetch(`http://localhost:${server.address().port}/api/alerts/events?${query}`);
+
+    assert.equal((await get('state=open&state=acknowledged&deviceId=a,b')).status, 200);
+    assert.deepEqual(find.mock.calls[0].arguments[0], {
+      state: { $in: ['open', 'acknowledged'] },
+      deviceId: { $in: ['a', 'b'] }
+    });
+
+    assert.equal((await get('deviceId[$ne]=a')).status, 200);
+    // The operator object is matched as a plain string, not passed to MongoDB
+    const { deviceId } = find.mock.calls[1].arguments[0];
+    assert.deepEqual(Object.keys(deviceId), ['$in']);
+    assert.equal(typeof deviceId.$in[0], 'string');
+
+    const res = await get('state=open,closed');
+    assert.equal(res.status, 400);
+    assert.deepEqual(await res.json(), { error: 'Unknown state: closed' });
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,20 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { CATEGORIES, computeAqi, subIndex } = require('../lib/aqi');
+
+test('PM2.5 is truncated to 0.1 µg/m³ and PM10 to 1 µg/m³ before lookup', () => {
+  assert.equal(subIndex('pm25', 9.05), 50);
+  assert.equal(subIndex('pm25', 9.1), 51);
+  assert.equal(subIndex('pm10', 54.9), 50);
+  assert.equal(subIndex('pm10', 55), 51);
+});
+
+test('the worst sub-index is the AQI and names the dominant pollutant', () => {
+  assert.deepEqual(computeAqi({ pm25: 12.4, pm10: 80 }), { aqi: 63, aqiCategory: 'Moderate', dominantPollutant: 'pm10' });
+  assert.deepEqual(computeAqi({}), { aqi: null, aqiCategory: null, dominantPollutant: null });
+});
+
+test('concentrations above the table are Hazardous at 500', () => {
+  assert.equal(CATEGORIES[CATEGORIES.length - 1].max, Infinity);
+  assert.deepEqual(computeAqi({ pm25: 400 }), { aqi: 500, aqiCategory: 'Hazardous', dominantPollutant: 'pm25' });
+});
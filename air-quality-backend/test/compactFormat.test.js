@@ -0,0 +1,125 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const express = require('express');
+const { encode: encodeCbor } = require('cbor-x');
+const { pack: encodeMsgpack } = require('msgpackr');
+const { decodeCompact, encodeCompact } = require('../lib/compactFormat');
+const { compactBody } = require('../middleware/compactBody');
+
+const FORMATS = ['csv', 'cbor', 'msgpack'];
+
+const encodeRaw = (format, payload) => {
+  if (format === 'csv') return Buffer.from(payload.map((value) => (value === null ? '' : value)).join(','));
+  return format === 'cbor' ? encodeCbor(payload) : encodeMsgpack(payload);
+};
+
+const fullReading = {
+  temperature: 24.5,
+  humidity: 61,
+  vocIndex: 102,
+  vocRaw: 29000,
+  pm1: 4,
+  pm25: 9.5,
+  pm10: 14,
+  rainfall: 0.2,
+  windSpeed: 2.1,
+  windDirection: 'NE',
+  timestamp: 1718000000000,
+  location: { latitude: 6.7951, longitude: 79.9009 }
+};
+
+// Without the optional timestamp and location
+const { timestamp, location, ...fixedReading } = fullReading;
+
+for (const format of FORMATS) {
+  test(`${format}: a single reading round-trips`, () => {
+    const { readings, error } = decodeCompact(format, encodeCompact(format, [fullReading]));
+    assert.equal(error, undefined);
+    assert.deepEqual(readings, [fullReading]);
+  });
+
+  test(`${format}: a batch round-trips in order`, () => {
+    const batch = [fullReading, { ...fixedReading, pm25: 31 }];
+    const { readings } = decodeCompact(format, encodeCompact(format, batch));
+    assert.deepEqual(readings, batch);
+  });
+
+  test(`${format}: omitted optional trailing fields are left out of the reading`, () => {
+    const encoded = encodeCompact(format, [fixedReading]);
+    const { readings } = decodeCompact(format, encoded);
+    assert.deepEqual(readings, [fixedReading]);
+    assert.equal('timestamp' in readings[0], false);
+    assert.equal('location' in readings[0], false);
+
+    // A record that stops after the timestamp has no location either
+    const { readings: withTime } = decodeCompact(format, encodeRaw(format, [1, 24.5, 61, 102, 29000, 4, 9.5, 14, 0.2, 2.1, 2, 1718000000]));
+    assert.equal(withTime[0].timestamp, 1718000000000);
+    assert.equal(withTime[0].windDirection, 'NE');
+    assert.equal('location' in withTime[0], false);
+  });
+
+  test(`${format}: an unknown schema version is rejected`, () => {
+    const { readings, error } = decodeCompact(format, encodeRaw(format, [9, 24.5, 61]));
+    assert.equal(readings, undefined);
+    assert.match(error, /^Record 0 unsupported schema version 9; supported: 1$/);
+  });
+
+  test(`${format}: a record with too many values is rejected`, () => {
+    const values = [1, ...new Array(14).fill(0)];
+    const { error } = decodeCompact(format, encodeRaw(format, values));
+    assert.match(error, /^Record 0 has 14 values, schema version 1 has 13$/);
+  });
+}
+
+test('version names inherited from Object are not schemas', () => {
+  for (const version of ['constructor', '__proto__', 'toString', 'hasOwnProperty']) {
+    const { readings, error } = decodeCompact('csv', Buffer.from(`${version},1`));
+    assert.equal(readings, undefined);
+    assert.match(error, new RegExp(`^Record 0 unsupported schema version ${version}; supported: 1$`));
+  }
+  assert.match(decodeCompact('msgpack', encodeMsgpack(['__proto__', 1])).error, /unsupported schema version __proto__/);
+});
+
+test('cbor: a malformed payload is reported instead of thrown', () => {
+  const { readings, error } = decodeCompact('cbor', Buffer.from([0x9f, 0x01, 0x1a]));
+  assert.equal(readings, undefined);
+  assert.match(error, /^Body is not valid cbor: /);
+});
+
+test('msgpack: a malformed payload is reported instead of thrown', () => {
+  const { readings, error } = decodeCompact('msgpack', Buffer.from([0x93, 0x01, 0xcb]));
+  assert.equal(readings, undefined);
+  assert.match(error, /^Body is not valid msgpack: /);
+});
+
+test('csv: a line that does not start with a version is rejected', () => {
+  const { error } = decodeCompact('csv', Buffer.from('1,24.5,61\npm25=12'));
+  assert.match(error, /^Record 1 unsupported schema version pm25=12/);
+});
+
+test('non-array cbor and msgpack payloads are rejected', () => {
+  assert.match(decodeCompact('cbor', encodeCbor({ pm25: 12 })).error, /^Record 0 must be an array/);
+  assert.match(decodeCompact('msgpack', encodeMsgpack('hello')).error, /^Record 0 must be an array/);
+});
+
+test('the compact body middleware answers 400 for bodies it cannot decode', async () => {
+  const app = express();
+  app.post('/', compactBody(), (req, res) => res.json(req.body));
+  const server = app.listen(0);
+  await once(server, 'listening');
+  try {
+    const post = (body) => fetch(`http://localhost:${server.address().port}/`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/csv' },
+      body
+    });
+    const res = await post('constructor,1');
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).error, /unsupported schema version constructor/);
+    // The server is still up
+    assert.equal((await post('1,24.5')).status, 200);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,81 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const express = require('express');
+const SensorData = require('../models/SensorData');
+const exportRoutes = require('../routes/export');
+
+// An endless cursor that records when the export stops iterating it. Like a
+// real one it yields to the event loop between documents and ends once closed.
+const endlessCursor = () => {
+  const cursor = {
+    closed: false,
+    stopped: false,
+    close: async () => {
+      cursor.closed = true;
+    },
+    [Symbol.asyncIterator]: () => ({
+      next: async () => {
+        await new Promise((resolve) => setImmediate(resolve));
+        if (cursor.closed) {
+          cursor.stopped = true;
+          return { done: true };
+        }
+        return {
+          done: false,
+          value: { timestamp: new Date(), deviceId: 'roof', pm25: 12.4, pm10: 20, temperature: 29.5 }
+        };
+      },
+      return: async () => {
+        cursor.stopped = true;
+        return { done: true };
+      }
+    })
+  };
+  return cursor;
+};
+
+const listen = async () => {
+  const app = express();
+  app.use('/api/export', exportRoutes);
+  const server = http.createServer(app).listen(0);
+  await once(server, 'listening');
+  return server;
+};
+
+const waitFor = async (check, timeoutMs = 2000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for the export to stop');
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+afterEach(() => mock.restoreAll());
+
+for (const format of ['csv', 'ndjson', 'xlsx']) {
+  test(`${format}: a client disconnecting mid-download stops the export`, async () => {
+    const cursor = endlessCursor();
+    mock.method(SensorData, 'find', () => ({ sort: () => ({ lean: () => ({ cursor: () => cursor }) }) }));
+    const errors = mock.method(console, 'error', () => {});
+    const server = await listen();
+
+    try {
+      const req = http.get(`http://localhost:${server.address().port}/api/export?format=${format}`);
+      const [res] = await once(req, 'response');
+      assert.equal(res.statusCode, 200);
+      // Read a little, then stop reading so the server's buffers fill up, and hang up
+      await once(res, 'data');
+      res.pause();
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      req.destroy();
+
+      await waitFor(() => cursor.stopped && cursor.closed);
+      assert.equal(errors.mock.callCount(), 0);
+    } finally {
+      server.closeAllConnections();
+      server.close();
+    }
+  });
+}
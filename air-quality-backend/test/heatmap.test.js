@@ -0,0 +1,42 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const express = require('express');
+const heatmapRoutes = require('../routes/heatmap');
+
+const BBOX = '79.85,6.75,79.95,6.85';
+
+let server;
+let base;
+
+before(async () => {
+  const app = express();
+  app.use('/api/heatmap', heatmapRoutes);
+  server = http.createServer(app).listen(0);
+  await once(server, 'listening');
+  base = `http://localhost:${server.address().port}/api/heatmap`;
+});
+
+after(() => server.close());
+
+const get = async (query) => {
+  const res = await fetch(`${base}?bbox=${BBOX}&${query}`);
+  return { status: res.status, body: await res.json() };
+};
+
+test('cols must be an integer from 1 to 150', async () => {
+  for (const cols of ['0', '-5', '151', '2.5', 'wide']) {
+    const { status, body } = await get(`cols=${cols}`);
+    assert.equal(status, 400, `cols=${cols}`);
+    assert.equal(body.error, 'cols must be an integer from 1 to 150');
+  }
+});
+
+test('radius must be positive and at most 50 km', async () => {
+  for (const radius of ['0', '-1', '51', 'far']) {
+    const { status, body } = await get(`radius=${radius}`);
+    assert.equal(status, 400, `radius=${radius}`);
+    assert.equal(body.error, 'radius must be greater than 0 and at most 50 km');
+  }
+});
@@ -0,0 +1,206 @@
+const { test, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { once } = require('events');
+const Aedes = require('aedes');
+const mqtt = require('mqtt');
+const Device = require('../models/Device');
+const SensorData = require('../models/SensorData');
+const Zone = require('../models/Zone');
+const { hashApiKey } = require('../lib/apiKeys');
+const { startMqttBridge, handleMessage } = require('../lib/mqttBridge');
+
+// No MongoDB here: the models' queries are replaced with an in-memory device
+// registry, and save() runs the real schema validation before recording the
+// document instead of writing it.
+
+const API_KEY = 'aa_test-key-for-roof';
+const OTHER_KEY = 'aa_test-key-for-gate';
+
+const devices = [
+  { deviceId: 'roof', name: 'Roof', location: { latitude: 6.79, longitude: 79.9 }, apiKeyHash: hashApiKey(API_KEY) },
+  { deviceId: 'gate', name: 'Gate', location: { latitude: 6.78, longitude: 79.89 }, apiKeyHash: hashApiKey(OTHER_KEY) }
+];
+
+const validReading = {
+  temperature: 29.5,
+  humidity: 71,
+  vocIndex: 100,
+  vocRaw: 30000,
+  pm1: 8,
+  pm25: 12.4,
+  pm10: 20,
+  rainfall: 0,
+  windSpeed: 1.2,
+  windDirection: 'NE'
+};
+
+let stored = [];
+let broker;
+let server;
+let url;
+
+const lean = (value) => ({ lean: async () => value });
+
+before(async () => {
+  mock.method(Device, 'findOne', async ({ apiKeyHash }) => devices.find((device) => device.apiKeyHash === apiKeyHash) || null);
+  mock.method(SensorData, 'find', () => lean([]));
+  mock.method(Zone, 'find', () => lean([]));
+  mock.method(SensorData.prototype, 'save', async function save() {
+    await this.validate();
+    stored.push(this.toObject());
+    return this;
+  });
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  // Bridges closed mid-subscribe at the end of a test log a harmless error
+  mock.method(console, 'error', () => {});
+
+  broker = Aedes();
+  server = net.createServer(broker.handle);
+  server.listen(0);
+  await once(server, 'listening');
+  url = `mqtt://localhost:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => broker.close(resolve));
+  server.close();
+  mock.restoreAll();
+});
+
+beforeEach(() => {
+  stored = [];
+});
+
+const connect = async (options = {}) => {
+  const client = mqtt.connect(url, { reconnectPeriod: 0, ...options });
+  await once(client, 'connect');
+  return client;
+};
+
+// Start the bridge and wait until its subscription is in place
+const startBridge = async (clientId) => {
+  const bridge = startMqttBridge({ url, clientId });
+  await new Promise((resolve) => {
+    broker.once('subscribe', (subscriptions, client) => {
+      if (client.id === clientId) resolve();
+    });
+  });
+  return bridge;
+};
+
+const waitFor = async (check, timeoutMs = 2000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for the bridge');
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+// Publish to a station's reading topic and collect what comes back on its error topic
+const publishAndCollectErrors = async (station, deviceId, payload) => {
+  const errors = [];
+  station.on('message', (topic, message) => {
+    if (topic === `airaware/${deviceId}/error`) errors.push(JSON.parse(message.toString()));
+  });
+  await station.subscribeAsync(`airaware/${deviceId}/error`);
+  await station.publishAsync(`airaware/${deviceId}/reading`, payload, { qos: 1 });
+  return errors;
+};
+
+test('stores a valid reading published by a station', async () => {
+  const bridge = await startBridge('bridge-valid');
+  const station = await connect();
+  try {
+    await station.publishAsync('airaware/roof/reading', JSON.stringify({ apiKey: API_KEY, ...validReading }), { qos: 1 });
+    await waitFor(() => stored.length === 1);
+
+    assert.equal(stored[0].deviceId, 'roof');
+    assert.equal(stored[0].pm25, 12.4);
+    // Fixed stations fall back to the device's installed location
+    assert.deepEqual(stored[0].location, { latitude: 6.79, longitude: 79.9 });
+    assert.equal(typeof stored[0].aqi, 'number');
+  } finally {
+    station.end(true);
+    bridge.end(true);
+  }
+});
+
+test('answers malformed payloads on the error topic without storing anything', async () => {
+  const bridge = await startBridge('bridge-malformed');
+  const station = await connect();
+  try {
+    const errors = await publishAndCollectErrors(station, 'roof', 'pm25=12;pm10=20');
+    await waitFor(() => errors.length === 1);
+
+    assert.deepEqual(errors[0], { error: 'Payload must be JSON' });
+    assert.equal(stored.length, 0);
+  } finally {
+    station.end(true);
+    bridge.end(true);
+  }
+});
+
+test('rejects unknown keys and keys issued to another device', async () => {
+  const bridge = await startBridge('bridge-keys');
+  const station = await connect();
+  try {
+    const errors = await publishAndCollectErrors(station, 'roof', JSON.stringify({ apiKey: 'aa_wrong', ...validReading }));
+    await station.publishAsync('airaware/roof/reading', JSON.stringify({ apiKey: OTHER_KEY, ...validReading }), { qos: 1 });
+    await waitFor(() => errors.length === 2);
+
+    assert.deepEqual(errors.map((error) => error.error), ['Invalid API key', 'API key is not valid for this device']);
+    assert.equal(stored.length, 0);
+  } finally {
+    station.end(true);
+    bridge.end(true);
+  }
+});
+
+test('reports invalid fields back to the station', async () => {
+  const bridge = await startBridge('bridge-fields');
+  const station = await connect();
+  try {
+    const errors = await publishAndCollectErrors(
+      station,
+      'roof',
+      JSON.stringify({ apiKey: API_KEY, ...validReading, humidity: 140 })
+    );
+    await waitFor(() => errors.length === 1);
+
+    assert.equal(errors[0].error, 'Invalid sensor data');
+    assert.ok(errors[0].fields.humidity);
+    assert.equal(stored.length, 0);
+  } finally {
+    station.end(true);
+    bridge.end(true);
+  }
+});
+
+test('receives QoS 1 readings published while the bridge was offline', async () => {
+  const first = await startBridge('bridge-persistent');
+  await new Promise((resolve) => first.end(false, {}, resolve));
+
+  const station = await connect();
+  try {
+    await station.publishAsync('airaware/roof/reading', JSON.stringify({ apiKey: API_KEY, ...validReading }), { qos: 1 });
+    assert.equal(stored.length, 0);
+
+    // Same clientId, so the broker resumes the session and delivers the queued message
+    const second = startMqttBridge({ url, clientId: 'bridge-persistent' });
+    try {
+      await waitFor(() => stored.length === 1);
+      assert.equal(stored[0].deviceId, 'roof');
+    } finally {
+      second.end(true);
+    }
+  } finally {
+    station.end(true);
+  }
+});
+
+test('handleMessage rejects payloads that are not JSON objects', async () => {
+  assert.deepEqual(await handleMessage('roof', Buffer.from('[1, 2]')), { error: 'Payload must be a JSON object' });
+  assert.deepEqual(await handleMessage('roof', Buffer.from('{}')), { error: 'Missing API key' });
+});
@@ -0,0 +1,96 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseFilter, matchesFilter, filterToMongo } = require('../lib/odataFilter');
+
+const treeOf = (expression) => {
+  const { tree, error } = parseFilter(expression);
+  assert.equal(error, undefined);
+  return tree;
+};
+
+test('comparisons parse with literals of every type', () => {
+  assert.deepEqual(treeOf("name eq 'O''Brien Park'"), { type: 'compare', op: 'eq', path: 'name', value: "O'Brien Park" });
+  assert.deepEqual(treeOf('result ge -1.5e2'), { type: 'compare', op: 'ge', path: 'result', value: -150 });
+  assert.deepEqual(treeOf('properties/mobile eq true'), { type: 'compare', op: 'eq', path: 'properties/mobile', value: true });
+  assert.deepEqual(treeOf('result ne null'), { type: 'compare', op: 'ne', path: 'result', value: null });
+  assert.deepEqual(
+    treeOf('phenomenonTime lt 2024-05-01T05:30:00+05:30'),
+    { type: 'compare', op: 'lt', path: 'phenomenonTime', value: new Date('2024-05-01T00:00:00Z') }
+  );
+  assert.deepEqual(treeOf("@iot.id eq 'roof'"), { type: 'compare', op: 'eq', path: '@iot.id', value: 'roof' });
+});
+
+test('a literal written first flips the comparison', () => {
+  assert.deepEqual(treeOf('10 lt result'), { type: 'compare', op: 'gt', path: 'result', value: 10 });
+  assert.deepEqual(treeOf("'roof' eq name"), { type: 'compare', op: 'eq', path: 'name', value: 'roof' });
+});
+
+test('not binds tighter than and, and tighter than or, unless parenthesised', () => {
+  const a = { type: 'compare', op: 'gt', path: 'a', value: 1 };
+  const b = { type: 'compare', op: 'gt', path: 'b', value: 2 };
+  const c = { type: 'compare', op: 'gt', path: 'c', value: 3 };
+
+  assert.deepEqual(treeOf('a gt 1 or b gt 2 and c gt 3'), { type: 'or', left: a, right: { type: 'and', left: b, right: c } });
+  assert.deepEqual(treeOf('(a gt 1 or b gt 2) and c gt 3'), { type: 'and', left: { type: 'or', left: a, right: b }, right: c });
+  assert.deepEqual(treeOf('not a gt 1 and b gt 2'), { type: 'and', left: { type: 'not', expr: a }, right: b });
+});
+
+test('malformed expressions are reported, not thrown', () => {
+  const errors = {
+    'result gt': 'expression ends unexpectedly',
+    'result': 'expected a comparison such as "result gt 10"',
+    '(result gt 1': 'missing closing parenthesis',
+    'result gt 1)': 'unexpected input after the end of the expression',
+    'result gt 1 and': 'expression ends unexpectedly',
+    'result gt name': '"gt" must compare a property with a value',
+    '1 eq 1': '"eq" must compare a property with a value',
+    'eq 1': 'unexpected "eq"',
+    'result gt 1 # 2': 'unexpected character at position 12',
+    'phenomenonTime gt 2024-13-45T00:00:00Z': 'invalid time 2024-13-45T00:00:00Z',
+    "name eq 'unterminated": 'unexpected character at position 8'
+  };
+  Object.entries(errors).forEach(([expression, message]) => {
+    assert.deepEqual(parseFilter(expression), { error: `Invalid $filter: ${message}` }, expression);
+  });
+});
+
+test('filters match entities in memory, with times compared as instants', () => {
+  const entity = {
+    name: 'Library roof',
+    properties: { status: 'active', mobile: false },
+    phenomenonTime: '2024-05-01T10:00:00.000Z',
+    result: 12
+  };
+  const matches = (expression) => matchesFilter(treeOf(expression), entity);
+
+  assert.equal(matches("properties/status eq 'active' and not properties/mobile eq true"), true);
+  assert.equal(matches("name eq 'Library' or result le 12"), true);
+  assert.equal(matches('phenomenonTime gt 2024-05-01T09:59:59Z'), true);
+  assert.equal(matches('phenomenonTime gt 2024-05-01T10:00:00Z'), false);
+  // A missing property is null: equal to null, and neither greater nor less than anything
+  assert.equal(matches('properties/installDate eq null'), true);
+  assert.equal(matches('properties/installDate lt 2030-01-01T00:00:00Z'), false);
+  assert.equal(matches('missing/deeper gt 0'), false);
+});
+
+test('filters translate to MongoDB queries through a property mapping', () => {
+  const mapProperty = (property) => ({ result: 'pm25', phenomenonTime: 'timestamp' }[property] || null);
+  const time = new Date('2024-05-01T00:00:00Z');
+
+  assert.deepEqual(
+    filterToMongo(treeOf('result gt 35 and (phenomenonTime ge 2024-05-01T00:00:00Z or not result eq null)'), mapProperty),
+    {
+      query: {
+        $and: [
+          { pm25: { $gt: 35 } },
+          { $or: [{ timestamp: { $gte: time } }, { $nor: [{ pm25: { $eq: null } }] }] }
+        ]
+      }
+    }
+  );
+
+  assert.deepEqual(
+    filterToMongo(treeOf("result gt 1 and name eq 'x' or name eq 'y' or @iot.id eq 'z'"), mapProperty),
+    { error: 'Cannot filter on name, @iot.id' }
+  );
+});
@@ -0,0 +1,19 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildReadingFilter } = require('../lib/readingQuery');
+
+test('deviceId accepts one device or a comma-separated list', () => {
+  assert.deepEqual(buildReadingFilter({ deviceId: 'roof' }).filter, { deviceId: 'roof' });
+  assert.deepEqual(buildReadingFilter({ deviceId: 'roof, gate' }).filter, { deviceId: { $in: ['roof', 'gate'] } });
+  assert.deepEqual(buildReadingFilter({ deviceId: ['roof', 'gate'] }).filter, { deviceId: { $in: ['roof', 'gate'] } });
+  assert.deepEqual(buildReadingFilter({}).filter, {});
+});
+
+test('query operators in deviceId never reach MongoDB', () => {
+  // What Express parses ?deviceId[$ne]=x and ?deviceId[$gt]= into
+  const { filter } = buildReadingFilter({ deviceId: { $ne: 'x' } });
+  assert.equal(typeof filter.deviceId, 'string');
+
+  const { filter: nested } = buildReadingFilter({ deviceId: [{ $gt: '' }] });
+  assert.equal(typeof nested.deviceId, 'string');
+});
@@ -0,0 +1,77 @@
+const { test, mock, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const http = require('http');
+const { Server } = require('socket.io');
+const { io: connect } = require('socket.io-client');
+const SensorData = require('../models/SensorData');
+const { attachRealtime } = require('../lib/realtime');
+const events = require('../lib/events');
+
+let server;
+let url;
+const clients = [];
+
+before(async () => {
+  // No stored readings, so subscribe acks have an empty latest
+  mock.method(SensorData, 'distinct', async () => []);
+  mock.method(SensorData, 'findOne', () => ({ sort: () => ({ lean: async () => null }) }));
+  mock.method(console, 'log', () => {});
+
+  server = http.createServer();
+  const io = new Server(server);
+  attachRealtime(io);
+  server.listen(0);
+  await once(server, 'listening');
+  url = `http://localhost:${server.address().port}`;
+});
+
+after(() => {
+  clients.forEach((client) => client.close());
+  server.close();
+  events.removeAllListeners();
+  mock.restoreAll();
+});
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Connect, subscribe and collect every 'sensor-data' the socket gets
+const subscriber = async (request) => {
+  const client = connect(url, { transports: ['websocket'] });
+  clients.push(client);
+  const received = [];
+  client.on('sensor-data', (reading) => received.push(reading));
+  await once(client, 'connect');
+  const response = await client.emitWithAck('subscribe', request);
+  assert.equal(response.error, undefined);
+  return { client, received };
+};
+
+test('a throttled all-stations subscription keeps each station within one interval', async () => {
+  const { received } = await subscriber({ throttleMs: 1000 });
+
+  events.emit('reading', { deviceId: 'a', pm25: 1 });
+  events.emit('reading', { deviceId: 'b', pm25: 2 });
+  events.emit('reading', { deviceId: 'a', pm25: 3 });
+  events.emit('reading', { deviceId: 'b', pm25: 4 });
+  await sleep(100);
+  assert.deepEqual(received.map((reading) => [reading.deviceId, reading.pm25]), [['a', 1], ['b', 2]]);
+
+  // The newest held-back reading of each station follows when the interval ends
+  await sleep(1100);
+  assert.deepEqual(received.slice(2).map((reading) => [reading.deviceId, reading.pm25]).sort(), [['a', 3], ['b', 4]]);
+});
+
+test('readings fan out to the rooms of their station and the all-stations room', async () => {
+  const onlyA = await subscriber({ deviceIds: ['a'], metrics: ['pm25'] });
+  const onlyB = await subscriber({ deviceIds: ['b'] });
+  const everyStation = await subscriber({});
+
+  events.emit('reading', { deviceId: 'a', pm25: 5, temperature: 30 });
+  events.emit('reading', { deviceId: 'b', pm25: 6 });
+  await sleep(100);
+
+  assert.deepEqual(onlyA.received.map(({ deviceId, pm25, temperature }) => [deviceId, pm25, temperature]), [['a', 5, undefined]]);
+  assert.deepEqual(onlyB.received.map((reading) => reading.deviceId), ['b']);
+  assert.deepEqual(everyStation.received.map((reading) => reading.deviceId), ['a', 'b']);
+});
@@ -0,0 +1,193 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const express = require('express');
+const mongoose = require('mongoose');
+const Device = require('../models/Device');
+const SensorData = require('../models/SensorData');
+const sensorThingsRoutes = require('../routes/sensorThings');
+const geojsonRoutes = require('../routes/geojson');
+
+afterEach(() => mock.restoreAll());
+
+const listen = async () => {
+  const app = express();
+  app.use('/api/sta/v1.1', sensorThingsRoutes);
+  app.use('/api/geojson', geojsonRoutes);
+  const server = http.createServer(app).listen(0);
+  await once(server, 'listening');
+  return server;
+};
+
+// A Mongoose query stand-in that records how it was narrowed
+const query = (result) => {
+  const calls = {};
+  const chain = {
+    calls,
+    lean: async () => result
+  };
+  ['sort', 'skip', 'limit'].forEach((method) => {
+    chain[method] = (value) => {
+      calls[method] = value;
+      return chain;
+    };
+  });
+  return chain;
+};
+
+const devices = [
+  { deviceId: 'library', name: 'Library', status: 'active', location: { latitude: 6.79, longitude: 79.9 } },
+  { deviceId: 'park', name: 'Park', status: 'inactive', location: { latitude: 6.8, longitude: 79.91 } },
+  { deviceId: 'roof', name: 'Roof', status: 'active', location: { latitude: 6.81, longitude: 79.92 } }
+];
+
+const withServer = async (run) => {
+  const server = await listen();
+  try {
+    await run((path) => fetch(`http://localhost:${server.address().port}${path}`));
+  } finally {
+    server.close();
+  }
+};
+
+test('collections page with $top and $skip and link to the next page', async () => {
+  mock.method(Device, 'find', () => query(devices));
+
+  await withServer(async (get) => {
+    const first = await (await get('/api/sta/v1.1/Things?$top=2')).json();
+    assert.deepEqual(first.value.map((thing) => thing['@iot.id']), ['library', 'park']);
+    const next = new URL(first['@iot.nextLink']);
+    assert.equal(next.pathname, '/api/sta/v1.1/Things');
+    assert.equal(next.searchParams.get('$skip'), '2');
+    assert.equal(next.searchParams.get('$top'), '2');
+
+    const last = await (await get(`${next.pathname}${next.search}`)).json();
+    assert.deepEqual(last.value.map((thing) => thing['@iot.id']), ['roof']);
+    assert.equal(last['@iot.nextLink'], undefined);
+
+    const active = await (await get("/api/sta/v1.1/Locations?$filter=name ne 'Park'")).json();
+    assert.deepEqual(active.value.map((location) => location.location), [
+      { type: 'Point', coordinates: [79.9, 6.79] },
+      { type: 'Point', coordinates: [79.92, 6.81] }
+    ]);
+  });
+});
+
+test('invalid query options are rejected', async () => {
+  mock.method(Device, 'find', () => query(devices));
+
+  await withServer(async (get) => {
+    const errors = {
+      '$top=1001': '$top must be an integer from 0 to 1000',
+      '$top=1.5': '$top must be an integer from 0 to 1000',
+      '$skip=-1': '$skip must be a non-negative integer',
+      '$orderby=name': 'Unsupported query options: $orderby. Supported: $filter, $top, $skip',
+      '$filter=name eq': 'Invalid $filter: expression ends unexpectedly'
+    };
+    for (const [options, error] of Object.entries(errors)) {
+      const res = await get(`/api/sta/v1.1/Things?${options}`);
+      assert.equal(res.status, 400, options);
+      assert.deepEqual(await res.json(), { error }, options);
+    }
+  });
+});
+
+const reading = (minutes, pm25) => ({
+  _id: new mongoose.Types.ObjectId(),
+  deviceId: 'roof',
+  timestamp: new Date(Date.UTC(2024, 4, 1, 0, minutes)),
+  pm25
+});
+
+test("a Datastream's Observations are filtered and paged in MongoDB", async () => {
+  mock.method(Device, 'findOne', () => ({ lean: async () => devices[2] }));
+  const readings = [reading(2, 40), reading(1, 38)];
+  const find = mock.method(SensorData, 'find', () => query(readings));
+
+  await withServer(async (get) => {
+    const res = await get("/api/sta/v1.1/Datastreams('roof:pm25')/Observations?$filter=result gt 35&$skip=3&$top=1");
+    const { value, '@iot.nextLink': nextLink } = await res.json();
+
+    const [filter] = find.mock.calls[0].arguments;
+    assert.deepEqual(filter, { deviceId: 'roof', pm25: { $ne: null }, $and: [{ pm25: { $gt: 35 } }] });
+    // One observation per reading, plus one to tell whether there is a next page
+    const { calls } = find.mock.calls[0].result;
+    assert.deepEqual(calls, { sort: { timestamp: -1 }, skip: 3, limit: 2 });
+
+    assert.deepEqual(value, [{
+      '@iot.id': `${readings[0]._id}:pm25`,
+      '@iot.selfLink': `http://localhost:${new URL(res.url).port}/api/sta/v1.1/Observations('${readings[0]._id}:pm25')`,
+      phenomenonTime: '2024-05-01T00:02:00.000Z',
+      resultTime: '2024-05-01T00:02:00.000Z',
+      result: 40,
+      'Datastream@iot.navigationLink': `http://localhost:${new URL(res.url).port}/api/sta/v1.1/Observations('${readings[0]._id}:pm25')/Datastream`
+    }]);
+    assert.ok(nextLink);
+  });
+});
+
+test('Observations across every field page by reading and cannot filter on result', async () => {
+  const find = mock.method(SensorData, 'find', () => query([reading(1, 12)]));
+
+  await withServer(async (get) => {
+    // 10 fields per reading: observation 12 is the third field of the second reading
+    const { value, '@iot.nextLink': nextLink } = await (await get('/api/sta/v1.1/Observations?$skip=12&$top=5')).json();
+    assert.deepEqual(find.mock.calls[0].result.calls, { sort: { timestamp: -1 }, skip: 1, limit: 1 });
+    assert.deepEqual(value.map((observation) => observation['@iot.id'].split(':')[1]), ['vocIndex', 'pm1', 'pm25', 'pm10', 'rainfall']);
+    assert.deepEqual(value.map((observation) => observation.result), [null, null, 12, null, null]);
+    assert.ok(nextLink);
+
+    const res = await get('/api/sta/v1.1/Observations?$filter=result gt 1');
+    assert.equal(res.status, 400);
+    assert.deepEqual(await res.json(), {
+      error: "Cannot filter on result. Filter on result through Datastreams('<id>')/Observations"
+    });
+  });
+});
+
+test('stations are a GeoJSON FeatureCollection with their latest observation', async () => {
+  const bike = { deviceId: 'bike', name: 'Bike', status: 'active', mobile: true, location: { latitude: 6.7, longitude: 79.8 } };
+  const find = mock.method(Device, 'find', () => query([bike, devices[0]]));
+  const timestamp = new Date('2024-05-01T00:00:00Z');
+  mock.method(SensorData, 'aggregate', async () => [
+    { deviceId: 'bike', timestamp, pm25: 20, vocRaw: 29000, location: { latitude: 6.75, longitude: 79.85 } }
+  ]);
+
+  await withServer(async (get) => {
+    const res = await get('/api/geojson/stations?status=active');
+    assert.match(res.headers.get('content-type'), /^application\/geo\+json/);
+    assert.deepEqual(find.mock.calls[0].arguments[0], { status: 'active' });
+
+    assert.deepEqual(await res.json(), {
+      type: 'FeatureCollection',
+      features: [
+        {
+          type: 'Feature',
+          id: 'bike',
+          // A mobile sensor is placed where it last reported
+          geometry: { type: 'Point', coordinates: [79.85, 6.75] },
+          properties: {
+            deviceId: 'bike',
+            name: 'Bike',
+            status: 'active',
+            mobile: true,
+            latestObservation: { timestamp: timestamp.toISOString(), pm25: 20 }
+          }
+        },
+        {
+          type: 'Feature',
+          id: 'library',
+          geometry: { type: 'Point', coordinates: [79.9, 6.79] },
+          properties: {
+            deviceId: 'library',
+            name: 'Library',
+            status: 'active',
+            mobile: false,
+            latestObservation: null
+          }
+        }
+      ]
+    });
+  });
+});
@@ -0,0 +1,142 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const express = require('express');
+const mongoose = require('mongoose');
+const SensorData = require('../models/SensorData');
+const streamRoutes = require('../routes/stream');
+const events = require('../lib/events');
+
+afterEach(() => mock.restoreAll());
+
+const listen = async () => {
+  const app = express();
+  app.use('/api/stream', streamRoutes);
+  const server = http.createServer(app).listen(0);
+  await once(server, 'listening');
+  return server;
+};
+
+// Open a stream and hand back a reader for its events, skipping comments
+// and the retry line
+const openStream = async (server, query = '', headers = {}) => {
+  const controller = new AbortController();
+  const res = await fetch(`http://localhost:${server.address().port}/api/stream${query}`, {
+    headers,
+    signal: controller.signal
+  });
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let text = '';
+
+  const next = async (count) => {
+    const received = [];
+    while (received.length < count) {
+      const end = text.indexOf('\n\n');
+      if (end === -1) {
+        const { value, done } = await reader.read();
+        if (done) throw new Error('Stream ended early');
+        text += decoder.decode(value);
+        continue;
+      }
+      const block = text.slice(0, end);
+      text = text.slice(end + 2);
+      const fields = Object.fromEntries(block.split('\n')
+        .filter((line) => !line.startsWith(':'))
+        .map((line) => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+      if (fields.event) {
+        received.push({ id: fields.id, event: fields.event, data: JSON.parse(fields.data) });
+      }
+    }
+    return received;
+  };
+
+  return { res, next, close: () => controller.abort() };
+};
+
+const waitFor = async (check, timeoutMs = 2000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting');
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+const reading = (deviceId, pm25) => ({ _id: new mongoose.Types.ObjectId(), deviceId, pm25 });
+
+test('live readings are filtered by device and alerts can be left out', async () => {
+  const server = await listen();
+  const streams = [];
+  try {
+    const onlyA = await openStream(server, '?deviceId=a');
+    const noAlerts = await openStream(server, '?alerts=false');
+    streams.push(onlyA, noAlerts);
+    assert.match(onlyA.res.headers.get('content-type'), /^text\/event-stream/);
+
+    const fromB = reading('b', 2);
+    const fromA = reading('a', 1);
+    events.emit('reading', fromB);
+    events.emit('reading', fromA);
+    events.emit('alert', { transition: 'opened', alert: { deviceId: 'a' } });
+
+    const [live, alert] = await onlyA.next(2);
+    assert.deepEqual(live, { id: String(fromA._id), event: 'sensor-data', data: { ...fromA, _id: String(fromA._id) } });
+    assert.deepEqual(alert, { id: undefined, event: 'alert', data: { transition: 'opened', alert: { deviceId: 'a' } } });
+
+    const everyDevice = await noAlerts.next(2);
+    assert.deepEqual(everyDevice.map((message) => message.data.deviceId), ['b', 'a']);
+  } finally {
+    streams.forEach((stream) => stream.close());
+    server.closeAllConnections();
+    server.close();
+  }
+});
+
+test('a reconnecting client gets missed readings replayed, then live ones, in order and once', async () => {
+  const lastSeen = reading('a', 1);
+  const missed = [new SensorData(reading('a', 2)), new SensorData(reading('a', 3))];
+  const live = reading('a', 4);
+  let replay = null;
+  const find = mock.method(SensorData, 'find', () => ({
+    sort: () => ({
+      limit: () => new Promise((resolve) => {
+        replay = resolve;
+      })
+    })
+  }));
+
+  const server = await listen();
+  let stream;
+  try {
+    stream = await openStream(server, '?deviceId=a', { 'Last-Event-ID': String(lastSeen._id) });
+    await waitFor(() => replay);
+    assert.equal(String(find.mock.calls[0].arguments[0]._id.$gt), String(lastSeen._id));
+
+    // Arrive while the replay query runs: one that the replay also returns, and a new one
+    events.emit('reading', missed[1].toJSON());
+    events.emit('reading', live);
+    replay(missed);
+
+    const received = await stream.next(3);
+    assert.deepEqual(received.map((message) => message.data.pm25), [2, 3, 4]);
+    assert.deepEqual(received.map((message) => message.id), [...missed, live].map((item) => String(item._id)));
+  } finally {
+    stream.close();
+    server.closeAllConnections();
+    server.close();
+  }
+});
+
+test('a Last-Event-ID that is not a reading id is rejected', async () => {
+  const server = await listen();
+  try {
+    const res = await fetch(`http://localhost:${server.address().port}/api/stream`, {
+      headers: { 'Last-Event-ID': 'yesterday' }
+    });
+    assert.equal(res.status, 400);
+    assert.deepEqual(await res.json(), { error: 'Last-Event-ID must be a reading id' });
+  } finally {
+    server.close();
+  }
+});
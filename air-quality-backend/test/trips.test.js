@@ -0,0 +1,101 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Trip = require('../models/Trip');
+const { TRIP_GAP_MS, assignTrips } = require('../lib/trips');
+const { toGeoJson } = require('../lib/tripExport');
+
+afterEach(() => mock.restoreAll());
+
+const trip = {
+  _id: new mongoose.Types.ObjectId(),
+  deviceId: 'bike',
+  startedAt: new Date('2024-06-01T08:00:00Z'),
+  endedAt: new Date('2024-06-01T08:30:00Z'),
+  distanceKm: 0,
+  pm25: { mean: 12, max: 12 }
+};
+
+const point = (minutes, latitude, longitude) => ({
+  timestamp: new Date(trip.startedAt.getTime() + minutes * 60 * 1000),
+  location: { latitude, longitude },
+  pm25: 12
+});
+
+test('a route with one fix is a GeoJSON Point', () => {
+  const { features } = toGeoJson(trip, [point(0, 6.79, 79.9)]);
+  assert.deepEqual(features[0].geometry, { type: 'Point', coordinates: [79.9, 6.79] });
+  assert.equal(features.length, 2);
+});
+
+test('a route with several fixes is a LineString and one with none has no geometry', () => {
+  const { features } = toGeoJson(trip, [point(0, 6.79, 79.9), point(1, 6.8, 79.91)]);
+  assert.deepEqual(features[0].geometry, { type: 'LineString', coordinates: [[79.9, 6.79], [79.91, 6.8]] });
+
+  assert.equal(toGeoJson(trip, []).features[0].geometry, null);
+});
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+// Stands in for MongoDB: a findOneAndUpdate upsert over an in-memory
+// collection. As on a real server without a unique index, two upserts that
+// both miss can both insert.
+const fakeTrips = () => {
+  const trips = [];
+  mock.method(Trip, 'findOneAndUpdate', async (filter, update, options) => {
+    assert.equal(options.upsert, true);
+    await tick();
+    const found = trips
+      .filter((doc) => doc.deviceId === filter.deviceId
+        && doc.startedAt <= filter.startedAt.$lte
+        && doc.endedAt >= filter.endedAt.$gte)
+      .sort((a, b) => b.endedAt - a.endedAt)[0];
+    if (found) {
+      if (update.$min.startedAt < found.startedAt) found.startedAt = update.$min.startedAt;
+      if (update.$max.endedAt > found.endedAt) found.endedAt = update.$max.endedAt;
+      return { ...found };
+    }
+    await tick();
+    const created = {
+      _id: new mongoose.Types.ObjectId(),
+      deviceId: filter.deviceId,
+      startedAt: update.$min.startedAt,
+      endedAt: update.$max.endedAt
+    };
+    trips.push(created);
+    return { ...created };
+  });
+  return trips;
+};
+
+test('readings within the gap join one trip and a longer gap starts another', async () => {
+  const trips = fakeTrips();
+  const device = { deviceId: 'bike', mobile: true };
+  const readings = [point(0), point(5), point(5 + TRIP_GAP_MS / 60000 + 1)];
+
+  await assignTrips(device, readings);
+
+  assert.equal(trips.length, 2);
+  assert.equal(String(readings[0].tripId), String(readings[1].tripId));
+  assert.notEqual(String(readings[1].tripId), String(readings[2].tripId));
+});
+
+test('concurrent requests from one device share a trip', async () => {
+  const trips = fakeTrips();
+  const device = { deviceId: 'bike', mobile: true };
+  const first = [point(0)];
+  const second = [point(1)];
+
+  await Promise.all([assignTrips(device, first), assignTrips(device, second)]);
+
+  assert.equal(trips.length, 1);
+  assert.equal(String(first[0].tripId), String(second[0].tripId));
+});
+
+test('readings from fixed stations are left alone', async () => {
+  const findOneAndUpdate = mock.method(Trip, 'findOneAndUpdate', async () => null);
+  const readings = [point(0)];
+  await assignTrips({ deviceId: 'roof', mobile: false }, readings);
+  assert.equal(readings[0].tripId, undefined);
+  assert.equal(findOneAndUpdate.mock.callCount(), 0);
+});
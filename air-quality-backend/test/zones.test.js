@@ -0,0 +1,88 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const SensorData = require('../models/SensorData');
+const { validatePolygon, bboxOf, inZone, assignZone } = require('../lib/zones');
+
+afterEach(() => mock.restoreAll());
+
+// A 10 × 10 square with a 2 × 2 hole in the middle, drawn clockwise as some
+// tools do; ray casting doesn't care about winding
+const square = [[0, 0], [0, 10], [10, 10], [10, 0], [0, 0]];
+const hole = [[4, 4], [6, 4], [6, 6], [4, 6], [4, 4]];
+const zone = {
+  _id: new mongoose.Types.ObjectId(),
+  geometry: { type: 'Polygon', coordinates: [square, hole] }
+};
+zone.bbox = bboxOf(zone.geometry);
+
+const at = (longitude, latitude) => ({ latitude, longitude });
+
+test('points inside a hole are outside the zone', () => {
+  assert.deepEqual(zone.bbox, [0, 0, 10, 10]);
+  assert.equal(inZone(zone, at(2, 2)), true);
+  assert.equal(inZone(zone, at(5, 5)), false);
+  assert.equal(inZone(zone, at(3.9, 5)), true);
+  assert.equal(inZone(zone, at(6.1, 5)), true);
+  assert.equal(inZone(zone, at(11, 5)), false);
+  assert.equal(inZone(zone, at(5, -0.1)), false);
+});
+
+test('a concave outline excludes its notch, and readings without a fix are in no zone', () => {
+  // A U shape open to the north between x = 3 and x = 7
+  const u = { geometry: { type: 'Polygon', coordinates: [[[0, 0], [10, 0], [10, 10], [7, 10], [7, 3], [3, 3], [3, 10], [0, 10], [0, 0]]] } };
+  assert.equal(inZone(u, at(5, 5)), false);
+  assert.equal(inZone(u, at(5, 2)), true);
+  assert.equal(inZone(u, at(1, 9)), true);
+
+  assert.equal(inZone(zone, undefined), false);
+  assert.equal(inZone(zone, { latitude: 2 }), false);
+});
+
+test('polygons are validated ring by ring', () => {
+  assert.equal(validatePolygon(zone.geometry), null);
+  assert.equal(validatePolygon({ type: 'Point', coordinates: [1, 2] }), 'geometry must be a GeoJSON Polygon');
+  assert.equal(
+    validatePolygon({ type: 'Polygon', coordinates: [square, [[4, 4], [6, 4], [4, 4]]] }),
+    'each ring needs at least three distinct points plus the closing point'
+  );
+  assert.equal(validatePolygon({ type: 'Polygon', coordinates: [[[0, 0], [0, 91], [10, 10], [0, 0]]] }), 'positions must be [longitude, latitude]');
+  assert.equal(validatePolygon({ type: 'Polygon', coordinates: [square.slice(0, -1)] }), 'each ring must end with its first point');
+});
+
+test('assigning a zone untags every reading, then tags those at positions inside it', async () => {
+  const calls = [];
+  mock.method(SensorData, 'updateMany', async (filter, update) => {
+    calls.push(['updateMany', filter, update]);
+  });
+  const aggregate = mock.method(SensorData, 'aggregate', async () => {
+    calls.push(['aggregate']);
+    return [
+      { _id: at(2, 2), count: 40 },
+      { _id: at(5, 5), count: 7 },
+      { _id: at(9, 1), count: 3 }
+    ];
+  });
+  mock.method(SensorData, 'bulkWrite', async (operations) => {
+    calls.push(['bulkWrite', operations]);
+  });
+
+  assert.equal(await assignZone(zone), 43);
+
+  // Only positions within the bbox are grouped
+  const [{ $match }] = aggregate.mock.calls[0].arguments[0];
+  assert.deepEqual($match, {
+    'location.latitude': { $gte: 0, $lte: 10 },
+    'location.longitude': { $gte: 0, $lte: 10 }
+  });
+  assert.deepEqual(calls, [
+    ['updateMany', { zoneIds: zone._id }, { $pull: { zoneIds: zone._id } }],
+    ['aggregate'],
+    ['bulkWrite', [at(2, 2), at(9, 1)].map(({ latitude, longitude }) => ({
+      updateMany: {
+        filter: { 'location.latitude': latitude, 'location.longitude': longitude },
+        update: { $addToSet: { zoneIds: zone._id } }
+      }
+    }))]
+  ]);
+});
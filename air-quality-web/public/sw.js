@@ -0,0 +1,35 @@
+// Service worker for Web Push notifications from air-quality-backend.
+// Payloads are JSON: { title, body, tag, url }.
+
+self.addEventListener('push', (event) => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch {
+    data = { body: event.data.text() };
+  }
+
+  event.waitUntil(self.registration.showNotification(data.title || 'Air Aware', {
+    body: data.body,
+    tag: data.tag,
+    // Relative to the worker's scope, so it resolves under /Air-Aware/ too
+    icon: new URL('vite.svg', self.registration.scope).href,
+    data: { url: data.url || '' },
+  }));
+});
+
+// Focus an open tab if there is one, otherwise open the app
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  // Paths are relative to where the app is deployed (the worker's scope)
+  const url = new URL((event.notification.data?.url || '').replace(/^\//, ''), self.registration.scope).href;
+
+  event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+    const existing = windows.find((client) => client.url.startsWith(self.registration.scope));
+    if (existing) {
+      existing.focus();
+      return existing.navigate(url);
+    }
+    return self.clients.openWindow(url);
+  }));
+});
@@ -0,0 +1,29 @@
+// Admin routes on the backend are protected by a shared ADMIN_TOKEN. The
+// token is entered once in the UI and kept in this browser only.
+const STORAGE_KEY = 'airAware.adminToken';
+
+export const getAdminToken = () => {
+  try {
+    return localStorage.getItem(STORAGE_KEY) || '';
+  } catch {
+    return '';
+  }
+};
+
+export const setAdminToken = (token) => {
+  try {
+    if (token) {
+      localStorage.setItem(STORAGE_KEY, token);
+    } else {
+      localStorage.removeItem(STORAGE_KEY);
+    }
+  } catch {
+    // Without storage the token simply has to be entered again next visit
+  }
+};
+
+// axios request config carrying the admin token
+export const adminConfig = (config = {}) => ({
+  ...config,
+  headers: { ...config.headers, Authorization: `Bearer ${getAdminToken()}` },
+});
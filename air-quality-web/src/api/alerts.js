@@ -0,0 +1,14 @@
+import { api } from './client';
+import { adminConfig } from './admin';
+
+export const fetchAlertEvents = (params = {}) => (
+  api.get('/api/alerts/events', { params }).then((res) => res.data)
+);
+
+export const acknowledgeAlert = (id) => (
+  api.post(`/api/alerts/events/${id}/acknowledge`, null, adminConfig()).then((res) => res.data)
+);
+
+export const resolveAlert = (id) => (
+  api.post(`/api/alerts/events/${id}/resolve`, null, adminConfig()).then((res) => res.data)
+);
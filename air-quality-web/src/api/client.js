@@ -0,0 +1,9 @@
+import axios from 'axios';
+
+// Base URL of air-quality-backend. Set VITE_API_URL for deployed builds.
+export const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+export const api = axios.create({
+  baseURL: API_URL,
+  timeout: 15000,
+});
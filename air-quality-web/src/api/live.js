@@ -0,0 +1,145 @@
+import { API_URL } from './client';
+import {
+  getSocket,
+  onSensorData as onSocketReading,
+  onAlert as onSocketAlert,
+  onConnectionChange as onSocketConnectionChange,
+} from './socket';
+
+// Live readings and alerts over Socket.IO, falling back to Server-Sent Events
+// (/api/stream) when the socket can't connect, e.g. behind proxies that break
+// WebSockets. Set VITE_LIVE_TRANSPORT=sse to skip the socket entirely.
+const FORCED_TRANSPORT = import.meta.env.VITE_LIVE_TRANSPORT;
+
+// Give up on the socket after this many failed attempts, or this long
+// without a connection, whichever comes first
+const SOCKET_ATTEMPTS = 3;
+const SOCKET_TIMEOUT_MS = 10000;
+
+const readingListeners = new Set();
+const alertListeners = new Set();
+const connectionListeners = new Set();
+
+let transport = null;
+let status = 'connecting';
+let eventSource = null;
+const socketUnsubscribes = new Map();
+let stopWatchingSocket = null;
+
+const setStatus = (next) => {
+  if (next === status) return;
+  status = next;
+  connectionListeners.forEach((listener) => listener(status));
+};
+
+const attachToSocket = (listener) => {
+  socketUnsubscribes.set(listener, onSocketReading(listener.deliver, listener.options));
+};
+
+const openEventSource = () => {
+  transport = 'sse';
+  setStatus('connecting');
+  eventSource = new EventSource(`${API_URL}/api/stream`);
+  eventSource.onopen = () => setStatus('connected');
+  // EventSource reconnects by itself and resumes with Last-Event-ID
+  eventSource.onerror = () => setStatus('disconnected');
+  eventSource.addEventListener('sensor-data', (event) => {
+    const reading = JSON.parse(event.data);
+    readingListeners.forEach((listener) => listener.deliver(reading));
+  });
+  eventSource.addEventListener('alert', (event) => {
+    const alert = JSON.parse(event.data);
+    alertListeners.forEach((listener) => listener(alert));
+  });
+};
+
+const switchToEventSource = () => {
+  console.warn('Live updates: socket unavailable, switching to Server-Sent Events');
+  if (stopWatchingSocket) stopWatchingSocket();
+  socketUnsubscribes.forEach((unsubscribe) => unsubscribe());
+  socketUnsubscribes.clear();
+  getSocket().disconnect();
+  openEventSource();
+};
+
+const connectSocket = () => {
+  transport = 'socket';
+  const socket = getSocket();
+  let failures = 0;
+  let connectedOnce = false;
+
+  const timeout = setTimeout(() => {
+    if (!connectedOnce) switchToEventSource();
+  }, SOCKET_TIMEOUT_MS);
+  const onError = () => {
+    failures += 1;
+    if (!connectedOnce && failures >= SOCKET_ATTEMPTS) switchToEventSource();
+  };
+  socket.on('connect_error', onError);
+
+  const stopStatus = onSocketConnectionChange((next) => {
+    if (next === 'connected') {
+      connectedOnce = true;
+      clearTimeout(timeout);
+    }
+    setStatus(next);
+  });
+  const stopAlerts = onSocketAlert((alert) => alertListeners.forEach((listener) => listener(alert)));
+
+  stopWatchingSocket = () => {
+    clearTimeout(timeout);
+    socket.off('connect_error', onError);
+    stopStatus();
+    stopAlerts();
+  };
+};
+
+// Pick a transport the first time anything subscribes
+const ensureTransport = () => {
+  if (transport) return;
+  if (FORCED_TRANSPORT === 'sse' && typeof EventSource !== 'undefined') {
+    openEventSource();
+  } else {
+    connectSocket();
+  }
+};
+
+// New readings, optionally only from some stations. See socket.js for includeLatest.
+// Returns an unsubscribe function.
+export const onSensorData = (callback, { deviceIds = null, includeLatest = false } = {}) => {
+  ensureTransport();
+  const listener = {
+    options: { deviceIds, includeLatest },
+    // Filtered here too because SSE streams every station
+    deliver: (reading) => {
+      if (!deviceIds || deviceIds.includes(reading.deviceId)) callback(reading);
+    },
+  };
+  readingListeners.add(listener);
+  if (transport === 'socket') attachToSocket(listener);
+
+  return () => {
+    readingListeners.delete(listener);
+    const unsubscribe = socketUnsubscribes.get(listener);
+    if (unsubscribe) unsubscribe();
+    socketUnsubscribes.delete(listener);
+  };
+};
+
+// Alert transitions ({ transition, alert }). Returns an unsubscribe function.
+export const onAlert = (callback) => {
+  ensureTransport();
+  alertListeners.add(callback);
+  return () => alertListeners.delete(callback);
+};
+
+// Report 'connecting', 'connected' or 'disconnected' now and on every change,
+// whichever transport is in use. Returns an unsubscribe function.
+export const onConnectionChange = (callback) => {
+  ensureTransport();
+  connectionListeners.add(callback);
+  callback(status);
+  return () => connectionListeners.delete(callback);
+};
+
+export const getTransport = () => transport;
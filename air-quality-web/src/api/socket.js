@@ -0,0 +1,118 @@
+import { io } from 'socket.io-client';
+import { API_URL } from './client';
+
+let socket = null;
+
+// One shared Socket.IO connection for the whole app, opened on first use.
+// Socket.IO reconnects on its own with backoff; listeners stay attached.
+export const getSocket = () => {
+  if (!socket) {
+    socket = io(API_URL, {
+      withCredentials: true,
+      reconnectionDelay: 1000,
+      reconnectionDelayMax: 10000,
+    });
+  }
+  return socket;
+};
+
+// Every component's live-reading subscription. The backend keeps one
+// subscription per socket, so these are merged before being sent.
+const readingSubscriptions = new Set();
+let subscribeScheduled = false;
+let readingHandlersAttached = false;
+
+const mergedDeviceIds = () => {
+  const ids = new Set();
+  for (const { deviceIds } of readingSubscriptions) {
+    if (!deviceIds) return null;
+    deviceIds.forEach((id) => ids.add(id));
+  }
+  return [...ids];
+};
+
+const sendSubscription = () => {
+  subscribeScheduled = false;
+  const s = getSocket();
+  if (!s.connected) return;
+  if (readingSubscriptions.size === 0) {
+    s.emit('unsubscribe');
+    return;
+  }
+  const deviceIds = mergedDeviceIds();
+  s.emit('subscribe', deviceIds ? { deviceIds } : {});
+};
+
+// Components mount and unmount in bursts; send one subscribe per burst
+const scheduleSubscription = () => {
+  if (subscribeScheduled) return;
+  subscribeScheduled = true;
+  setTimeout(sendSubscription, 0);
+};
+
+const setUpSubscriptions = (s) => {
+  if (readingHandlersAttached) return;
+  readingHandlersAttached = true;
+  // Subscriptions don't survive a reconnect on the server side
+  s.on('connect', sendSubscription);
+  s.on('sensor-data', (reading) => {
+    readingSubscriptions.forEach((subscription) => subscription.deliver(reading));
+  });
+  s.on('subscribe-ack', ({ latest = [] }) => {
+    readingSubscriptions.forEach((subscription) => {
+      if (subscription.includeLatest) latest.forEach(subscription.deliver);
+    });
+  });
+};
+
+// Subscribe to new readings pushed by the backend, optionally only from some
+// stations. With includeLatest the callback also gets each station's newest
+// stored reading whenever the subscription is (re)established. Returns an
+// unsubscribe function.
+export const onSensorData = (callback, { deviceIds = null, includeLatest = false } = {}) => {
+  const s = getSocket();
+  setUpSubscriptions(s);
+
+  const subscription = {
+    deviceIds,
+    includeLatest,
+    deliver: (reading) => {
+      if (!deviceIds || deviceIds.includes(reading.deviceId)) callback(reading);
+    },
+  };
+  readingSubscriptions.add(subscription);
+  scheduleSubscription();
+
+  return () => {
+    readingSubscriptions.delete(subscription);
+    scheduleSubscription();
+  };
+};
+
+// Subscribe to alert transitions ({ transition, alert }). Returns an unsubscribe function.
+export const onAlert = (callback) => {
+  const s = getSocket();
+  s.on('alert', callback);
+  return () => s.off('alert', callback);
+};
+
+// Report 'connecting', 'connected' or 'disconnected' now and on every change.
+// Returns an unsubscribe function.
+export const onConnectionChange = (callback) => {
+  const s = getSocket();
+  const connected = () => callback('connected');
+  const disconnected = () => callback('disconnected');
+  const connecting = () => callback('connecting');
+
+  callback(s.connected ? 'connected' : 'connecting');
+  s.on('connect', connected);
+  s.on('disconnect', disconnected);
+  s.on('connect_error', disconnected);
+  s.io.on('reconnect_attempt', connecting);
+  return () => {
+    s.off('connect', connected);
+    s.off('disconnect', disconnected);
+    s.off('connect_error', disconnected);
+    s.io.off('reconnect_attempt', connecting);
+  };
+};
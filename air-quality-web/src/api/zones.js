@@ -0,0 +1,23 @@
+import { api } from './client';
+import { adminConfig } from './admin';
+
+export const fetchZoneSummaries = () => (
+  api.get('/api/zones/summary').then((res) => res.data)
+);
+
+export const createZone = (zone) => (
+  api.post('/api/zones', zone, adminConfig()).then((res) => res.data)
+);
+
+export const deleteZone = (id) => (
+  api.delete(`/api/zones/${id}`, adminConfig()).then((res) => res.data)
+);
+
+// Leaflet [lat, lng] vertices to a closed GeoJSON Polygon
+export const toPolygon = (points) => ({
+  type: 'Polygon',
+  coordinates: [[...points, points[0]].map(([lat, lng]) => [lng, lat])],
+});
+
+// The outline of a GeoJSON Polygon as Leaflet [lat, lng] vertices
+export const toLatLngs = (geometry) => geometry.coordinates[0].map(([lng, lat]) => [lat, lng]);
@@ -0,0 +1,232 @@
+// Registry of air quality index standards. Every standard turns a reading's
+// particulate concentrations (µg/m³) into an index value and a category with
+// a display colour and health advice, so the UI never hard-codes one scale.
+//
+// compute(reading) returns { value, category, dominantPollutant }.
+
+import PropTypes from 'prop-types';
+import epaTable from '../../../air-quality-backend/lib/aqiBreakpoints.json';
+
+const POLLUTANT_LABELS = {
+  pm25: 'PM2.5',
+  pm10: 'PM10',
+};
+
+const isConcentration = (c) => typeof c === 'number' && Number.isFinite(c) && c >= 0;
+
+// Linear interpolation within a breakpoint table of [concLow, concHigh, indexLow, indexHigh]
+// rows. Concentrations falling between two rows belong to the upper row. Above the
+// table the index is capped at the last row, unless `extrapolate` continues its slope.
+const interpolate = (table, c, { extrapolate = false } = {}) => {
+  const row = table.find(([, high]) => c <= high);
+  if (!row) {
+    const [low, high, indexLow, indexHigh] = table[table.length - 1];
+    if (!extrapolate) return indexHigh;
+    return Math.round(indexLow + ((indexHigh - indexLow) / (high - low)) * (c - low));
+  }
+  const [low, high, indexLow, indexHigh] = row;
+  const clamped = Math.max(c, low);
+  return Math.round(indexLow + ((indexHigh - indexLow) / (high - low)) * (clamped - low));
+};
+
+const categoryFor = (categories, value) =>
+  categories.find((category) => value <= category.max) || categories[categories.length - 1];
+
+// Most national indices work the same way: a sub-index per pollutant from a
+// breakpoint table, with the worst sub-index as the overall value.
+const createBreakpointStandard = ({ breakpoints, categories, truncate = {}, extrapolate, ...rest }) => ({
+  ...rest,
+  categories,
+  compute: (reading) => {
+    let best = null;
+    Object.entries(breakpoints).forEach(([pollutant, table]) => {
+      const raw = reading?.[pollutant];
+      if (!isConcentration(raw)) return;
+      const c = truncate[pollutant] ? truncate[pollutant](raw) : raw;
+      const value = interpolate(table, c, { extrapolate });
+      if (!best || value > best.value) {
+        best = { value, dominantPollutant: pollutant };
+      }
+    });
+    if (!best) {
+      return { value: null, category: categories[0], dominantPollutant: null };
+    }
+    return { ...best, category: categoryFor(categories, best.value) };
+  },
+});
+
+// The US EPA breakpoints are the backend's (lib/aqiBreakpoints.json), which
+// also stores each reading's AQI, so both sides always agree on the scale
+const EPA_CATEGORY_STYLES = [
+  { range: '0-50', color: '#00E400', advice: 'Enjoy outdoor activities freely.' },
+  { range: '51-100', color: '#FFFF00', advice: 'Sensitive groups should limit prolonged outdoor exertion.' },
+  { range: '101-150', color: '#FF7E00', advice: 'Sensitive individuals should reduce outdoor activity.' },
+  { range: '151-200', color: '#FF0000', advice: 'Everyone should limit prolonged outdoor exertion.' },
+  { range: '201-300', color: '#8F3F97', advice: 'Avoid outdoor activities; wear masks if going outside.' },
+  { range: '301-500', color: '#7E0023', advice: 'Remain indoors with sealed windows and avoid all outdoor activities.' },
+];
+
+const truncateTo = (decimals) => (c) => Math.floor(c * 10 ** decimals) / 10 ** decimals;
+
+const usEpa = createBreakpointStandard({
+  id: 'us-epa',
+  name: 'US EPA AQI',
+  shortName: 'AQI',
+  description: 'United States Environmental Protection Agency Air Quality Index (2024 PM breakpoints).',
+  truncate: Object.fromEntries(Object.entries(epaTable.decimals).map(([pollutant, decimals]) => [pollutant, truncateTo(decimals)])),
+  breakpoints: epaTable.breakpoints,
+  categories: epaTable.categories.map(({ max, name }, index) => ({
+    max: max === null ? Infinity : max,
+    label: name,
+    ...EPA_CATEGORY_STYLES[index],
+  })),
+});
+
+const indiaNaqi = createBreakpointStandard({
+  id: 'india-naqi',
+  name: 'India National AQI',
+  shortName: 'NAQI',
+  description: 'Central Pollution Control Board National Air Quality Index. Defined on 24-hour averages.',
+  breakpoints: {
+    pm25: [
+      [0, 30, 0, 50],
+      [31, 60, 51, 100],
+      [61, 90, 101, 200],
+      [91, 120, 201, 300],
+      [121, 250, 301, 400],
+      [251, 380, 401, 500],
+    ],
+    pm10: [
+      [0, 50, 0, 50],
+      [51, 100, 51, 100],
+      [101, 250, 101, 200],
+      [251, 350, 201, 300],
+      [351, 430, 301, 400],
+      [431, 510, 401, 500],
+    ],
+  },
+  categories: [
+    { max: 50, range: '0-50', label: 'Good', color: '#009865', advice: 'Minimal impact.' },
+    { max: 100, range: '51-100', label: 'Satisfactory', color: '#A3C853', advice: 'Minor breathing discomfort to sensitive people.' },
+    { max: 200, range: '101-200', label: 'Moderate', color: '#FFF833', advice: 'Breathing discomfort to people with lung or heart disease, children and older adults.' },
+    { max: 300, range: '201-300', label: 'Poor', color: '#F29C33', advice: 'Breathing discomfort to most people on prolonged exposure.' },
+    { max: 400, range: '301-400', label: 'Very Poor', color: '#E93F33', advice: 'Respiratory illness on prolonged exposure. Avoid outdoor activity.' },
+    { max: Infinity, range: '401-500', label: 'Severe', color: '#AF2D24', advice: 'Affects healthy people and seriously impacts those with existing diseases. Stay indoors.' },
+  ],
+});
+
+const euCaqi = createBreakpointStandard({
+  id: 'eu-caqi',
+  name: 'EU Common Air Quality Index',
+  shortName: 'CAQI',
+  description: 'CITEAIR Common Air Quality Index, hourly background grid. Values above 100 are open-ended.',
+  extrapolate: true,
+  breakpoints: {
+    pm25: [
+      [0, 15, 0, 25],
+      [15, 30, 25, 50],
+      [30, 55, 50, 75],
+      [55, 110, 75, 100],
+    ],
+    pm10: [
+      [0, 25, 0, 25],
+      [25, 50, 25, 50],
+      [50, 90, 50, 75],
+      [90, 180, 75, 100],
+    ],
+  },
+  categories: [
+    { max: 25, range: '0-25', label: 'Very Low', color: '#79BC6A', advice: 'Air quality is excellent.' },
+    { max: 50, range: '25-50', label: 'Low', color: '#BBCF4C', advice: 'Air quality is good for everyone.' },
+    { max: 75, range: '50-75', label: 'Medium', color: '#EEC20B', advice: 'Sensitive people may want to reduce strenuous outdoor activity.' },
+    { max: 100, range: '75-100', label: 'High', color: '#F29305', advice: 'Sensitive groups should avoid strenuous outdoor activity.' },
+    { max: Infinity, range: '>100', label: 'Very High', color: '#E8416F', advice: 'Everyone should reduce outdoor activity.' },
+  ],
+});
+
+// WHO 2021 global air quality guidelines are not an index, so this standard
+// reports the dominant pollutant as a percentage of its 24-hour guideline
+// level and categorises by the highest interim target that is met.
+const WHO_LEVELS = {
+  // [IT1, IT2, IT3, IT4, AQG], 24-hour means in µg/m³
+  pm25: [75, 50, 37.5, 25, 15],
+  pm10: [150, 100, 75, 50, 45],
+};
+
+const WHO_CATEGORIES = [
+  { range: '≤ AQG', label: 'Meets WHO guideline', color: '#00E400', advice: 'Concentrations are within the WHO air quality guideline.' },
+  { range: '≤ IT-4', label: 'Interim target 4', color: '#A3C853', advice: 'Above the guideline. Long-term exposure carries some health risk.' },
+  { range: '≤ IT-3', label: 'Interim target 3', color: '#FFFF00', advice: 'Sensitive groups should limit prolonged outdoor exertion.' },
+  { range: '≤ IT-2', label: 'Interim target 2', color: '#FF7E00', advice: 'Sensitive individuals should reduce outdoor activity.' },
+  { range: '≤ IT-1', label: 'Interim target 1', color: '#FF0000', advice: 'Everyone should limit prolonged outdoor exertion.' },
+  { range: '> IT-1', label: 'Above all interim targets', color: '#7E0023', advice: 'Avoid outdoor activities and keep windows closed.' },
+];
+
+const whoLevel = (pollutant, c) => {
+  const [it1, it2, it3, it4, aqg] = WHO_LEVELS[pollutant];
+  return [aqg, it4, it3, it2, it1].findIndex((limit) => c <= limit);
+};
+
+const who = {
+  id: 'who-2021',
+  name: 'WHO 2021 Guideline',
+  shortName: '% of WHO',
+  description: 'Percentage of the WHO 2021 24-hour air quality guideline, categorised by interim target.',
+  categories: WHO_CATEGORIES,
+  compute: (reading) => {
+    let worst = null;
+    Object.keys(WHO_LEVELS).forEach((pollutant) => {
+      const c = reading?.[pollutant];
+      if (!isConcentration(c)) return;
+      const found = whoLevel(pollutant, c);
+      const level = found === -1 ? WHO_CATEGORIES.length - 1 : found;
+      const value = Math.round((c / WHO_LEVELS[pollutant][4]) * 100);
+      if (!worst || level > worst.level || (level === worst.level && value > worst.value)) {
+        worst = { level, value, dominantPollutant: pollutant };
+      }
+    });
+    if (!worst) {
+      return { value: null, category: WHO_CATEGORIES[0], dominantPollutant: null };
+    }
+    return { value: worst.value, category: WHO_CATEGORIES[worst.level], dominantPollutant: worst.dominantPollutant };
+  },
+};
+
+export const AQI_STANDARDS = [usEpa, indiaNaqi, euCaqi, who];
+
+// For components that take a standard from the registry as a prop
+export const aqiStandardPropType = PropTypes.shape({
+  id: PropTypes.string.isRequired,
+  name: PropTypes.string.isRequired,
+  shortName: PropTypes.string.isRequired,
+  description: PropTypes.string,
+  categories: PropTypes.arrayOf(PropTypes.shape({
+    range: PropTypes.string,
+    label: PropTypes.string,
+    color: PropTypes.string,
+    advice: PropTypes.string,
+  })).isRequired,
+  compute: PropTypes.func.isRequired,
+});
+
+export const DEFAULT_STANDARD_ID = usEpa.id;
+
+export const getStandard = (id) =>
+  AQI_STANDARDS.find((standard) => standard.id === id) || AQI_STANDARDS[0];
+
+// A reading's index under a standard. Readings from the backend carry the US
+// EPA AQI it worked out from the PM NowCast at ingest, which alerts and push
+// notifications use too, so that is shown rather than one recomputed from the
+// instantaneous concentrations.
+export const readingAqi = (standard, reading) => {
+  if (standard.id === usEpa.id && typeof reading?.aqi === 'number') {
+    return {
+      value: reading.aqi,
+      category: categoryFor(usEpa.categories, reading.aqi),
+      dominantPollutant: reading.dominantPollutant || null,
+    };
+  }
+  return standard.compute(reading);
+};
+
+export const pollutantLabel = (pollutant) => POLLUTANT_LABELS[pollutant] || pollutant;
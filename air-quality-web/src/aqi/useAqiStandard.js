@@ -0,0 +1,28 @@
+import { useEffect, useState } from 'react';
+import { DEFAULT_STANDARD_ID, getStandard } from './standards';
+
+const STORAGE_KEY = 'airAware.aqiStandard';
+
+const readStoredId = () => {
+  try {
+    return localStorage.getItem(STORAGE_KEY) || DEFAULT_STANDARD_ID;
+  } catch {
+    // Storage can be unavailable, e.g. in some private browsing modes
+    return DEFAULT_STANDARD_ID;
+  }
+};
+
+// The user's chosen AQI standard, remembered across visits
+export const useAqiStandard = () => {
+  const [standardId, setStandardId] = useState(readStoredId);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(STORAGE_KEY, standardId);
+    } catch {
+      // Not being able to persist the choice is harmless
+    }
+  }, [standardId]);
+
+  return [getStandard(standardId), setStandardId];
+};
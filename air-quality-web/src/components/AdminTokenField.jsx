@@ -0,0 +1,33 @@
+import { useState } from "react";
+import PropTypes from "prop-types";
+import { getAdminToken, setAdminToken } from "../api/admin";
+
+// Lets an administrator enter the backend's ADMIN_TOKEN for admin-only screens
+const AdminTokenField = ({ onChange }) => {
+  const [token, setToken] = useState(getAdminToken);
+
+  const save = (value) => {
+    setToken(value);
+    setAdminToken(value);
+    if (onChange) onChange(value);
+  };
+
+  return (
+    <label className="admin-token-field">
+      Admin token
+      <input
+        type="password"
+        value={token}
+        placeholder="ADMIN_TOKEN"
+        autoComplete="off"
+        onChange={(e) => save(e.target.value)}
+      />
+    </label>
+  );
+};
+
+AdminTokenField.propTypes = {
+  onChange: PropTypes.func,
+};
+
+export default AdminTokenField;
@@ -0,0 +1,177 @@
+import { useEffect, useRef, useState } from "react";
+import PropTypes from "prop-types";
+import { useAlerts } from "../hooks/useAlerts";
+import { isPushSupported, getPushSubscription, enablePush, disablePush } from "../utils/push";
+import "./AlertBell.css";
+
+const METRIC_LABELS = {
+  temperature: 'Temperature',
+  humidity: 'Humidity',
+  vocIndex: 'VOC index',
+  vocRaw: 'VOC raw',
+  pm1: 'PM1.0',
+  pm25: 'PM2.5',
+  pm10: 'PM10',
+  rainfall: 'Rainfall',
+  windSpeed: 'Wind speed',
+  aqi: 'AQI',
+};
+
+const OPERATOR_SYMBOLS = { gt: '>', gte: '≥', lt: '<', lte: '≤' };
+
+const describeCondition = (alert) => {
+  const metric = METRIC_LABELS[alert.metric] || alert.metric;
+  const aggregation = alert.aggregation && alert.aggregation !== 'latest' ? ` (${alert.aggregation})` : '';
+  return `${metric}${aggregation} ${OPERATOR_SYMBOLS[alert.operator] || alert.operator} ${alert.threshold}`;
+};
+
+const formatTime = (value) => new Date(value).toLocaleString([], {
+  month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit',
+});
+
+const AlertItem = ({ alert, onAcknowledge, onResolve, onDismiss }) => (
+  <li className={`alert-item alert-${alert.state}`}>
+    <div className="alert-item-header">
+      <span className="alert-name">{alert.ruleName}</span>
+      <span className="alert-state">{alert.state}</span>
+    </div>
+    <div className="alert-detail">
+      {alert.deviceId} · {describeCondition(alert)} · now {alert.lastValue} (peak {alert.peakValue})
+    </div>
+    <div className="alert-detail">
+      Opened {formatTime(alert.openedAt)}
+      {alert.resolvedAt && ` · resolved ${formatTime(alert.resolvedAt)}`}
+    </div>
+    <div className="alert-actions">
+      {alert.state === 'open' && (
+        <button type="button" onClick={() => onAcknowledge(alert._id)}>Acknowledge</button>
+      )}
+      {alert.state !== 'resolved' && (
+        <button type="button" onClick={() => onResolve(alert._id)}>Resolve</button>
+      )}
+      <button type="button" onClick={() => onDismiss(alert._id)}>Dismiss</button>
+    </div>
+  </li>
+);
+
+AlertItem.propTypes = {
+  alert: PropTypes.shape({
+    _id: PropTypes.string.isRequired,
+    ruleName: PropTypes.string,
+    deviceId: PropTypes.string,
+    state: PropTypes.oneOf(['open', 'acknowledged', 'resolved']).isRequired,
+    metric: PropTypes.string,
+    aggregation: PropTypes.string,
+    operator: PropTypes.string,
+    threshold: PropTypes.number,
+    lastValue: PropTypes.number,
+    peakValue: PropTypes.number,
+    openedAt: PropTypes.string,
+    resolvedAt: PropTypes.string,
+  }).isRequired,
+  onAcknowledge: PropTypes.func.isRequired,
+  onResolve: PropTypes.func.isRequired,
+  onDismiss: PropTypes.func.isRequired,
+};
+
+// Opt in or out of Web Push for this browser
+const PushToggle = () => {
+  const [subscribed, setSubscribed] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    getPushSubscription().then((subscription) => setSubscribed(Boolean(subscription))).catch(() => {});
+  }, []);
+
+  if (!isPushSupported()) {
+    return <div className="alert-push-note">Push notifications are not supported in this browser.</div>;
+  }
+
+  const toggle = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      if (subscribed) {
+        await disablePush();
+        setSubscribed(false);
+      } else {
+        await enablePush();
+        setSubscribed(true);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="alert-push">
+      <label>
+        <input type="checkbox" checked={subscribed} disabled={busy} onChange={toggle} />
+        Notify me when air quality turns unhealthy, even with this tab closed
+      </label>
+      {error && <div className="alert-error">{error}</div>}
+    </div>
+  );
+};
+
+// Bell in the navigation bar listing active and recent alerts
+const AlertBell = () => {
+  const { active, past, loading, error, acknowledge, resolve, dismiss } = useAlerts();
+  const [open, setOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const close = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', close);
+    return () => document.removeEventListener('mousedown', close);
+  }, [open]);
+
+  const unacknowledged = active.filter((alert) => alert.state === 'open').length;
+  const itemProps = { onAcknowledge: acknowledge, onResolve: resolve, onDismiss: dismiss };
+
+  return (
+    <div className="alert-bell" ref={containerRef}>
+      <button
+        type="button"
+        className="alert-bell-button"
+        aria-label={`Alerts (${unacknowledged} open)`}
+        aria-expanded={open}
+        onClick={() => setOpen(!open)}
+      >
+        🔔
+        {unacknowledged > 0 && <span className="alert-badge">{unacknowledged}</span>}
+      </button>
+
+      {open && (
+        <div className="alert-panel">
+          <h3>Active alerts</h3>
+          {loading && active.length === 0 && <div className="alert-empty">Loading…</div>}
+          {!loading && active.length === 0 && <div className="alert-empty">All clear.</div>}
+          <ul>
+            {active.map((alert) => <AlertItem key={alert._id} alert={alert} {...itemProps} />)}
+          </ul>
+
+          {past.length > 0 && (
+            <>
+              <h3>Earlier</h3>
+              <ul>
+                {past.map((alert) => <AlertItem key={alert._id} alert={alert} {...itemProps} />)}
+              </ul>
+            </>
+          )}
+
+          {error && <div className="alert-error">{error}</div>}
+          <PushToggle />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AlertBell;
@@ -0,0 +1,242 @@
+import { useCallback, useEffect, useState } from "react";
+import { api } from "../api/client";
+import { adminConfig } from "../api/admin";
+import AdminTokenField from "./AdminTokenField";
+import "./CsvImport.css";
+
+const IMPORT_STATUS_LABELS = {
+  pending: 'In progress',
+  committed: 'Committed',
+  failed: 'Failed',
+  rolled_back: 'Rolled back',
+};
+
+const errorMessage = (err, fallback) => err.response?.data?.error || fallback;
+
+const formatFields = (fields) => (fields
+  ? Object.entries(fields).map(([field, message]) => `${field} ${message}`).join('; ')
+  : '');
+
+// Upload historical readings from a CSV file: choose a device and file,
+// map columns to fields, review a dry run, then commit. Committed imports
+// are listed with a rollback action.
+const CsvImport = () => {
+  const [devices, setDevices] = useState([]);
+  const [deviceId, setDeviceId] = useState('');
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [report, setReport] = useState(null);
+  const [result, setResult] = useState(null);
+  const [imports, setImports] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadImports = useCallback(() => {
+    api.get('/api/import', adminConfig())
+      .then((response) => setImports(response.data))
+      .catch((err) => setError(errorMessage(err, 'Could not load past imports.')));
+  }, []);
+
+  useEffect(() => {
+    api.get('/api/devices')
+      .then((response) => setDevices(response.data))
+      .catch((err) => console.error('Error fetching devices:', err));
+    loadImports();
+  }, [loadImports]);
+
+  const buildForm = (withMapping) => {
+    const form = new FormData();
+    form.append('file', file);
+    form.append('deviceId', deviceId);
+    if (withMapping) form.append('mapping', JSON.stringify(mapping));
+    return form;
+  };
+
+  const run = async (action, fallback) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(errorMessage(err, fallback));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const loadPreview = () => run(async () => {
+    const response = await api.post('/api/import/preview', buildForm(false), adminConfig());
+    setPreview(response.data);
+    setMapping(response.data.suggestedMapping);
+    setReport(null);
+    setResult(null);
+  }, 'Could not read the file.');
+
+  const dryRun = () => run(async () => {
+    const response = await api.post('/api/import/preview', buildForm(true), adminConfig());
+    setReport(response.data);
+  }, 'Dry run failed.');
+
+  const commit = () => run(async () => {
+    const response = await api.post('/api/import/commit', buildForm(true), adminConfig());
+    setResult(response.data);
+    setPreview(null);
+    setReport(null);
+    setFile(null);
+    loadImports();
+  }, 'Import failed.');
+
+  const rollBack = (importId) => {
+    if (!window.confirm('Delete every reading created by this import?')) return;
+    run(async () => {
+      await api.delete(`/api/import/${importId}`, adminConfig());
+      loadImports();
+    }, 'Rollback failed.');
+  };
+
+  const setColumnField = (column, field) => {
+    const next = { ...mapping };
+    // A field can only come from one column
+    Object.keys(next).forEach((key) => {
+      if (next[key] === field) delete next[key];
+    });
+    if (field) {
+      next[column] = field;
+    } else {
+      delete next[column];
+    }
+    setMapping(next);
+    setReport(null);
+  };
+
+  return (
+    <div className="csv-import">
+      <h2>Import historical readings</h2>
+      <AdminTokenField onChange={loadImports} />
+
+      <section className="csv-import-step">
+        <h3>1. Choose a file</h3>
+        <div className="csv-import-row">
+          <select value={deviceId} onChange={(e) => { setDeviceId(e.target.value); setPreview(null); }}>
+            <option value="">Select device...</option>
+            {devices.map((device) => (
+              <option key={device.deviceId} value={device.deviceId}>{device.name || device.deviceId}</option>
+            ))}
+          </select>
+          <input
+            type="file"
+            accept=".csv,text/csv"
+            onChange={(e) => { setFile(e.target.files[0] || null); setPreview(null); }}
+          />
+          <button type="button" disabled={!file || !deviceId || busy} onClick={loadPreview}>Preview</button>
+        </div>
+      </section>
+
+      {preview && (
+        <section className="csv-import-step">
+          <h3>2. Map columns ({preview.rows} rows)</h3>
+          <div className="csv-import-table-wrapper">
+            <table className="csv-import-table">
+              <thead>
+                <tr>
+                  {preview.headers.map((header) => (
+                    <th key={header}>
+                      <div>{header}</div>
+                      <select value={mapping[header] || ''} onChange={(e) => setColumnField(header, e.target.value)}>
+                        <option value="">Ignore</option>
+                        {preview.fields.map((field) => <option key={field} value={field}>{field}</option>)}
+                      </select>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {preview.sample.map((row, i) => (
+                  <tr key={i}>
+                    {preview.headers.map((header) => <td key={header}>{row[header]}</td>)}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <button type="button" disabled={busy} onClick={dryRun}>Dry run</button>
+        </section>
+      )}
+
+      {report && (
+        <section className="csv-import-step">
+          <h3>3. Review</h3>
+          <div className="csv-import-summary">
+            <span className="accepted">{report.summary.valid} accepted</span>
+            <span className="rejected">{report.summary.invalid + report.summary.failed} rejected</span>
+            <span className="duplicate">{report.summary.duplicate} duplicates</span>
+          </div>
+          {report.rejectedRows.length > 0 && (
+            <ul className="csv-import-errors">
+              {report.rejectedRows.map((rejected) => (
+                <li key={rejected.row}>
+                  Row {rejected.row}: {rejected.error} {formatFields(rejected.fields)}
+                </li>
+              ))}
+            </ul>
+          )}
+          {report.duplicateRows.length > 0 && (
+            <p className="csv-import-duplicates">
+              Duplicate rows: {report.duplicateRows.join(', ')}
+              {report.summary.duplicate > report.duplicateRows.length && '...'}
+            </p>
+          )}
+          <button type="button" disabled={busy || report.summary.valid === 0} onClick={commit}>
+            Commit {report.summary.valid} readings
+          </button>
+        </section>
+      )}
+
+      {result && (
+        <div className="csv-import-result">
+          Imported {result.summary.inserted} readings (import {result.importId}).
+        </div>
+      )}
+
+      {error && <div className="csv-import-error">{error}</div>}
+      {busy && <div className="csv-import-busy">Working...</div>}
+
+      <section className="csv-import-step">
+        <h3>Past imports</h3>
+        <table className="csv-import-table">
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Device</th>
+              <th>File</th>
+              <th>Inserted</th>
+              <th>Rejected</th>
+              <th>Status</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {imports.map((item) => (
+              <tr key={item.importId}>
+                <td>{new Date(item.createdAt).toLocaleString()}</td>
+                <td>{item.deviceId}</td>
+                <td>{item.filename}</td>
+                <td>{item.inserted}</td>
+                <td>{item.rejected}</td>
+                <td title={item.error || undefined}>{IMPORT_STATUS_LABELS[item.status] || item.status}</td>
+                <td>
+                  {item.status !== 'rolled_back' && (
+                    <button type="button" disabled={busy} onClick={() => rollBack(item.importId)}>Roll back</button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+    </div>
+  );
+};
+
+export default CsvImport;
@@ -0,0 +1,112 @@
+import { useEffect, useMemo, useState } from "react";
+import PropTypes from "prop-types";
+import { ImageOverlay, useMap, useMapEvents } from "react-leaflet";
+import { api } from "../api/client";
+import { aqiStandardPropType, getStandard } from "../aqi/standards";
+
+const HOUR_MS = 60 * 60 * 1000;
+const OPACITY = 0.55;
+
+// Grids already fetched, keyed by request, so scrubbing back and forth is instant
+const cache = new Map();
+const MAX_CACHE = 100;
+
+const hexToRgb = (hex) => {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+};
+
+// Cells are coloured by the AQI category they fall in. Concentrations use the
+// selected standard; the backend's AQI values are US EPA.
+const colorFor = (metric, standard) => {
+  if (metric === 'aqi') {
+    const { categories } = getStandard('us-epa');
+    return (value) => (categories.find((category) => value <= category.max) || categories[categories.length - 1]).color;
+  }
+  return (value) => standard.compute({ [metric]: value }).category.color;
+};
+
+// Draw the grid one pixel per cell; the browser smooths it when the overlay is scaled
+const renderGrid = ({ cols, rows, values }, toColor) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = cols;
+  canvas.height = rows;
+  const context = canvas.getContext('2d');
+  const image = context.createImageData(cols, rows);
+  const rgbCache = new Map();
+
+  values.forEach((value, i) => {
+    if (value === null) return;
+    const color = toColor(value);
+    if (!rgbCache.has(color)) rgbCache.set(color, hexToRgb(color));
+    const [r, g, b] = rgbCache.get(color);
+    image.data.set([r, g, b, 255], i * 4);
+  });
+
+  context.putImageData(image, 0, 0);
+  return canvas.toDataURL();
+};
+
+const boundsToBbox = (bounds) => [
+  bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth(),
+].map((value) => value.toFixed(4)).join(',');
+
+// Interpolated pollution surface for the visible part of the map, hoursAgo
+// hours back. Must be rendered inside a MapContainer.
+const HeatmapLayer = ({ metric, hoursAgo, standard, onStatus }) => {
+  const map = useMap();
+  const [bbox, setBbox] = useState(() => boundsToBbox(map.getBounds()));
+  const [grid, setGrid] = useState(null);
+
+  useMapEvents({
+    moveend: () => setBbox(boundsToBbox(map.getBounds())),
+  });
+
+  // Past steps snap to whole hours so they share a cache entry; 0 means now
+  const time = useMemo(() => {
+    if (hoursAgo === 0) return new Date().toISOString();
+    return new Date(Math.floor(Date.now() / HOUR_MS) * HOUR_MS - hoursAgo * HOUR_MS).toISOString();
+  }, [hoursAgo]);
+
+  useEffect(() => {
+    const key = `${bbox}|${metric}|${hoursAgo === 0 ? 'now' : time}`;
+    const show = (data) => {
+      setGrid(data);
+      if (onStatus) onStatus(data.stations.length === 0 ? 'empty' : 'ready');
+    };
+    if (hoursAgo !== 0 && cache.has(key)) {
+      show(cache.get(key));
+      return undefined;
+    }
+
+    let cancelled = false;
+    if (onStatus) onStatus('loading');
+    api.get('/api/heatmap', { params: { bbox, metric, time } })
+      .then((res) => {
+        if (cancelled) return;
+        if (cache.size >= MAX_CACHE) cache.delete(cache.keys().next().value);
+        cache.set(key, res.data);
+        show(res.data);
+      })
+      .catch((err) => {
+        console.error('Error fetching heatmap:', err);
+        if (!cancelled && onStatus) onStatus('error');
+      });
+    return () => { cancelled = true; };
+  }, [bbox, metric, time, hoursAgo, onStatus]);
+
+  const url = useMemo(() => (grid ? renderGrid(grid, colorFor(grid.metric, standard)) : null), [grid, standard]);
+
+  if (!grid || !url) return null;
+  const [west, south, east, north] = grid.bbox;
+  return <ImageOverlay url={url} bounds={[[south, west], [north, east]]} opacity={OPACITY} className="heatmap-overlay" />;
+};
+
+HeatmapLayer.propTypes = {
+  metric: PropTypes.oneOf(['pm25', 'pm10', 'aqi']).isRequired,
+  hoursAgo: PropTypes.number.isRequired,
+  standard: aqiStandardPropType.isRequired,
+  onStatus: PropTypes.func,
+};
+
+export default HeatmapLayer;
@@ -0,0 +1,357 @@
+import { useEffect, useMemo, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { ChevronDown, ChevronUp, Download, Plus, X } from "lucide-react";
+import { api, API_URL } from "../api/client";
+import { aqiStandardPropType, readingAqi } from "../aqi/standards";
+import "./HistoryBrowser.css";
+
+const PAGE_SIZES = [25, 50, 100, 250];
+
+const COLUMNS = [
+  { key: 'timestamp', label: 'Time' },
+  { key: 'deviceId', label: 'Device' },
+  { key: 'temperature', label: 'Temp (°C)' },
+  { key: 'humidity', label: 'Humidity (%)' },
+  { key: 'vocIndex', label: 'VOC Index' },
+  { key: 'vocRaw', label: 'VOC Raw' },
+  { key: 'pm1', label: 'PM1 (μg/m³)' },
+  { key: 'pm25', label: 'PM2.5 (μg/m³)' },
+  { key: 'pm10', label: 'PM10 (μg/m³)' },
+  { key: 'aqi', label: 'AQI' },
+  { key: 'rainfall', label: 'Rain (mm)' },
+  { key: 'windSpeed', label: 'Wind (m/s)' },
+  { key: 'windDirection', label: 'Dir' },
+  { key: 'flags', label: 'Flags', sortable: false },
+];
+
+const EXPORT_FORMATS = [
+  { key: 'csv', label: 'CSV' },
+  { key: 'ndjson', label: 'JSON Lines' },
+  { key: 'xlsx', label: 'Excel' },
+];
+
+// Columns offered by /api/export
+const EXPORT_COLUMNS = [
+  'timestamp', 'deviceId', 'temperature', 'humidity', 'vocIndex', 'vocRaw', 'pm1', 'pm25', 'pm10',
+  'rainfall', 'windSpeed', 'windDirection', 'latitude', 'longitude', 'aqi', 'aqiCategory',
+  'dominantPollutant', 'flags',
+];
+
+// Fields that can take threshold filters, matching the backend's lib/readingQuery
+const THRESHOLD_FIELDS = [
+  { key: 'pm25', label: 'PM2.5' },
+  { key: 'pm10', label: 'PM10' },
+  { key: 'pm1', label: 'PM1' },
+  { key: 'aqi', label: 'AQI (US EPA)' },
+  { key: 'temperature', label: 'Temperature' },
+  { key: 'humidity', label: 'Humidity' },
+  { key: 'vocIndex', label: 'VOC Index' },
+  { key: 'rainfall', label: 'Rainfall' },
+  { key: 'windSpeed', label: 'Wind Speed' },
+];
+
+const OPERATORS = [
+  { key: 'gt', label: '>' },
+  { key: 'gte', label: '≥' },
+  { key: 'lt', label: '<' },
+  { key: 'lte', label: '≤' },
+];
+
+// Thresholds live in the URL as pm25[gt]=35, exactly as the API expects them
+const THRESHOLD_PARAM = /^(\w+)\[(gt|gte|lt|lte)\]$/;
+
+const readThresholds = (searchParams) => {
+  const thresholds = [];
+  searchParams.forEach((value, key) => {
+    const match = key.match(THRESHOLD_PARAM);
+    if (match) thresholds.push({ field: match[1], op: match[2], value });
+  });
+  return thresholds;
+};
+
+// Convert the page's URL state into API query parameters
+const toApiParams = (queryString) => {
+  const params = new URLSearchParams(queryString);
+  // datetime-local values have no zone; send them as absolute times
+  ['startDate', 'endDate'].forEach((key) => {
+    if (params.get(key)) params.set(key, new Date(params.get(key)).toISOString());
+  });
+  // The API takes a comma separated device list
+  const selected = params.getAll('deviceId');
+  params.delete('deviceId');
+  if (selected.length > 0) params.set('deviceId', selected.join(','));
+  return params;
+};
+
+const formatCell = (row, key) => {
+  const value = row[key];
+  if (value === undefined || value === null) return '–';
+  if (key === 'timestamp') return new Date(value).toLocaleString();
+  if (key === 'flags') return value.length > 0 ? value.join(', ') : '';
+  if (typeof value === 'number') return Math.round(value * 100) / 100;
+  return value;
+};
+
+// Paginated, sortable, filterable table over /api/data. All query state is
+// kept in the URL so a filtered view can be shared as a link.
+const HistoryBrowser = ({ aqiStandard }) => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [rows, setRows] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 0, total: 0 });
+  const [devices, setDevices] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [draft, setDraft] = useState({ field: 'pm25', op: 'gt', value: '' });
+
+  const page = parseInt(searchParams.get('page')) || 1;
+  const limit = parseInt(searchParams.get('limit')) || 50;
+  const sort = searchParams.get('sort') || 'timestamp';
+  const order = searchParams.get('order') || 'desc';
+  const deviceIds = searchParams.getAll('deviceId');
+  const startDate = searchParams.get('startDate') || '';
+  const endDate = searchParams.get('endDate') || '';
+  const thresholds = readThresholds(searchParams);
+
+  // The API takes the same parameters the page keeps in its URL
+  const queryString = searchParams.toString();
+
+  const [exportFormat, setExportFormat] = useState('csv');
+  const [exportColumns, setExportColumns] = useState(EXPORT_COLUMNS);
+
+  // Update some parameters; anything that changes the result set goes back to page 1
+  const updateParams = (changes, { resetPage = true } = {}) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      next.delete(key);
+      if (Array.isArray(value)) {
+        value.forEach((item) => next.append(key, item));
+      } else if (value !== undefined && value !== null && value !== '') {
+        next.set(key, value);
+      }
+    });
+    if (resetPage) next.delete('page');
+    setSearchParams(next);
+  };
+
+  useEffect(() => {
+    api.get('/api/devices')
+      .then((response) => setDevices(response.data))
+      .catch((err) => console.error('Error fetching devices:', err));
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+
+    api.get(`/api/data?${toApiParams(queryString).toString()}`)
+      .then((response) => {
+        if (cancelled) return;
+        setRows(response.data.data);
+        setPagination(response.data.pagination);
+        setError(null);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error('Error fetching history:', err);
+        setError(err.response?.data?.error || 'Could not load history from the server.');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => { cancelled = true; };
+  }, [queryString]);
+
+  const toggleSort = (key) => {
+    if (sort === key) {
+      updateParams({ order: order === 'asc' ? 'desc' : 'asc' });
+    } else {
+      updateParams({ sort: key, order: 'desc' });
+    }
+  };
+
+  const addThreshold = () => {
+    if (draft.value === '' || Number.isNaN(Number(draft.value))) return;
+    updateParams({ [`${draft.field}[${draft.op}]`]: draft.value });
+    setDraft({ ...draft, value: '' });
+  };
+
+  const removeThreshold = ({ field, op }) => updateParams({ [`${field}[${op}]`]: null });
+
+  // Same filters as the table, minus paging and sorting, in the browser's timezone
+  const exportUrl = useMemo(() => {
+    const params = toApiParams(queryString);
+    ['page', 'limit', 'sort', 'order'].forEach((key) => params.delete(key));
+    params.set('format', exportFormat);
+    params.set('tz', Intl.DateTimeFormat().resolvedOptions().timeZone);
+    if (exportColumns.length < EXPORT_COLUMNS.length) params.set('columns', exportColumns.join(','));
+    return `${API_URL}/api/export?${params.toString()}`;
+  }, [queryString, exportFormat, exportColumns]);
+
+  const toggleExportColumn = (column) => {
+    setExportColumns((current) => (current.includes(column)
+      ? current.filter((c) => c !== column)
+      : EXPORT_COLUMNS.filter((c) => c === column || current.includes(c))));
+  };
+
+  const columns = useMemo(() => COLUMNS.map((column) => (
+    column.key === 'aqi' && aqiStandard ? { ...column, label: aqiStandard.shortName } : column
+  )), [aqiStandard]);
+
+  return (
+    <div className="history-browser">
+      <div className="history-filters">
+        <label>
+          Devices
+          <select
+            multiple
+            value={deviceIds}
+            onChange={(e) => updateParams({ deviceId: [...e.target.selectedOptions].map((option) => option.value) })}
+          >
+            {devices.map((device) => (
+              <option key={device.deviceId} value={device.deviceId}>{device.name || device.deviceId}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          From
+          <input type="datetime-local" value={startDate} onChange={(e) => updateParams({ startDate: e.target.value })} />
+        </label>
+        <label>
+          To
+          <input type="datetime-local" value={endDate} onChange={(e) => updateParams({ endDate: e.target.value })} />
+        </label>
+        <div className="history-threshold-editor">
+          <span>Threshold</span>
+          <select value={draft.field} onChange={(e) => setDraft({ ...draft, field: e.target.value })}>
+            {THRESHOLD_FIELDS.map((field) => <option key={field.key} value={field.key}>{field.label}</option>)}
+          </select>
+          <select value={draft.op} onChange={(e) => setDraft({ ...draft, op: e.target.value })}>
+            {OPERATORS.map((op) => <option key={op.key} value={op.key}>{op.label}</option>)}
+          </select>
+          <input
+            type="number"
+            value={draft.value}
+            onChange={(e) => setDraft({ ...draft, value: e.target.value })}
+            onKeyDown={(e) => e.key === 'Enter' && addThreshold()}
+          />
+          <button type="button" onClick={addThreshold} title="Add filter"><Plus size={16} /></button>
+        </div>
+      </div>
+
+      <div className="history-export">
+        <Link to="/import" className="history-import-link">Import CSV</Link>
+        <select value={exportFormat} onChange={(e) => setExportFormat(e.target.value)}>
+          {EXPORT_FORMATS.map((format) => <option key={format.key} value={format.key}>{format.label}</option>)}
+        </select>
+        <details className="history-export-columns">
+          <summary>Columns ({exportColumns.length})</summary>
+          <div className="history-export-column-list">
+            {EXPORT_COLUMNS.map((column) => (
+              <label key={column}>
+                <input
+                  type="checkbox"
+                  checked={exportColumns.includes(column)}
+                  onChange={() => toggleExportColumn(column)}
+                />
+                {column}
+              </label>
+            ))}
+          </div>
+        </details>
+        <a
+          className={`history-download${exportColumns.length === 0 ? ' disabled' : ''}`}
+          href={exportUrl}
+          download
+        >
+          <Download size={16} /> Download
+        </a>
+      </div>
+
+      {(thresholds.length > 0 || deviceIds.length > 0 || startDate || endDate) && (
+        <div className="history-active-filters">
+          {thresholds.map((threshold) => (
+            <span key={`${threshold.field}-${threshold.op}`} className="history-chip">
+              {THRESHOLD_FIELDS.find((f) => f.key === threshold.field)?.label || threshold.field}
+              {' '}{OPERATORS.find((o) => o.key === threshold.op).label} {threshold.value}
+              <button type="button" onClick={() => removeThreshold(threshold)} title="Remove filter"><X size={12} /></button>
+            </span>
+          ))}
+          <button type="button" className="history-clear" onClick={() => setSearchParams({})}>Clear all</button>
+        </div>
+      )}
+
+      {error && <div className="history-message">{error}</div>}
+
+      <div className="history-table-wrapper">
+        <table className="history-table">
+          <thead>
+            <tr>
+              {columns.map((column) => (
+                <th
+                  key={column.key}
+                  onClick={column.sortable === false ? undefined : () => toggleSort(column.key)}
+                  className={column.sortable === false ? '' : 'sortable'}
+                >
+                  {column.label}
+                  {sort === column.key && (order === 'asc' ? <ChevronUp size={14} /> : <ChevronDown size={14} />)}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row._id} className={row.flags?.length > 0 ? 'flagged' : ''}>
+                {columns.map((column) => {
+                  if (column.key === 'aqi' && aqiStandard) {
+                    const { value, category } = readingAqi(aqiStandard, row);
+                    return (
+                      <td key={column.key}>
+                        <span className="history-aqi-chip" style={{ background: category.color }} title={category.label}>
+                          {value ?? '–'}
+                        </span>
+                      </td>
+                    );
+                  }
+                  return <td key={column.key}>{formatCell(row, column.key)}</td>;
+                })}
+              </tr>
+            ))}
+            {!loading && rows.length === 0 && !error && (
+              <tr>
+                <td colSpan={columns.length} className="history-message">No readings match these filters.</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="history-pagination">
+        <button type="button" disabled={page <= 1} onClick={() => updateParams({ page: page - 1 }, { resetPage: false })}>
+          Previous
+        </button>
+        <span>
+          Page {pagination.pages === 0 ? 0 : page} of {pagination.pages} · {pagination.total} readings
+          {loading && ' · Loading...'}
+        </span>
+        <button
+          type="button"
+          disabled={page >= pagination.pages}
+          onClick={() => updateParams({ page: page + 1 }, { resetPage: false })}
+        >
+          Next
+        </button>
+        <select value={limit} onChange={(e) => updateParams({ limit: e.target.value })}>
+          {PAGE_SIZES.map((size) => <option key={size} value={size}>{size} per page</option>)}
+        </select>
+      </div>
+    </div>
+  );
+};
+
+HistoryBrowser.propTypes = {
+  // Without one the AQI column shows the stored US EPA value as a number
+  aqiStandard: aqiStandardPropType,
+};
+
+export default HistoryBrowser;
@@ -0,0 +1,183 @@
+import { useMemo } from "react";
+import PropTypes from "prop-types";
+import {
+  ResponsiveContainer,
+  ComposedChart,
+  Line,
+  Area,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ReferenceLine,
+} from "recharts";
+import RangeSelector from "./RangeSelector";
+import { useMetricHistory } from "../hooks/useMetricHistory";
+import { formatBucketTime, rangeSelectionPropType } from "../utils/timeRanges";
+import "./MetricCharts.css";
+
+// WHO 2021 24-hour guideline levels drawn over the particulate chart
+const WHO_PM_GUIDELINES = [
+  { value: 15, label: 'WHO PM2.5 24h (15)', color: '#FFB020' },
+  { value: 45, label: 'WHO PM10 24h (45)', color: '#FF6262' },
+];
+
+const CHARTS = [
+  { id: 'temperature', title: 'Temperature', unit: '°C', series: [{ key: 'temperature', label: 'Temperature', color: '#FF6262' }] },
+  { id: 'humidity', title: 'Humidity', unit: '%', area: true, series: [{ key: 'humidity', label: 'Humidity', color: '#A4ACB5' }] },
+  { id: 'voc', title: 'VOC Index', unit: '', series: [{ key: 'vocIndex', label: 'VOC Index', color: '#2FB728' }] },
+  {
+    id: 'pm',
+    title: 'Particulate Matter',
+    unit: 'μg/m³',
+    guidelines: WHO_PM_GUIDELINES,
+    series: [
+      { key: 'pm1', label: 'PM1.0', color: '#8FA2FF' },
+      { key: 'pm25', label: 'PM2.5', color: '#CCB954' },
+      { key: 'pm10', label: 'PM10', color: '#19C695' },
+    ],
+  },
+  { id: 'rainfall', title: 'Rainfall', unit: 'mm', area: true, series: [{ key: 'rainfall', label: 'Rainfall', color: '#8FA2FF' }] },
+  { id: 'windSpeed', title: 'Wind Speed', unit: 'm/s', area: true, series: [{ key: 'windSpeed', label: 'Wind Speed', color: '#19C695' }] },
+];
+
+// Flatten bucket statistics into the row shape recharts expects:
+// { time, pm25: mean, pm25Range: [min, max], ... }
+const toChartRows = (points) => points.map((point) => {
+  const row = { time: point.time };
+  CHARTS.forEach(({ series }) => {
+    series.forEach(({ key }) => {
+      const stats = point[key];
+      if (!stats || stats.mean === null) return;
+      row[key] = Math.round(stats.mean * 10) / 10;
+      row[`${key}Range`] = [stats.min, stats.max];
+    });
+  });
+  return row;
+});
+
+const MetricChart = ({ chart, rows, interval }) => {
+  const single = chart.series.length === 1;
+
+  return (
+    <div className="metric-chart">
+      <h3>{chart.title}{chart.unit && ` (${chart.unit})`}</h3>
+      <ResponsiveContainer width="100%" height={240}>
+        <ComposedChart data={rows} margin={{ top: 10, right: 20, bottom: 0, left: 0 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="rgba(255, 255, 255, 0.15)" />
+          <XAxis
+            dataKey="time"
+            type="number"
+            scale="time"
+            domain={['dataMin', 'dataMax']}
+            tickFormatter={(time) => formatBucketTime(time, interval)}
+            stroke="#ccc"
+            fontSize={12}
+          />
+          <YAxis stroke="#ccc" fontSize={12} width={45} />
+          <Tooltip
+            labelFormatter={(time) => new Date(time).toLocaleString()}
+            formatter={(value, name) => (Array.isArray(value) ? [`${value[0]} – ${value[1]}`, name] : [value, name])}
+            contentStyle={{ background: '#222', border: 'none', color: 'white' }}
+          />
+          {!single && <Legend />}
+          {/* For single-metric charts, shade the min-max spread of each bucket behind the mean */}
+          {single && (
+            <Area
+              dataKey={`${chart.series[0].key}Range`}
+              name="Min – max"
+              stroke="none"
+              fill={chart.series[0].color}
+              fillOpacity={0.15}
+              isAnimationActive={false}
+            />
+          )}
+          {chart.series.map(({ key, label, color }) => (chart.area ? (
+            <Area
+              key={key}
+              dataKey={key}
+              name={label}
+              stroke={color}
+              fill={color}
+              fillOpacity={0.3}
+              dot={false}
+              isAnimationActive={false}
+            />
+          ) : (
+            <Line
+              key={key}
+              dataKey={key}
+              name={label}
+              stroke={color}
+              strokeWidth={2}
+              dot={false}
+              isAnimationActive={false}
+            />
+          )))}
+          {chart.guidelines?.map((guideline) => (
+            <ReferenceLine
+              key={guideline.value}
+              y={guideline.value}
+              stroke={guideline.color}
+              strokeDasharray="6 4"
+              label={{ value: guideline.label, fill: guideline.color, fontSize: 11, position: 'insideTopRight' }}
+            />
+          ))}
+        </ComposedChart>
+      </ResponsiveContainer>
+    </div>
+  );
+};
+
+MetricChart.propTypes = {
+  chart: PropTypes.shape({
+    title: PropTypes.string.isRequired,
+    unit: PropTypes.string,
+    area: PropTypes.bool,
+    series: PropTypes.arrayOf(PropTypes.shape({
+      key: PropTypes.string.isRequired,
+      label: PropTypes.string.isRequired,
+      color: PropTypes.string.isRequired,
+    })).isRequired,
+    guidelines: PropTypes.arrayOf(PropTypes.shape({
+      value: PropTypes.number.isRequired,
+      label: PropTypes.string.isRequired,
+      color: PropTypes.string.isRequired,
+    })),
+  }).isRequired,
+  rows: PropTypes.arrayOf(PropTypes.object).isRequired,
+  interval: PropTypes.string,
+};
+
+// Time-series charts for every metric, with a range picker
+const MetricCharts = ({ range, onRangeChange, deviceId }) => {
+  const { points, interval, loading, error } = useMetricHistory(range, deviceId);
+  const rows = useMemo(() => toChartRows(points), [points]);
+
+  return (
+    <div className="metric-charts">
+      <RangeSelector value={range} onChange={onRangeChange} />
+      {error && <div className="metric-charts-message">{error}</div>}
+      {!error && loading && rows.length === 0 && <div className="metric-charts-message">Loading charts...</div>}
+      {!error && !loading && rows.length === 0 && (
+        <div className="metric-charts-message">No readings in this period.</div>
+      )}
+      {rows.length > 0 && (
+        <div className="metric-chart-grid">
+          {CHARTS.map((chart) => (
+            <MetricChart key={chart.id} chart={chart} rows={rows} interval={interval} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+MetricCharts.propTypes = {
+  range: rangeSelectionPropType.isRequired,
+  onRangeChange: PropTypes.func.isRequired,
+  deviceId: PropTypes.string,
+};
+
+export default MetricCharts;
@@ -0,0 +1,61 @@
+import PropTypes from "prop-types";
+import { TIME_RANGES, rangeSelectionPropType, toDateTimeLocal } from "../utils/timeRanges";
+import "./RangeSelector.css";
+
+const HOUR = 60 * 60 * 1000;
+
+// Preset and custom time range picker shared by the charts and wind rose
+const RangeSelector = ({ value, onChange }) => {
+  const selectPreset = (id) => {
+    if (id === 'custom') {
+      const end = Date.now();
+      onChange({ id, start: toDateTimeLocal(end - 24 * HOUR), end: toDateTimeLocal(end) });
+    } else {
+      onChange({ id });
+    }
+  };
+
+  return (
+    <div className="range-selector">
+      <div className="range-buttons">
+        {TIME_RANGES.map((range) => (
+          <button
+            key={range.id}
+            type="button"
+            className={`range-button${value.id === range.id ? ' active' : ''}`}
+            onClick={() => selectPreset(range.id)}
+          >
+            {range.label}
+          </button>
+        ))}
+      </div>
+      {value.id === 'custom' && (
+        <div className="range-custom">
+          <label>
+            From
+            <input
+              type="datetime-local"
+              value={value.start}
+              onChange={(e) => onChange({ ...value, start: e.target.value })}
+            />
+          </label>
+          <label>
+            To
+            <input
+              type="datetime-local"
+              value={value.end}
+              onChange={(e) => onChange({ ...value, end: e.target.value })}
+            />
+          </label>
+        </div>
+      )}
+    </div>
+  );
+};
+
+RangeSelector.propTypes = {
+  value: rangeSelectionPropType.isRequired,
+  onChange: PropTypes.func.isRequired,
+};
+
+export default RangeSelector;
@@ -0,0 +1,276 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import PropTypes from "prop-types";
+import { MapContainer, TileLayer, Marker, Popup } from "react-leaflet";
+import MarkerClusterGroup from "react-leaflet-cluster";
+import L from "leaflet";
+import { api } from "../api/client";
+import { aqiStandardPropType, readingAqi } from "../aqi/standards";
+import HeatmapLayer from "./HeatmapLayer";
+import "./StationMap.css";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// The newest reading of a station, with its registered name, as served by
+// /api/latest/devices
+const stationPropType = PropTypes.shape({
+  deviceId: PropTypes.string.isRequired,
+  deviceName: PropTypes.string,
+  timestamp: PropTypes.string,
+  temperature: PropTypes.number,
+  humidity: PropTypes.number,
+  vocIndex: PropTypes.number,
+  pm1: PropTypes.number,
+  pm25: PropTypes.number,
+  pm10: PropTypes.number,
+  location: PropTypes.shape({
+    latitude: PropTypes.number,
+    longitude: PropTypes.number,
+  }),
+  aqi: PropTypes.number,
+});
+
+const stationPosition = (station) => (
+  station.location && typeof station.location.latitude === 'number' && typeof station.location.longitude === 'number'
+    ? [station.location.latitude, station.location.longitude]
+    : null
+);
+
+const markerIcon = (label, color) => L.divIcon({
+  className: 'station-marker-icon',
+  html: `<span class="station-marker" style="background:${color}">${label}</span>`,
+  iconSize: [34, 34],
+  iconAnchor: [17, 17],
+  popupAnchor: [0, -17],
+});
+
+// Clusters take the colour of their worst station. Markers carry their
+// category index as the aqiRank option.
+const clusterIcon = (categories) => (cluster) => {
+  const worst = Math.max(...cluster.getAllChildMarkers().map((marker) => marker.options.aqiRank ?? -1));
+  const color = worst >= 0 ? categories[worst].color : '#9e9e9e';
+  return L.divIcon({
+    className: 'station-marker-icon',
+    html: `<span class="station-cluster" style="background:${color}">${cluster.getChildCount()}</span>`,
+    iconSize: [40, 40],
+  });
+};
+
+// PM2.5 over the last 24 hours, hourly means
+const Sparkline = ({ deviceId }) => {
+  const [values, setValues] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    api.get('/api/aggregate', {
+      params: {
+        interval: 'hour',
+        deviceId,
+        fields: 'pm25',
+        startDate: new Date(Date.now() - 24 * HOUR_MS).toISOString(),
+      },
+    })
+      .then((res) => {
+        if (cancelled) return;
+        setValues(res.data.buckets.map((bucket) => bucket.metrics.pm25?.mean).filter((value) => typeof value === 'number'));
+      })
+      .catch(() => {
+        if (!cancelled) setValues([]);
+      });
+    return () => { cancelled = true; };
+  }, [deviceId]);
+
+  if (values === null) return <div className="sparkline-empty">Loading 24h trend…</div>;
+  if (values.length < 2) return <div className="sparkline-empty">Not enough data for a 24h trend</div>;
+
+  const width = 180;
+  const height = 40;
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const span = max - min || 1;
+  const points = values.map((value, i) => (
+    `${(i / (values.length - 1)) * width},${height - ((value - min) / span) * (height - 4) - 2}`
+  )).join(' ');
+
+  return (
+    <div className="sparkline">
+      <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`}>
+        <polyline points={points} fill="none" stroke="#3182bd" strokeWidth="2" />
+      </svg>
+      <div className="sparkline-caption">
+        PM2.5 last 24h: {min.toFixed(1)}–{max.toFixed(1)} μg/m³
+      </div>
+    </div>
+  );
+};
+
+Sparkline.propTypes = {
+  deviceId: PropTypes.string.isRequired,
+};
+
+export const AirQualityPopup = ({ marker, aqiResult, standard }) => (
+  <div>
+    <h4>{marker.deviceName || marker.deviceId || 'Air Quality Details'}</h4>
+    <div className="popup-data">
+      {aqiResult && aqiResult.value !== null && (
+        <p>
+          <strong>{standard.shortName}:</strong> {aqiResult.value} ({aqiResult.category.label})
+        </p>
+      )}
+      <p><strong>Temperature:</strong> {marker.temperature}°C</p>
+      <p><strong>Humidity:</strong> {marker.humidity}%</p>
+      <p><strong>VOC index:</strong> {marker.vocIndex}</p>
+      <p><strong>PM2.5:</strong> {marker.pm25} μg/m³</p>
+      <p><strong>PM10:</strong> {marker.pm10} μg/m³</p>
+      <p><strong>PM1:</strong> {marker.pm1} μg/m³</p>
+      <p><strong>Last Updated:</strong> {new Date(marker.timestamp).toLocaleString()}</p>
+    </div>
+    {marker.deviceId && <Sparkline deviceId={marker.deviceId} />}
+  </div>
+);
+
+AirQualityPopup.propTypes = {
+  marker: stationPropType.isRequired,
+  aqiResult: PropTypes.shape({
+    value: PropTypes.number,
+    category: PropTypes.shape({ label: PropTypes.string }),
+  }),
+  standard: aqiStandardPropType.isRequired,
+};
+
+const Legend = ({ standard }) => (
+  <div className="station-legend">
+    <div className="station-legend-title">{standard.shortName}</div>
+    {standard.categories.map((category) => (
+      <div key={category.label} className="station-legend-row">
+        <span className="station-legend-swatch" style={{ background: category.color }} />
+        {category.label} <span className="station-legend-range">{category.range}</span>
+      </div>
+    ))}
+  </div>
+);
+
+Legend.propTypes = {
+  standard: aqiStandardPropType.isRequired,
+};
+
+const HEATMAP_METRICS = [
+  { id: 'pm25', label: 'PM2.5' },
+  { id: 'pm10', label: 'PM10' },
+  { id: 'aqi', label: 'AQI (US EPA)' },
+];
+
+const HEATMAP_STATUS = {
+  loading: 'Interpolating…',
+  empty: 'No stations reported in this hour',
+  error: 'Could not load the heatmap',
+};
+
+const HeatmapControls = ({ heatmap, onChange, status }) => (
+  <div className="heatmap-controls">
+    <label className="heatmap-toggle">
+      <input
+        type="checkbox"
+        checked={heatmap.enabled}
+        onChange={(e) => onChange({ ...heatmap, enabled: e.target.checked })}
+      />
+      Heatmap
+    </label>
+    {heatmap.enabled && (
+      <>
+        <select value={heatmap.metric} onChange={(e) => onChange({ ...heatmap, metric: e.target.value })}>
+          {HEATMAP_METRICS.map((metric) => (
+            <option key={metric.id} value={metric.id}>{metric.label}</option>
+          ))}
+        </select>
+        <input
+          type="range"
+          min={0}
+          max={24}
+          step={1}
+          // Slider runs left to right from 24h ago to now
+          value={24 - heatmap.hoursAgo}
+          onChange={(e) => onChange({ ...heatmap, hoursAgo: 24 - Number(e.target.value) })}
+        />
+        <div className="heatmap-time">
+          {heatmap.hoursAgo === 0 ? 'Now' : `${heatmap.hoursAgo}h ago`}
+        </div>
+        {HEATMAP_STATUS[status] && <div className="heatmap-status">{HEATMAP_STATUS[status]}</div>}
+      </>
+    )}
+  </div>
+);
+
+HeatmapControls.propTypes = {
+  heatmap: PropTypes.shape({
+    enabled: PropTypes.bool.isRequired,
+    metric: PropTypes.oneOf(HEATMAP_METRICS.map((metric) => metric.id)).isRequired,
+    hoursAgo: PropTypes.number.isRequired,
+  }).isRequired,
+  onChange: PropTypes.func.isRequired,
+  status: PropTypes.oneOf(['loading', 'ready', 'empty', 'error']),
+};
+
+// One marker per station, coloured by its current AQI category under the
+// selected standard, clustered when zoomed out
+const StationMap = ({ stations, center, standard, className }) => {
+  const markers = useMemo(() => stations
+    .map((station) => {
+      const position = stationPosition(station);
+      if (!position) return null;
+      const aqiResult = readingAqi(standard, station);
+      const rank = aqiResult.value === null ? -1 : standard.categories.indexOf(aqiResult.category);
+      return {
+        station,
+        position,
+        aqiResult,
+        rank,
+        icon: markerIcon(aqiResult.value ?? '–', rank >= 0 ? aqiResult.category.color : '#9e9e9e'),
+      };
+    })
+    .filter(Boolean), [stations, standard]);
+
+  const iconCreateFunction = useMemo(() => clusterIcon(standard.categories), [standard]);
+  const [heatmap, setHeatmap] = useState({ enabled: false, metric: 'pm25', hoursAgo: 0 });
+  const [heatmapStatus, setHeatmapStatus] = useState(null);
+  const onHeatmapStatus = useCallback((status) => setHeatmapStatus(status), []);
+
+  return (
+    <div className="station-map">
+      <MapContainer center={center} zoom={13} className={className} zoomControl={false}>
+        <TileLayer
+          url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+          attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+        />
+        {heatmap.enabled && (
+          <HeatmapLayer
+            metric={heatmap.metric}
+            hoursAgo={heatmap.hoursAgo}
+            standard={standard}
+            onStatus={onHeatmapStatus}
+          />
+        )}
+        {/* Keyed by standard so clusters are recoloured when it changes */}
+        <MarkerClusterGroup key={standard.id} chunkedLoading iconCreateFunction={iconCreateFunction} maxClusterRadius={50}>
+          {markers.map(({ station, position, aqiResult, rank, icon }) => (
+            <Marker key={station.deviceId} position={position} icon={icon} aqiRank={rank}>
+              <Popup>
+                <AirQualityPopup marker={station} aqiResult={aqiResult} standard={standard} />
+              </Popup>
+            </Marker>
+          ))}
+        </MarkerClusterGroup>
+      </MapContainer>
+      <Legend standard={standard} />
+      <HeatmapControls heatmap={heatmap} onChange={setHeatmap} status={heatmapStatus} />
+    </div>
+  );
+};
+
+StationMap.propTypes = {
+  stations: PropTypes.arrayOf(stationPropType).isRequired,
+  center: PropTypes.arrayOf(PropTypes.number).isRequired,
+  standard: aqiStandardPropType.isRequired,
+  className: PropTypes.string,
+};
+
+export default StationMap;
@@ -0,0 +1,197 @@
+import { useEffect, useMemo, useState } from "react";
+import PropTypes from "prop-types";
+import { useSearchParams } from "react-router-dom";
+import { MapContainer, TileLayer, Polyline, CircleMarker, Tooltip, useMap } from "react-leaflet";
+import { Download, Pause, Play } from "lucide-react";
+import { api, API_URL } from "../api/client";
+import { aqiStandardPropType } from "../aqi/standards";
+import "./TripViewer.css";
+
+const TICK_MS = 200;
+const SPEEDS = [1, 5, 20, 60];
+const NO_DATA_COLOR = '#9e9e9e';
+
+const formatDuration = (ms) => {
+  const minutes = Math.round(ms / 60000);
+  return minutes < 60 ? `${minutes} min` : `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+};
+
+// Zoom to the route whenever a different trip is shown
+const FitRoute = ({ points }) => {
+  const map = useMap();
+  useEffect(() => {
+    if (points.length > 0) {
+      map.fitBounds(points.map((point) => [point.latitude, point.longitude]), { padding: [30, 30] });
+    }
+  }, [map, points]);
+  return null;
+};
+
+FitRoute.propTypes = {
+  points: PropTypes.arrayOf(PropTypes.shape({
+    latitude: PropTypes.number.isRequired,
+    longitude: PropTypes.number.isRequired,
+  })).isRequired,
+};
+
+// Recorded routes of mobile sensors. The route is drawn one segment per pair
+// of readings, coloured by the PM2.5 category of the later one, and can be
+// played back at up to 60× real time.
+const TripViewer = ({ aqiStandard }) => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const tripId = searchParams.get('trip');
+  const [trips, setTrips] = useState([]);
+  const [trip, setTrip] = useState(null);
+  const [error, setError] = useState(null);
+  const [position, setPosition] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(SPEEDS[1]);
+
+  useEffect(() => {
+    api.get('/api/trips')
+      .then((res) => setTrips(res.data))
+      .catch((err) => {
+        console.error('Error fetching trips:', err);
+        setError('Could not load trips');
+      });
+  }, []);
+
+  useEffect(() => {
+    setPlaying(false);
+    setPosition(0);
+    if (!tripId) {
+      setTrip(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    api.get(`/api/trips/${tripId}`)
+      .then((res) => {
+        if (!cancelled) setTrip(res.data);
+      })
+      .catch((err) => {
+        console.error('Error fetching trip:', err);
+        if (!cancelled) setError('Could not load this trip');
+      });
+    return () => { cancelled = true; };
+  }, [tripId]);
+
+  const points = useMemo(() => (trip ? trip.points : []), [trip]);
+
+  const segments = useMemo(() => points.slice(1).map((point, i) => {
+    const result = typeof point.pm25 === 'number' ? aqiStandard.compute({ pm25: point.pm25 }) : null;
+    return {
+      positions: [[points[i].latitude, points[i].longitude], [point.latitude, point.longitude]],
+      color: result && result.value !== null ? result.category.color : NO_DATA_COLOR,
+    };
+  }), [points, aqiStandard]);
+
+  // Playback follows the readings' own timestamps, compressed by `speed`
+  useEffect(() => {
+    if (!playing || points.length < 2) return undefined;
+    const start = new Date(points[0].timestamp).getTime();
+    const timer = setInterval(() => {
+      setPosition((index) => {
+        const target = new Date(points[index].timestamp).getTime() - start + TICK_MS * speed;
+        let next = index;
+        while (next < points.length - 1 && new Date(points[next + 1].timestamp).getTime() - start <= target) next++;
+        if (next === index && index < points.length - 1) next++;
+        return next;
+      });
+    }, TICK_MS);
+    return () => clearInterval(timer);
+  }, [playing, points, speed]);
+
+  useEffect(() => {
+    if (playing && position >= points.length - 1) setPlaying(false);
+  }, [playing, position, points]);
+
+  const togglePlaying = () => {
+    if (!playing && position >= points.length - 1) setPosition(0);
+    setPlaying(!playing);
+  };
+
+  const current = points[position];
+
+  return (
+    <div className="trip-viewer">
+      <aside className="trip-list">
+        <h3>Trips</h3>
+        {error && <div className="trip-message">{error}</div>}
+        {trips.length === 0 && !error && <div className="trip-message">No trips recorded yet</div>}
+        {trips.map((item) => (
+          <button
+            type="button"
+            key={item._id}
+            className={`trip-list-item${item._id === tripId ? ' active' : ''}`}
+            onClick={() => setSearchParams({ trip: item._id })}
+          >
+            <strong>{item.name || item.deviceId}</strong>
+            <span>{new Date(item.startedAt).toLocaleString()}</span>
+            <span>
+              {item.distanceKm.toFixed(1)} km · {formatDuration(new Date(item.endedAt) - new Date(item.startedAt))}
+              {item.pm25 && item.pm25.mean !== null && ` · PM2.5 ${item.pm25.mean} μg/m³`}
+            </span>
+          </button>
+        ))}
+      </aside>
+
+      <section className="trip-detail">
+        <MapContainer center={[6.791164, 79.900497]} zoom={13} className="trip-map">
+          <TileLayer
+            url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+            attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+          />
+          <FitRoute points={points} />
+          {segments.map((segment, i) => (
+            <Polyline key={i} positions={segment.positions} pathOptions={{ color: segment.color, weight: 5 }} />
+          ))}
+          {current && (
+            <CircleMarker
+              center={[current.latitude, current.longitude]}
+              radius={8}
+              pathOptions={{ color: '#fff', weight: 2, fillColor: '#3182bd', fillOpacity: 1 }}
+            >
+              <Tooltip permanent direction="top" offset={[0, -8]}>
+                {typeof current.pm25 === 'number' ? `PM2.5 ${current.pm25} μg/m³` : 'No PM2.5'}
+              </Tooltip>
+            </CircleMarker>
+          )}
+        </MapContainer>
+
+        {!trip && <div className="trip-message">Pick a trip to see its route</div>}
+        {trip && points.length === 0 && <div className="trip-message">This trip has no GPS positions</div>}
+        {trip && points.length > 0 && (
+          <div className="trip-controls">
+            <button type="button" onClick={togglePlaying} title={playing ? 'Pause' : 'Play'}>
+              {playing ? <Pause size={16} /> : <Play size={16} />}
+            </button>
+            <input
+              type="range"
+              min={0}
+              max={points.length - 1}
+              value={position}
+              onChange={(e) => setPosition(Number(e.target.value))}
+            />
+            <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))}>
+              {SPEEDS.map((option) => <option key={option} value={option}>{option}×</option>)}
+            </select>
+            <span className="trip-time">{new Date(current.timestamp).toLocaleTimeString()}</span>
+            <a href={`${API_URL}/api/trips/${trip._id}/export?format=gpx`} download>
+              <Download size={14} /> GPX
+            </a>
+            <a href={`${API_URL}/api/trips/${trip._id}/export?format=geojson`} download>
+              <Download size={14} /> GeoJSON
+            </a>
+          </div>
+        )}
+      </section>
+    </div>
+  );
+};
+
+TripViewer.propTypes = {
+  aqiStandard: aqiStandardPropType.isRequired,
+};
+
+export default TripViewer;
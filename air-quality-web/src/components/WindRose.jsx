@@ -0,0 +1,194 @@
+import { useEffect, useState } from "react";
+import PropTypes from "prop-types";
+import RangeSelector from "./RangeSelector";
+import { api } from "../api/client";
+import { getStandard } from "../aqi/standards";
+import { rangeSelectionPropType, resolveRange } from "../utils/timeRanges";
+import "./WindRose.css";
+
+const SIZE = 320;
+const CENTER = SIZE / 2;
+const MAX_RADIUS = 130;
+const SECTOR_DEGREES = 360 / 16;
+// Leave a small gap between neighbouring sectors
+const SECTOR_GAP_DEGREES = 2;
+
+const SPEED_COLORS = ['#c6dbef', '#9ecae1', '#6baed6', '#3182bd', '#08519c', '#54278f'];
+
+// Pollution rose sectors are coloured by mean PM2.5 on the US EPA scale
+const pm25Color = (pm25) => (pm25 === null ? '#555' : getStandard('us-epa').compute({ pm25 }).category.color);
+
+const polar = (radius, degrees) => {
+  // 0° is north, measured clockwise
+  const radians = ((degrees - 90) * Math.PI) / 180;
+  return [CENTER + radius * Math.cos(radians), CENTER + radius * Math.sin(radians)];
+};
+
+const wedgePath = (innerRadius, outerRadius, centerDegrees) => {
+  const half = (SECTOR_DEGREES - SECTOR_GAP_DEGREES) / 2;
+  const [x1, y1] = polar(outerRadius, centerDegrees - half);
+  const [x2, y2] = polar(outerRadius, centerDegrees + half);
+  const [x3, y3] = polar(innerRadius, centerDegrees + half);
+  const [x4, y4] = polar(innerRadius, centerDegrees - half);
+  return [
+    `M ${x1} ${y1}`,
+    `A ${outerRadius} ${outerRadius} 0 0 1 ${x2} ${y2}`,
+    `L ${x3} ${y3}`,
+    `A ${innerRadius} ${innerRadius} 0 0 0 ${x4} ${y4}`,
+    'Z',
+  ].join(' ');
+};
+
+const speedLabel = (bin) => (bin.max === null ? `≥ ${bin.min} m/s` : `${bin.min}–${bin.max} m/s`);
+
+// Wind rose (frequency by direction, stacked by speed) with a pollution rose
+// variant that colours each direction by its mean PM2.5
+const WindRose = ({ range, onRangeChange, deviceId }) => {
+  const [mode, setMode] = useState('wind');
+  const [rose, setRose] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const resolved = resolveRange(range);
+    if (!resolved) return undefined;
+
+    let cancelled = false;
+    setLoading(true);
+    api.get('/api/aggregate/wind-rose', {
+      params: {
+        startDate: resolved.start.toISOString(),
+        endDate: resolved.end.toISOString(),
+        deviceId: deviceId || undefined,
+      },
+    })
+      .then((response) => {
+        if (cancelled) return;
+        setRose(response.data);
+        setError(null);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error('Error fetching wind rose:', err);
+        setError('Could not load wind data from the server.');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => { cancelled = true; };
+  }, [range, deviceId]);
+
+  const maxFrequency = rose ? Math.max(...rose.sectors.map((sector) => sector.frequency), 0) : 0;
+  const scale = (frequency) => (maxFrequency > 0 ? (frequency / maxFrequency) * MAX_RADIUS : 0);
+  const rings = [0.25, 0.5, 0.75, 1];
+
+  return (
+    <div className="wind-rose">
+      <RangeSelector value={range} onChange={onRangeChange} />
+      <div className="wind-rose-modes">
+        <button
+          type="button"
+          className={`range-button${mode === 'wind' ? ' active' : ''}`}
+          onClick={() => setMode('wind')}
+        >
+          Wind rose
+        </button>
+        <button
+          type="button"
+          className={`range-button${mode === 'pollution' ? ' active' : ''}`}
+          onClick={() => setMode('pollution')}
+        >
+          Pollution rose (PM2.5)
+        </button>
+      </div>
+
+      {error && <div className="wind-rose-message">{error}</div>}
+      {!error && loading && !rose && <div className="wind-rose-message">Loading wind data...</div>}
+      {!error && rose && rose.total === 0 && <div className="wind-rose-message">No wind readings in this period.</div>}
+
+      {!error && rose && rose.total > 0 && (
+        <div className="wind-rose-body">
+          <svg viewBox={`0 0 ${SIZE} ${SIZE}`} className="wind-rose-svg" role="img" aria-label="Wind rose">
+            {rings.map((ring) => (
+              <g key={ring}>
+                <circle cx={CENTER} cy={CENTER} r={ring * MAX_RADIUS} className="wind-rose-ring" />
+                <text x={CENTER + 3} y={CENTER - ring * MAX_RADIUS + 10} className="wind-rose-ring-label">
+                  {(ring * maxFrequency).toFixed(1)}%
+                </text>
+              </g>
+            ))}
+
+            {rose.sectors.map((sector, i) => {
+              const angle = i * SECTOR_DEGREES;
+              if (mode === 'pollution') {
+                if (sector.count === 0) return null;
+                return (
+                  <path
+                    key={sector.direction}
+                    d={wedgePath(0, scale(sector.frequency), angle)}
+                    fill={pm25Color(sector.meanPm25)}
+                    className="wind-rose-wedge"
+                  >
+                    <title>{`${sector.direction}: ${sector.frequency}% of readings, mean PM2.5 ${sector.meanPm25} μg/m³`}</title>
+                  </path>
+                );
+              }
+
+              let inner = 0;
+              return sector.bins.map((bin, binIndex) => {
+                if (bin.count === 0) return null;
+                const outer = inner + scale(bin.frequency);
+                const path = wedgePath(inner, outer, angle);
+                inner = outer;
+                return (
+                  <path key={`${sector.direction}-${bin.min}`} d={path} fill={SPEED_COLORS[binIndex]} className="wind-rose-wedge">
+                    <title>{`${sector.direction} ${speedLabel(bin)}: ${bin.frequency}%`}</title>
+                  </path>
+                );
+              });
+            })}
+
+            {['N', 'E', 'S', 'W'].map((label, i) => {
+              const [x, y] = polar(MAX_RADIUS + 14, i * 90);
+              return (
+                <text key={label} x={x} y={y} className="wind-rose-compass" textAnchor="middle" dominantBaseline="middle">
+                  {label}
+                </text>
+              );
+            })}
+          </svg>
+
+          <div className="wind-rose-legend">
+            {mode === 'wind' ? (
+              rose.sectors[0].bins.map((bin, i) => (
+                <div key={bin.min} className="wind-rose-legend-item">
+                  <span className="wind-rose-swatch" style={{ background: SPEED_COLORS[i] }} />
+                  {speedLabel(bin)}
+                </div>
+              ))
+            ) : (
+              getStandard('us-epa').categories.map((category) => (
+                <div key={category.label} className="wind-rose-legend-item">
+                  <span className="wind-rose-swatch" style={{ background: category.color }} />
+                  {category.label}
+                </div>
+              ))
+            )}
+            <div className="wind-rose-legend-note">
+              Calm (&lt; {rose.speedBins[0]} m/s): {rose.calm.frequency}% · {rose.total} readings
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+WindRose.propTypes = {
+  range: rangeSelectionPropType.isRequired,
+  onRangeChange: PropTypes.func.isRequired,
+  deviceId: PropTypes.string,
+};
+
+export default WindRose;
@@ -0,0 +1,228 @@
+import { useCallback, useEffect, useState } from "react";
+import PropTypes from "prop-types";
+import { MapContainer, TileLayer, Polygon, Polyline, CircleMarker, Tooltip, useMapEvents } from "react-leaflet";
+import { Pencil, Trash2 } from "lucide-react";
+import { createZone, deleteZone, fetchZoneSummaries, toLatLngs, toPolygon } from "../api/zones";
+import { getStandard } from "../aqi/standards";
+import AdminTokenField from "./AdminTokenField";
+import "./ZonesPage.css";
+
+const REFRESH_MS = 5 * 60 * 1000;
+const NO_DATA_COLOR = '#9e9e9e';
+
+// Zone AQI comes from the backend and is always US EPA
+const { categories } = getStandard('us-epa');
+const categoryFor = (aqi) => (
+  aqi === null || aqi === undefined
+    ? null
+    : categories.find((category) => aqi <= category.max) || categories[categories.length - 1]
+);
+
+const errorMessage = (err, fallback) => err.response?.data?.error || fallback;
+
+// Collects polygon vertices from map clicks while drawing
+const DrawHandler = ({ onPoint }) => {
+  useMapEvents({
+    click: (e) => onPoint([e.latlng.lat, e.latlng.lng]),
+  });
+  return null;
+};
+
+DrawHandler.propTypes = {
+  onPoint: PropTypes.func.isRequired,
+};
+
+const AqiBadge = ({ aqi, label }) => {
+  const category = categoryFor(aqi);
+  return (
+    <div className="zone-aqi" style={{ background: category ? category.color : NO_DATA_COLOR }}>
+      <span className="zone-aqi-value">{category ? aqi : '–'}</span>
+      <span className="zone-aqi-label">{label}</span>
+    </div>
+  );
+};
+
+AqiBadge.propTypes = {
+  aqi: PropTypes.number,
+  label: PropTypes.string.isRequired,
+};
+
+const hourlyPropType = PropTypes.arrayOf(PropTypes.shape({
+  hour: PropTypes.string.isRequired,
+  aqi: PropTypes.number,
+}));
+
+const HourlyBars = ({ hourly }) => {
+  const values = hourly.filter((row) => row.aqi !== null);
+  if (values.length === 0) return null;
+  const max = Math.max(...values.map((row) => row.aqi), 50);
+  return (
+    <div className="zone-hourly" title="Hourly AQI, last 24h">
+      {values.map((row) => (
+        <span
+          key={row.hour}
+          style={{ height: `${(row.aqi / max) * 100}%`, background: categoryFor(row.aqi).color }}
+          title={`${new Date(row.hour).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}: ${row.aqi}`}
+        />
+      ))}
+    </div>
+  );
+};
+
+HourlyBars.propTypes = {
+  hourly: hourlyPropType.isRequired,
+};
+
+const ZoneCard = ({ zone, onDelete }) => (
+  <div className="zone-card">
+    <div className="zone-card-header">
+      <h4>{zone.name}</h4>
+      {onDelete && (
+        <button type="button" onClick={() => onDelete(zone)} title="Delete zone"><Trash2 size={14} /></button>
+      )}
+    </div>
+    {zone.description && <p className="zone-description">{zone.description}</p>}
+    <div className="zone-aqi-row">
+      <AqiBadge aqi={zone.current?.aqi} label="Now" />
+      <AqiBadge aqi={zone.last24h?.aqi} label="24h" />
+      {zone.last24h?.peakHourlyAqi !== null && zone.last24h?.peakHourlyAqi !== undefined && (
+        <div className="zone-peak">Peak hour: {zone.last24h.peakHourlyAqi}</div>
+      )}
+    </div>
+    <HourlyBars hourly={zone.hourly} />
+    <div className="zone-stations">
+      {zone.stations.length > 0
+        ? `Stations: ${zone.stations.map((station) => station.name || station.deviceId).join(', ')}`
+        : 'No fixed stations'}
+      {zone.mobileDevices.length > 0 && ` · ${zone.mobileDevices.length} mobile sensor(s) passed through`}
+    </div>
+  </div>
+);
+
+ZoneCard.propTypes = {
+  zone: PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    description: PropTypes.string,
+    current: PropTypes.shape({ aqi: PropTypes.number }),
+    last24h: PropTypes.shape({
+      aqi: PropTypes.number,
+      peakHourlyAqi: PropTypes.number,
+    }),
+    hourly: hourlyPropType.isRequired,
+    stations: PropTypes.arrayOf(PropTypes.shape({
+      deviceId: PropTypes.string.isRequired,
+      name: PropTypes.string,
+    })).isRequired,
+    mobileDevices: PropTypes.arrayOf(PropTypes.string).isRequired,
+  }).isRequired,
+  onDelete: PropTypes.func,
+};
+
+// Named areas drawn on the map, coloured by their current US EPA AQI, with
+// a summary card each. Admins can draw new zones by clicking the outline.
+const ZonesPage = () => {
+  const [zones, setZones] = useState([]);
+  const [error, setError] = useState(null);
+  const [drawing, setDrawing] = useState(false);
+  const [points, setPoints] = useState([]);
+  const [name, setName] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const load = useCallback(() => {
+    fetchZoneSummaries()
+      .then((data) => {
+        setZones(data);
+        setError(null);
+      })
+      .catch((err) => setError(errorMessage(err, 'Could not load zones.')));
+  }, []);
+
+  useEffect(() => {
+    load();
+    const timer = setInterval(load, REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [load]);
+
+  const cancelDrawing = () => {
+    setDrawing(false);
+    setPoints([]);
+    setName('');
+  };
+
+  const save = async () => {
+    setBusy(true);
+    try {
+      await createZone({ name: name.trim(), geometry: toPolygon(points) });
+      cancelDrawing();
+      load();
+    } catch (err) {
+      setError(errorMessage(err, 'Could not save the zone.'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const remove = async (zone) => {
+    if (!window.confirm(`Delete zone "${zone.name}"?`)) return;
+    try {
+      await deleteZone(zone._id);
+      load();
+    } catch (err) {
+      setError(errorMessage(err, 'Could not delete the zone.'));
+    }
+  };
+
+  return (
+    <div className="zones-page">
+      <div className="zones-map-column">
+        <MapContainer center={[6.791164, 79.900497]} zoom={16} className={`zones-map${drawing ? ' drawing' : ''}`}>
+          <TileLayer
+            url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+            attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+          />
+          {zones.map((zone) => {
+            const category = categoryFor(zone.current?.aqi);
+            const color = category ? category.color : NO_DATA_COLOR;
+            return (
+              <Polygon key={zone._id} positions={toLatLngs(zone.geometry)} pathOptions={{ color, fillColor: color, fillOpacity: 0.35 }}>
+                <Tooltip sticky>
+                  {zone.name}: {category ? `AQI ${zone.current.aqi} (${category.label})` : 'no recent data'}
+                </Tooltip>
+              </Polygon>
+            );
+          })}
+          {drawing && <DrawHandler onPoint={(point) => setPoints((current) => [...current, point])} />}
+          {points.length > 1 && <Polyline positions={[...points, points[0]]} pathOptions={{ color: '#3182bd', dashArray: '6 4' }} />}
+          {points.map((point, i) => (
+            <CircleMarker key={i} center={point} radius={4} pathOptions={{ color: '#3182bd' }} />
+          ))}
+        </MapContainer>
+
+        <div className="zones-toolbar">
+          <AdminTokenField />
+          {!drawing && (
+            <button type="button" onClick={() => setDrawing(true)}><Pencil size={14} /> Draw zone</button>
+          )}
+          {drawing && (
+            <>
+              <span>{points.length < 3 ? `Click the map to add corners (${points.length}/3)` : `${points.length} corners`}</span>
+              <button type="button" disabled={points.length === 0} onClick={() => setPoints(points.slice(0, -1))}>Undo</button>
+              <input value={name} placeholder="Zone name" onChange={(e) => setName(e.target.value)} />
+              <button type="button" disabled={points.length < 3 || !name.trim() || busy} onClick={save}>Save</button>
+              <button type="button" onClick={cancelDrawing}>Cancel</button>
+            </>
+          )}
+        </div>
+        {error && <div className="zones-error">{error}</div>}
+      </div>
+
+      <div className="zones-list">
+        <h3>Zones</h3>
+        {zones.length === 0 && !error && <div className="zones-empty">No zones yet. Draw one on the map.</div>}
+        {zones.map((zone) => <ZoneCard key={zone._id} zone={zone} onDelete={remove} />)}
+      </div>
+    </div>
+  );
+};
+
+export default ZonesPage;
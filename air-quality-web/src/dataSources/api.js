@@ -0,0 +1,34 @@
+import { api } from '../api/client';
+import { onSensorData, onConnectionChange } from '../api/live';
+
+// Readings from air-quality-backend: REST for history, Socket.IO (or SSE as a
+// fallback, see api/live.js) for live updates
+const apiSource = {
+  id: 'api',
+  label: 'Air Aware API',
+
+  async getLatest({ deviceId } = {}) {
+    const res = await api.get('/api/latest', { params: deviceId ? { deviceId } : {} });
+    // The backend answers with a placeholder (no _id) before any data has arrived
+    return res.data && res.data._id ? res.data : null;
+  },
+
+  async getLatestByDevice() {
+    const res = await api.get('/api/latest/devices');
+    return res.data;
+  },
+
+  async getReadings({ page = 1, limit = 50, deviceId } = {}) {
+    const res = await api.get('/api/data', { params: { page, limit, ...(deviceId ? { deviceId } : {}) } });
+    return res.data;
+  },
+
+  subscribe(onReading, { deviceId } = {}) {
+    // The subscribe-ack carries the newest reading, which repaints after a reconnect
+    return onSensorData(onReading, { deviceIds: deviceId ? [deviceId] : null, includeLatest: true });
+  },
+
+  onConnectionChange,
+};
+
+export default apiSource;
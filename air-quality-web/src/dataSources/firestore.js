@@ -0,0 +1,130 @@
+import { assertFirebaseConfig, firebaseConfig } from '../firebase';
+
+// Readings from the Firestore `sensorReadings` collection, for deployments
+// that still write there. firebase is only loaded when this source is used.
+const COLLECTION = 'sensorReadings';
+
+let firestorePromise = null;
+
+const loadFirestore = () => {
+  if (!firestorePromise) {
+    firestorePromise = Promise.resolve()
+      .then(() => {
+        assertFirebaseConfig();
+        return Promise.all([import('firebase/app'), import('firebase/firestore')]);
+      })
+      .then(([{ initializeApp }, firestore]) => ({ ...firestore, db: firestore.getFirestore(initializeApp(firebaseConfig)) }));
+  }
+  return firestorePromise;
+};
+
+const toDate = (value) => {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate();
+  return new Date(value);
+};
+
+// Firestore documents are flat and use older field names; convert them to
+// the SensorData shape the backend serves
+const toReading = (doc) => {
+  const data = doc.data();
+  return {
+    _id: doc.id,
+    deviceId: data.deviceId || '',
+    timestamp: (toDate(data.timestamp) || new Date()).toISOString(),
+    location: {
+      latitude: data.location?.latitude ?? data.latitude,
+      longitude: data.location?.longitude ?? data.longitude,
+    },
+    temperature: data.temperature,
+    humidity: data.humidity,
+    vocIndex: data.vocIndex ?? data.voc,
+    vocRaw: data.vocRaw,
+    pm1: data.pm1,
+    pm25: data.pm25,
+    pm10: data.pm10,
+    rainfall: data.rainfall,
+    windSpeed: data.windSpeed,
+    windDirection: data.windDirection,
+    aqi: data.aqi,
+  };
+};
+
+const latestQuery = (fs, deviceId, count) => {
+  const constraints = [fs.orderBy('timestamp', 'desc'), fs.limit(count)];
+  if (deviceId) constraints.unshift(fs.where('deviceId', '==', deviceId));
+  return fs.query(fs.collection(fs.db, COLLECTION), ...constraints);
+};
+
+const firestoreSource = {
+  id: 'firestore',
+  label: 'Firestore',
+
+  async getLatest({ deviceId } = {}) {
+    const fs = await loadFirestore();
+    const snapshot = await fs.getDocs(latestQuery(fs, deviceId, 1));
+    return snapshot.empty ? null : toReading(snapshot.docs[0]);
+  },
+
+  // No per-device query without an index, so take the newest documents and
+  // keep the first of each device; stations quiet for longer are missed
+  async getLatestByDevice() {
+    const fs = await loadFirestore();
+    const snapshot = await fs.getDocs(latestQuery(fs, null, 500));
+    const latest = new Map();
+    snapshot.docs.map(toReading).forEach((reading) => {
+      if (!latest.has(reading.deviceId)) latest.set(reading.deviceId, reading);
+    });
+    return [...latest.values()];
+  },
+
+  // Firestore has no offsets, so earlier pages are read and skipped
+  async getReadings({ page = 1, limit = 50, deviceId } = {}) {
+    const fs = await loadFirestore();
+    const base = deviceId
+      ? fs.query(fs.collection(fs.db, COLLECTION), fs.where('deviceId', '==', deviceId))
+      : fs.collection(fs.db, COLLECTION);
+    const [snapshot, count] = await Promise.all([
+      fs.getDocs(latestQuery(fs, deviceId, page * limit)),
+      fs.getCountFromServer(base),
+    ]);
+    const total = count.data().count;
+    return {
+      data: snapshot.docs.slice((page - 1) * limit).map(toReading),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    };
+  },
+
+  subscribe(onReading, { deviceId } = {}) {
+    let unsubscribe = null;
+    let cancelled = false;
+    let first = true;
+
+    loadFirestore().then((fs) => {
+      if (cancelled) return;
+      unsubscribe = fs.onSnapshot(latestQuery(fs, deviceId, 1), (snapshot) => {
+        // The first snapshot is the current latest reading, not a new one
+        if (first) {
+          first = false;
+          return;
+        }
+        if (!snapshot.empty) onReading(toReading(snapshot.docs[0]));
+      });
+    }).catch((error) => {
+      console.error('Error subscribing to Firestore:', error);
+    });
+
+    return () => {
+      cancelled = true;
+      if (unsubscribe) unsubscribe();
+    };
+  },
+
+  // The Firestore SDK retries on its own and doesn't report its connection state
+  onConnectionChange(onChange) {
+    onChange('connected');
+    return () => {};
+  },
+};
+
+export default firestoreSource;
@@ -0,0 +1,51 @@
+import PropTypes from 'prop-types';
+import apiSource from './api';
+import firestoreSource from './firestore';
+
+// Where live readings come from, chosen per deployment with VITE_DATA_SOURCE
+// ('api' by default, or 'firestore'). Every source implements:
+//
+//   getLatest({ deviceId })              newest reading, or null
+//   getLatestByDevice()                  newest reading of every station
+//   getReadings({ page, limit, deviceId }) { data, pagination }, newest first
+//   subscribe(onReading, { deviceId })   new readings as they arrive; returns unsubscribe
+//   onConnectionChange(onChange)         'connecting' | 'connected' | 'disconnected'; returns unsubscribe
+//
+// Readings use the backend's SensorData shape. Charts, history, export and
+// alerts always need the API.
+const SOURCES = { api: apiSource, firestore: firestoreSource };
+
+// A reading as every source returns it, for components that take one as a prop
+export const readingPropType = PropTypes.shape({
+  _id: PropTypes.string,
+  deviceId: PropTypes.string,
+  timestamp: PropTypes.string,
+  temperature: PropTypes.number,
+  humidity: PropTypes.number,
+  vocIndex: PropTypes.number,
+  vocRaw: PropTypes.number,
+  pm1: PropTypes.number,
+  pm25: PropTypes.number,
+  pm10: PropTypes.number,
+  rainfall: PropTypes.number,
+  windSpeed: PropTypes.number,
+  windDirection: PropTypes.string,
+  location: PropTypes.shape({
+    latitude: PropTypes.number,
+    longitude: PropTypes.number,
+  }),
+  aqi: PropTypes.number,
+  aqiCategory: PropTypes.string,
+  dominantPollutant: PropTypes.string,
+});
+
+export const DATA_SOURCE_ID = import.meta.env.VITE_DATA_SOURCE || 'api';
+
+export const getDataSource = () => {
+  const source = SOURCES[DATA_SOURCE_ID];
+  if (!source) {
+    console.warn(`Unknown VITE_DATA_SOURCE "${DATA_SOURCE_ID}", using the API`);
+    return apiSource;
+  }
+  return source;
+};
@@ -1,21 +1,27 @@
-import firebase from "firebase/app";
-import "firebase/database";
-
-// Your Firebase configuration (replace with your actual Firebase config)
-const firebaseConfig = {
-  apiKey: "YOUR_API_KEY",
-  authDomain: "YOUR_AUTH_DOMAIN",
-  projectId: "YOUR_PROJECT_ID",
-  storageBucket: "YOUR_STORAGE_BUCKET",
-  messagingSenderId: "YOUR_MESSAGING_SENDER_ID",
-  appId: "YOUR_APP_ID",
-  databaseURL: "YOUR_DATABASE_URL", // Add this line for Firebase Realtime Database
+// Firebase project settings, from the deployment's VITE_FIREBASE_* variables
+// (e.g. in .env). The SDK itself is only loaded by the code that needs it
+// (src/dataSources/firestore.js).
+export const firebaseConfig = {
+  apiKey: import.meta.env.VITE_FIREBASE_API_KEY,
+  authDomain: import.meta.env.VITE_FIREBASE_AUTH_DOMAIN,
+  projectId: import.meta.env.VITE_FIREBASE_PROJECT_ID,
+  storageBucket: import.meta.env.VITE_FIREBASE_STORAGE_BUCKET,
+  messagingSenderId: import.meta.env.VITE_FIREBASE_MESSAGING_SENDER_ID,
+  appId: import.meta.env.VITE_FIREBASE_APP_ID,
 };
 
-// Initialize Firebase
-if (!firebase.apps.length) {
-  firebase.initializeApp(firebaseConfig);
-}
+// Settings Firestore can't connect without, by the variable that sets them
+const REQUIRED = {
+  apiKey: 'VITE_FIREBASE_API_KEY',
+  projectId: 'VITE_FIREBASE_PROJECT_ID',
+  appId: 'VITE_FIREBASE_APP_ID',
+};
 
-// Export the database object
-export const database = firebase.database();
\ No newline at end of file
+// Throws naming the missing variables, rather than letting the SDK fail on a
+// blank config later
+export const assertFirebaseConfig = () => {
+  const missing = Object.keys(REQUIRED).filter((key) => !firebaseConfig[key]);
+  if (missing.length > 0) {
+    throw new Error(`Firebase is not configured: set ${missing.map((key) => REQUIRED[key]).join(', ')}`);
+  }
+};
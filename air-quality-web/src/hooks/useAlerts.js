@@ -0,0 +1,102 @@
+import { useCallback, useEffect, useSyncExternalStore } from 'react';
+import { fetchAlertEvents, acknowledgeAlert, resolveAlert } from '../api/alerts';
+import { onAlert } from '../api/live';
+
+const DISMISSED_KEY = 'airAware.dismissedAlerts';
+const MAX_ALERTS = 50;
+
+// Alerts live outside React so every bell shares one fetch and one socket
+// listener, and the list survives page remounts.
+let state = { alerts: [], dismissed: loadDismissed(), loading: false, error: null, loaded: false };
+const listeners = new Set();
+let unsubscribeSocket = null;
+
+function loadDismissed() {
+  try {
+    return new Set(JSON.parse(localStorage.getItem(DISMISSED_KEY)) || []);
+  } catch {
+    return new Set();
+  }
+}
+
+const setState = (patch) => {
+  state = { ...state, ...patch };
+  listeners.forEach((listener) => listener());
+};
+
+// Newest first, one entry per alert id
+const upsert = (alerts, alert) => {
+  const rest = alerts.filter((existing) => existing._id !== alert._id);
+  return [alert, ...rest]
+    .sort((a, b) => new Date(b.openedAt) - new Date(a.openedAt))
+    .slice(0, MAX_ALERTS);
+};
+
+const load = async () => {
+  setState({ loading: true });
+  try {
+    const alerts = await fetchAlertEvents({ limit: MAX_ALERTS });
+    setState({ alerts, loading: false, error: null, loaded: true });
+  } catch (err) {
+    setState({ loading: false, error: err.response?.data?.error || 'Could not load alerts', loaded: true });
+  }
+};
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  if (!unsubscribeSocket) {
+    unsubscribeSocket = onAlert(({ alert }) => setState({ alerts: upsert(state.alerts, alert) }));
+  }
+  return () => listeners.delete(listener);
+};
+
+const getSnapshot = () => state;
+
+export const isActiveAlert = (alert) => alert.state === 'open' || alert.state === 'acknowledged';
+
+// Alert events from the backend, kept current over the socket
+export const useAlerts = () => {
+  const snapshot = useSyncExternalStore(subscribe, getSnapshot);
+
+  useEffect(() => {
+    if (!state.loaded && !state.loading) load();
+  }, []);
+
+  const runAction = useCallback(async (action, id) => {
+    try {
+      const alert = await action(id);
+      setState({ alerts: upsert(state.alerts, alert), error: null });
+    } catch (err) {
+      const status = err.response?.status;
+      setState({
+        error: status === 401 || status === 503
+          ? 'An admin token is needed to change alerts'
+          : err.response?.data?.error || 'Could not update alert',
+      });
+    }
+  }, []);
+
+  // Hide an alert in this browser only
+  const dismiss = useCallback((id) => {
+    const dismissed = new Set(state.dismissed).add(id);
+    try {
+      localStorage.setItem(DISMISSED_KEY, JSON.stringify([...dismissed].slice(-MAX_ALERTS * 4)));
+    } catch {
+      // Dismissals just won't survive a reload
+    }
+    setState({ dismissed });
+  }, []);
+
+  const visible = snapshot.alerts.filter((alert) => !snapshot.dismissed.has(alert._id));
+
+  return {
+    active: visible.filter(isActiveAlert),
+    past: visible.filter((alert) => !isActiveAlert(alert)),
+    loading: snapshot.loading,
+    error: snapshot.error,
+    reload: load,
+    acknowledge: (id) => runAction(acknowledgeAlert, id),
+    resolve: (id) => runAction(resolveAlert, id),
+    dismiss,
+  };
+};
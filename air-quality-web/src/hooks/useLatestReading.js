@@ -0,0 +1,58 @@
+import { useEffect, useState } from 'react';
+import { getDataSource } from '../dataSources';
+
+// The newest reading from the configured data source, kept live. After a
+// reconnect the latest reading is fetched again in case updates were missed.
+export const useLatestReading = ({ deviceId } = {}) => {
+  const [reading, setReading] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [connection, setConnection] = useState('connecting');
+
+  useEffect(() => {
+    const source = getDataSource();
+    let cancelled = false;
+    let wasDisconnected = false;
+
+    const keepNewer = (next) => {
+      if (!next || (deviceId && next.deviceId !== deviceId)) return;
+      setReading((current) => (
+        current && new Date(current.timestamp) > new Date(next.timestamp) ? current : next
+      ));
+    };
+
+    const refresh = () => source.getLatest({ deviceId })
+      .then((latest) => {
+        if (cancelled) return;
+        keepNewer(latest);
+        setError(null);
+      })
+      .catch((err) => {
+        console.error('Error fetching latest reading:', err);
+        if (!cancelled) setError('Could not load the latest reading');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    refresh();
+    const unsubscribeReadings = source.subscribe(keepNewer, { deviceId });
+    const unsubscribeConnection = source.onConnectionChange((status) => {
+      setConnection(status);
+      if (status === 'disconnected') {
+        wasDisconnected = true;
+      } else if (status === 'connected' && wasDisconnected) {
+        wasDisconnected = false;
+        refresh();
+      }
+    });
+
+    return () => {
+      cancelled = true;
+      unsubscribeReadings();
+      unsubscribeConnection();
+    };
+  }, [deviceId]);
+
+  return { reading, loading, error, connection };
+};
@@ -0,0 +1,157 @@
+import { useEffect, useMemo, useState } from 'react';
+import { api } from '../api/client';
+import { onSensorData } from '../api/live';
+import { INTERVAL_MS, resolveRange } from '../utils/timeRanges';
+
+export const CHART_METRICS = ['temperature', 'humidity', 'vocIndex', 'pm1', 'pm25', 'pm10', 'rainfall', 'windSpeed'];
+
+// Responses survive remounts of the page, so switching tabs doesn't refetch immediately
+const cache = new Map();
+const CACHE_TTL_MS = 60 * 1000;
+
+// Combine buckets from several devices that share a start time into one
+// series: count-weighted means, overall min and max.
+const mergeBuckets = (buckets) => {
+  const byTime = new Map();
+  buckets.forEach((bucket) => {
+    const time = new Date(bucket.start).getTime();
+    const existing = byTime.get(time);
+    if (!existing) {
+      const point = { time, count: bucket.count };
+      CHART_METRICS.forEach((metric) => {
+        const stats = bucket.metrics[metric];
+        if (stats) point[metric] = { min: stats.min, mean: stats.mean, max: stats.max };
+      });
+      byTime.set(time, point);
+      return;
+    }
+    CHART_METRICS.forEach((metric) => {
+      const stats = bucket.metrics[metric];
+      const current = existing[metric];
+      if (!stats || stats.mean === null) return;
+      if (!current || current.mean === null) {
+        existing[metric] = { min: stats.min, mean: stats.mean, max: stats.max };
+        return;
+      }
+      current.mean = (current.mean * existing.count + stats.mean * bucket.count) / (existing.count + bucket.count);
+      current.min = Math.min(current.min, stats.min);
+      current.max = Math.max(current.max, stats.max);
+    });
+    existing.count += bucket.count;
+  });
+  return [...byTime.values()].sort((a, b) => a.time - b.time);
+};
+
+// Fold a live reading into the newest bucket (or start a new one) and drop
+// buckets that have scrolled out of a relative range.
+const addReading = (points, reading, range) => {
+  const time = new Date(reading.timestamp).getTime();
+  const intervalMs = INTERVAL_MS[range.interval];
+  const bucketTime = Math.floor(time / intervalMs) * intervalMs;
+  const cutoff = Date.now() - range.durationMs;
+
+  const next = points.filter((point) => point.time + intervalMs > cutoff);
+  const last = next[next.length - 1];
+
+  if (last && last.time === bucketTime) {
+    const updated = { ...last, count: last.count + 1 };
+    CHART_METRICS.forEach((metric) => {
+      const value = reading[metric];
+      if (typeof value !== 'number') return;
+      const stats = last[metric];
+      updated[metric] = stats && stats.mean !== null
+        ? {
+          min: Math.min(stats.min, value),
+          mean: (stats.mean * last.count + value) / (last.count + 1),
+          max: Math.max(stats.max, value),
+        }
+        : { min: value, mean: value, max: value };
+    });
+    next[next.length - 1] = updated;
+  } else if (!last || bucketTime > last.time) {
+    const point = { time: bucketTime, count: 1 };
+    CHART_METRICS.forEach((metric) => {
+      const value = reading[metric];
+      if (typeof value === 'number') point[metric] = { min: value, mean: value, max: value };
+    });
+    next.push(point);
+  }
+  return next;
+};
+
+// Aggregated history for the charts from /api/aggregate, kept up to date with
+// readings pushed over Socket.IO while a relative range ("last 24 hours") is shown.
+export const useMetricHistory = (selection, deviceId) => {
+  // A relative range is re-resolved only when the selection changes, not on
+  // every render, so it depends on the selection's fields rather than the object
+  const { id, start, end } = selection;
+  const range = useMemo(() => resolveRange({ id, start, end }), [id, start, end]);
+  const cacheKey = range ? [id, start, end, deviceId || '', range.interval].join('|') : null;
+
+  const cached = cacheKey ? cache.get(cacheKey) : null;
+  const [points, setPoints] = useState(cached ? cached.points : []);
+  const [loading, setLoading] = useState(!cached);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!range) {
+      setPoints([]);
+      setLoading(false);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const entry = cache.get(cacheKey);
+    if (entry) {
+      setPoints(entry.points);
+      setLoading(false);
+    }
+
+    if (!entry || Date.now() - entry.fetchedAt > CACHE_TTL_MS) {
+      setLoading(!entry);
+      api.get('/api/aggregate', {
+        params: {
+          interval: range.interval,
+          startDate: range.start.toISOString(),
+          endDate: range.end.toISOString(),
+          deviceId: deviceId || undefined,
+        },
+      })
+        .then((response) => {
+          if (cancelled) return;
+          const merged = mergeBuckets(response.data.buckets);
+          cache.set(cacheKey, { points: merged, fetchedAt: Date.now() });
+          setPoints(merged);
+          setError(null);
+        })
+        .catch((err) => {
+          if (cancelled) return;
+          console.error('Error fetching chart data:', err);
+          setError('Could not load history from the server.');
+        })
+        .finally(() => {
+          if (!cancelled) setLoading(false);
+        });
+    }
+
+    if (!range.live) {
+      return () => { cancelled = true; };
+    }
+
+    const unsubscribe = onSensorData((reading) => {
+      setPoints((current) => {
+        const next = addReading(current, reading, range);
+        const existing = cache.get(cacheKey);
+        if (existing) cache.set(cacheKey, { ...existing, points: next });
+        return next;
+      });
+    }, { deviceIds: deviceId ? [deviceId] : null });
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [range, cacheKey, deviceId]);
+
+  return { points, interval: range?.interval, loading, error };
+};
@@ -0,0 +1,52 @@
+import { useEffect, useState } from 'react';
+import { getDataSource } from '../dataSources';
+
+// Newest reading of every station, keyed by deviceId and kept live
+export const useStations = () => {
+  const [stations, setStations] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const source = getDataSource();
+    let cancelled = false;
+
+    const keepNewer = (reading) => {
+      setStations((current) => {
+        const existing = current[reading.deviceId];
+        if (existing && new Date(existing.timestamp) >= new Date(reading.timestamp)) return current;
+        // Live readings don't carry the registry fields
+        return {
+          ...current,
+          [reading.deviceId]: {
+            deviceName: existing?.deviceName,
+            deviceStatus: existing?.deviceStatus,
+            ...reading,
+          },
+        };
+      });
+    };
+
+    source.getLatestByDevice()
+      .then((readings) => {
+        if (cancelled) return;
+        readings.forEach(keepNewer);
+        setError(null);
+      })
+      .catch((err) => {
+        console.error('Error fetching stations:', err);
+        if (!cancelled) setError('Could not load stations');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    const unsubscribe = source.subscribe(keepNewer);
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, []);
+
+  return { stations: Object.values(stations), loading, error };
+};
@@ -0,0 +1,68 @@
+import { api } from '../api/client';
+
+// Browser side of Web Push: a service worker (public/sw.js) receives pushes
+// from the backend and shows them even when no tab is open.
+// Served from public/, so it lives under the app's base path
+const SERVICE_WORKER_URL = `${import.meta.env.BASE_URL}sw.js`;
+
+export const isPushSupported = () => (
+  typeof window !== 'undefined'
+  && 'serviceWorker' in navigator
+  && 'PushManager' in window
+  && 'Notification' in window
+);
+
+// VAPID keys are base64url; PushManager wants the raw bytes
+const urlBase64ToUint8Array = (base64String) => {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  const raw = window.atob(base64);
+  return Uint8Array.from(raw, (char) => char.charCodeAt(0));
+};
+
+const getRegistration = () => navigator.serviceWorker.register(SERVICE_WORKER_URL);
+
+// The current subscription for this browser, or null
+export const getPushSubscription = async () => {
+  if (!isPushSupported()) return null;
+  const registration = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL);
+  return registration ? registration.pushManager.getSubscription() : null;
+};
+
+// Ask for permission, subscribe and register the subscription with the backend.
+// Throws with a readable message when any step is refused.
+export const enablePush = async (deviceIds = []) => {
+  if (!isPushSupported()) {
+    throw new Error('This browser does not support push notifications');
+  }
+
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') {
+    throw new Error('Notifications are blocked for this site');
+  }
+
+  let publicKey;
+  try {
+    ({ publicKey } = (await api.get('/api/push/public-key')).data);
+  } catch (err) {
+    throw new Error(err.response?.data?.error || 'Could not reach the server');
+  }
+
+  const registration = await getRegistration();
+  await navigator.serviceWorker.ready;
+  const subscription = await registration.pushManager.getSubscription()
+    || await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(publicKey),
+    });
+
+  await api.post('/api/push/subscriptions', { subscription: subscription.toJSON(), deviceIds });
+  return subscription;
+};
+
+export const disablePush = async () => {
+  const subscription = await getPushSubscription();
+  if (!subscription) return;
+  await api.delete('/api/push/subscriptions', { data: { endpoint: subscription.endpoint } });
+  await subscription.unsubscribe();
+};
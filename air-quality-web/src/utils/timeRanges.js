@@ -0,0 +1,74 @@
+import PropTypes from 'prop-types';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+export const INTERVAL_MS = {
+  minute: MINUTE,
+  hour: HOUR,
+  day: DAY,
+  week: 7 * DAY,
+};
+
+// Preset ranges offered in the UI. Relative ranges follow "now" and update live.
+export const TIME_RANGES = [
+  { id: '1h', label: 'Last hour', durationMs: HOUR, interval: 'minute' },
+  { id: '24h', label: '24 hours', durationMs: DAY, interval: 'hour' },
+  { id: '7d', label: '7 days', durationMs: 7 * DAY, interval: 'hour' },
+  { id: '30d', label: '30 days', durationMs: 30 * DAY, interval: 'day' },
+  { id: 'custom', label: 'Custom' },
+];
+
+// A range selection as passed between components: { id } for a preset, or
+// { id: 'custom', start, end } with datetime-local values
+export const rangeSelectionPropType = PropTypes.shape({
+  id: PropTypes.string.isRequired,
+  start: PropTypes.string,
+  end: PropTypes.string,
+});
+
+// Pick a bucket size that keeps a chart to a readable number of points
+export const intervalForSpan = (spanMs) => {
+  if (spanMs <= 3 * HOUR) return 'minute';
+  if (spanMs <= 8 * DAY) return 'hour';
+  if (spanMs <= 120 * DAY) return 'day';
+  return 'week';
+};
+
+// Turn a range selection ({ id } or { id: 'custom', start, end }) into concrete
+// dates and an aggregation interval. Returns null for an incomplete custom range.
+export const resolveRange = (selection, now = Date.now()) => {
+  if (selection.id === 'custom') {
+    const start = new Date(selection.start);
+    const end = new Date(selection.end);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start >= end) {
+      return null;
+    }
+    return { start, end, interval: intervalForSpan(end - start), live: false };
+  }
+
+  const preset = TIME_RANGES.find((range) => range.id === selection.id) || TIME_RANGES[1];
+  return {
+    start: new Date(now - preset.durationMs),
+    end: new Date(now),
+    interval: preset.interval,
+    durationMs: preset.durationMs,
+    live: true,
+  };
+};
+
+// Value for an <input type="datetime-local"> in the browser's timezone
+export const toDateTimeLocal = (date) => {
+  const d = new Date(date);
+  const offset = d.getTimezoneOffset() * MINUTE;
+  return new Date(d.getTime() - offset).toISOString().slice(0, 16);
+};
+
+export const formatBucketTime = (time, interval) => {
+  const date = new Date(time);
+  if (interval === 'minute' || interval === 'hour') {
+    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  }
+  return date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+};
@@ -4,4 +4,10 @@ import react from '@vitejs/plugin-react'
 export default defineConfig({
   base: process.env.NODE_ENV === 'production' ? '/Air-Aware/' : '/',
   plugins: [react()],
-})
\ No newline at end of file
+  // The US EPA AQI table is read from the backend (src/aqi/standards.js)
+  server: {
+    fs: {
+      allow: ['.', '../air-quality-backend/lib/aqiBreakpoints.json'],
+    },
+  },
+})